@@ -330,6 +330,20 @@ async function main() {
     wrn(`Product engine: ${e.message}`);
   }
 
+  // ── BUNDLES ────────────────────────────────────────────────────────────────
+  try {
+    for (const bundle of store.proposeBundles()) {
+      ok(`New bundle: "${bundle.name}" at $${bundle.price} (worth $${bundle.full_price})`);
+      await notify.sendTelegram(
+        `📦 Bundle Live!\n"${bundle.name}"\n` +
+        `Price: $${bundle.price} (${bundle.bundle_items.length} products worth $${bundle.full_price})\n` +
+        `Store: https://${process.env.RAILWAY_PUBLIC_DOMAIN||"localhost"}/store/buy/${bundle.id}`
+      ).catch(()=>{});
+    }
+  } catch(e) {
+    wrn(`Bundles: ${e.message}`);
+  }
+
   // ── WRAP UP ────────────────────────────────────────────────────────────────
   state.day++;
   saveState(state);
@@ -337,6 +351,7 @@ async function main() {
   const healReport = heal.getReport();
   const ytStats    = youtube.getGrowthStatus();
   const prodStats  = store.getStoreStats ? store.getStoreStats() : { total_products: 0 };
+  if (prodStats.funnel) brain.recordFunnel(prodStats.funnel); // tomorrow's brief uses real conversion rates
   const pinStats   = { total_pins: 0 };
   const blogStats   = blogger.getStats();
   const redditStats = { total_posts: 0 };
@@ -9,6 +9,7 @@
 
 const fs   = require("fs");
 const path = require("path");
+const fileLock = require("./file-lock");
 
 const BRAIN_FILE = path.join(process.cwd(), "data", "brain.json");
 
@@ -26,6 +27,7 @@ function defaultBrain() {
       total_views: 0,
       total_sales: 0,
       total_revenue: 0,
+      total_refunds: 0,
       best_video: null,         // { title, views, url, angle, niche }
       best_niche: null,
       best_angle: null,
@@ -50,6 +52,22 @@ function defaultBrain() {
     niche_stats: {},
     // Each: { videos: 0, total_views: 0, avg_views: 0, sales: 0 }
 
+    // Store upsells — which "bought X, offered Y" pairings convert
+    upsell_stats: {},
+    // Keyed "fromId>toId": { from, to, niche, offered: 0, converted: 0, revenue: 0, rate: 0 }
+
+    // Store funnel — real conversion rates, refreshed from the store's event log
+    funnel_stats: { updated: null, days: 0, products: {}, niches: {} },
+    // products: { [id]: { name, niche, visitors, checkouts, purchases, conversion } }
+    // niches:   { [niche]: { products, visitors, checkouts, purchases, conversion } }
+
+    // Store A/B tests — finished experiments and the defaults new products start from
+    experiment_stats: { tests: [], price: {}, cover: {}, titles: [] },
+    // tests:  [{ date, product, niche, type, field, control, winner, outcome, lift, confidence }]
+    // price:  { [product_type]: { tests, ratios: [winner price / control price], factor } }
+    // cover:  { [niche]: { [style]: wins } }
+    // titles: [{ niche, winner, loser, lift }] — winning titles, newest last
+
     // Strategy decisions
     strategy: {
       current_focus_angle: null,     // angle to double down on
@@ -91,14 +109,20 @@ function load() {
 
 function save(brain) {
   try {
-    fs.mkdirSync(path.join(process.cwd(), "data"), { recursive: true });
     brain.last_updated = new Date().toISOString();
-    fs.writeFileSync(BRAIN_FILE, JSON.stringify(brain, null, 2));
+    fileLock.writeAtomic(BRAIN_FILE, JSON.stringify(brain, null, 2));
   } catch(e) {
     console.log("     → Brain save error: " + e.message.slice(0,60));
   }
 }
 
+// The web server records store sales, refunds and tests while the agent
+// process records its day, so every load-change-save runs under the file's
+// lock (see file-lock.js)
+function update(fn) {
+  return fileLock.update(BRAIN_FILE, fn);
+}
+
 function deepMerge(target, source) {
   const out = Object.assign({}, target);
   for (const key of Object.keys(source)) {
@@ -114,153 +138,291 @@ function deepMerge(target, source) {
 // ── RECORD VIDEO ─────────────────────────────────────────────────────────────
 
 function recordVideo({ title, niche, angle, theme, url }) {
-  const brain = load();
+  return update(function() {
+    const brain = load();
+
+    const entry = {
+      date:             new Date().toISOString(),
+      title,
+      niche,
+      angle:            angle || "general",
+      theme,
+      url:              url || null,
+      views:            0,
+      views_checked_at: null,
+      sales_attributed: 0,
+    };
+
+    brain.videos.push(entry);
+    brain.performance.total_videos++;
+
+    // Update angle stats
+    if (!brain.angle_stats[entry.angle]) {
+      brain.angle_stats[entry.angle] = { videos: 0, total_views: 0, avg_views: 0 };
+    }
+    brain.angle_stats[entry.angle].videos++;
 
-  const entry = {
-    date:             new Date().toISOString(),
-    title,
-    niche,
-    angle:            angle || "general",
-    theme,
-    url:              url || null,
-    views:            0,
-    views_checked_at: null,
-    sales_attributed: 0,
-  };
+    // Update niche stats
+    if (!brain.niche_stats[niche]) {
+      brain.niche_stats[niche] = { videos: 0, total_views: 0, avg_views: 0, sales: 0 };
+    }
+    brain.niche_stats[niche].videos++;
+
+    save(brain);
+    return entry;
+  });
+}
 
-  brain.videos.push(entry);
-  brain.performance.total_videos++;
+// ── RECORD SALE ───────────────────────────────────────────────────────────────
 
-  // Update angle stats
-  if (!brain.angle_stats[entry.angle]) {
-    brain.angle_stats[entry.angle] = { videos: 0, total_views: 0, avg_views: 0 };
-  }
-  brain.angle_stats[entry.angle].videos++;
+function recordSale(amount, niche) {
+  return update(function() {
+    const brain = load();
+    brain.performance.total_sales++;
+    brain.performance.total_revenue += amount;
+    brain.strategy.days_since_sale = 0;
 
-  // Update niche stats
-  if (!brain.niche_stats[niche]) {
-    brain.niche_stats[niche] = { videos: 0, total_views: 0, avg_views: 0, sales: 0 };
-  }
-  brain.niche_stats[niche].videos++;
+    if (niche && brain.niche_stats[niche]) {
+      brain.niche_stats[niche].sales++;
+      brain.performance.best_niche = niche;
+    }
 
-  save(brain);
-  return entry;
+    save(brain);
+  });
 }
 
-// ── RECORD SALE ───────────────────────────────────────────────────────────────
+// Refunds and chargebacks. undoSale is false for a second refund on an order
+// whose sale was already taken back, so only the revenue moves.
+function recordRefund(amount, niche, undoSale) {
+  return update(function() {
+    const brain = load();
+    brain.performance.total_revenue = Math.max(0, brain.performance.total_revenue - amount);
+
+    if (undoSale) {
+      brain.performance.total_refunds++;
+      brain.performance.total_sales = Math.max(0, brain.performance.total_sales - 1);
+      if (niche && brain.niche_stats[niche]) {
+        brain.niche_stats[niche].sales = Math.max(0, (brain.niche_stats[niche].sales || 0) - 1);
+      }
+    }
 
-function recordSale(amount, niche) {
-  const brain = load();
-  brain.performance.total_sales++;
-  brain.performance.total_revenue += amount;
-  brain.strategy.days_since_sale = 0;
+    save(brain);
+  });
+}
+
+// ── RECORD UPSELLS ────────────────────────────────────────────────────────────
+// from / to: { id, name } of the product bought and the product offered
 
-  if (niche && brain.niche_stats[niche]) {
-    brain.niche_stats[niche].sales++;
-    brain.performance.best_niche = niche;
+function upsellPair(brain, from, to, niche) {
+  const key = from.id + ">" + to.id;
+  if (!brain.upsell_stats[key]) {
+    brain.upsell_stats[key] = { from: from.name, to: to.name, niche: niche || null, offered: 0, converted: 0, revenue: 0, rate: 0 };
   }
+  return brain.upsell_stats[key];
+}
 
-  save(brain);
+function recordUpsellOffer(from, to, niche) {
+  return update(function() {
+    const brain = load();
+    upsellPair(brain, from, to, niche).offered++;
+    save(brain);
+  });
 }
 
-// ── LOG DAILY ACTIVITY ────────────────────────────────────────────────────────
+function recordUpsellConversion(from, to, niche, amount) {
+  return update(function() {
+    const brain = load();
+    const pair  = upsellPair(brain, from, to, niche);
+    pair.converted++;
+    pair.revenue = Math.round((pair.revenue + amount) * 100) / 100;
+    pair.rate    = pair.offered ? Math.round(pair.converted / pair.offered * 1000) / 10 : 0;
+    save(brain);
+  });
+}
 
-function logDay({ day_number, niche, video_title, angle, sales, revenue, notes }) {
+// Pairings with at least minOffers offers, best conversion rate first
+function getTopPairings(minOffers, limit) {
   const brain = load();
+  return Object.keys(brain.upsell_stats).map(function(k) { return Object.assign({ key: k }, brain.upsell_stats[k]); })
+    .filter(function(p) { return p.offered >= (minOffers || 1); })
+    .sort(function(a, b) { return b.rate - a.rate || b.converted - a.converted; })
+    .slice(0, limit || 5);
+}
 
-  brain.daily_logs.push({
-    date: new Date().toISOString(),
-    day_number,
-    niche,
-    video_title,
-    angle,
-    sales:   sales   || 0,
-    revenue: revenue || 0,
-    notes:   notes   || "",
+// ── RECORD FUNNEL ─────────────────────────────────────────────────────────────
+// funnel: store.getFunnel() — replaces the last snapshot, it already covers a window
+
+function recordFunnel(funnel) {
+  return update(function() {
+    const brain    = load();
+    const products = {}, niches = {};
+    Object.keys(funnel.products || {}).forEach(function(id) {
+      const f = funnel.products[id];
+      products[id] = { name: f.name, niche: f.niche, visitors: f.visitors, checkouts: f.checkouts, purchases: f.purchases, conversion: f.conversion };
+      if (!f.niche) return;
+      const n = niches[f.niche] || (niches[f.niche] = { products: 0, visitors: 0, checkouts: 0, purchases: 0, conversion: 0 });
+      n.products++;
+      n.visitors  += f.visitors;
+      n.checkouts += f.checkouts;
+      n.purchases += f.purchases;
+      n.conversion = n.visitors ? Math.round(n.purchases / n.visitors * 1000) / 10 : 0;
+    });
+    brain.funnel_stats = { updated: new Date().toISOString(), days: funnel.days, products, niches };
+    save(brain);
   });
+}
 
-  // Track days since sale
-  if (sales > 0) {
-    brain.strategy.days_since_sale = 0;
-  } else {
-    brain.strategy.days_since_sale++;
-  }
+// ── RECORD EXPERIMENT ─────────────────────────────────────────────────────────
+// result: { product, niche, type, field, control, winner, loser, outcome, lift, confidence }
+// control/winner are the tested values (a price, a title or a cover style).
+// An inconclusive price test still teaches something: the price didn't matter.
+
+function recordExperiment(result) {
+  return update(function() {
+    const brain = load();
+    const stats = brain.experiment_stats;
+    stats.tests.push(Object.assign({ date: new Date().toISOString() }, result));
+    stats.tests = stats.tests.slice(-50);
+
+    if (result.field === "price" && result.control > 0) {
+      const type  = result.type || "pdf_guide";
+      const entry = stats.price[type] || (stats.price[type] = { tests: 0, ratios: [], factor: 1 });
+      entry.tests++;
+      entry.ratios = entry.ratios.concat([Math.round(result.winner / result.control * 100) / 100]).slice(-10);
+      entry.factor = Math.round(entry.ratios.reduce(function(s, r) { return s + r; }, 0) / entry.ratios.length * 100) / 100;
+    }
+    if (result.field === "cover" && result.outcome !== "inconclusive") {
+      const niche = result.niche || "general";
+      stats.cover[niche] = stats.cover[niche] || {};
+      stats.cover[niche][result.winner] = (stats.cover[niche][result.winner] || 0) + 1;
+    }
+    if (result.field === "title" && result.outcome !== "inconclusive") {
+      stats.titles.push({ niche: result.niche || null, winner: result.winner, loser: result.loser, lift: result.lift });
+      stats.titles = stats.titles.slice(-10);
+    }
+    save(brain);
+  });
+}
 
-  // Keep last 90 days only
-  if (brain.daily_logs.length > 90) {
-    brain.daily_logs = brain.daily_logs.slice(-90);
-  }
+// What a new product in this niche/type should start from. price_factor needs
+// two finished price tests for the type before it moves off 1.
+function getLearnedDefaults(niche, type) {
+  const stats = load().experiment_stats;
+  const price = stats.price[type || "pdf_guide"];
+  const wins  = {};
+  const add   = function(byStyle) { Object.keys(byStyle || {}).forEach(function(k) { wins[k] = (wins[k] || 0) + byStyle[k]; }); };
+  if (stats.cover[niche]) add(stats.cover[niche]);
+  else Object.keys(stats.cover).forEach(function(n) { add(stats.cover[n]); });
+  const styles = Object.keys(wins).sort(function(a, b) { return wins[b] - wins[a]; });
+  return {
+    price_factor:   price && price.tests >= 2 ? price.factor : 1,
+    cover_style:    styles[0] || null,
+    winning_titles: stats.titles.filter(function(t) { return !niche || !t.niche || t.niche === niche; }).slice(-5).map(function(t) { return t.winner; }),
+  };
+}
+
+// ── LOG DAILY ACTIVITY ────────────────────────────────────────────────────────
+
+function logDay({ day_number, niche, video_title, angle, sales, revenue, notes }) {
+  return update(function() {
+    const brain = load();
+
+    brain.daily_logs.push({
+      date: new Date().toISOString(),
+      day_number,
+      niche,
+      video_title,
+      angle,
+      sales:   sales   || 0,
+      revenue: revenue || 0,
+      notes:   notes   || "",
+    });
+
+    // Track days since sale
+    if (sales > 0) {
+      brain.strategy.days_since_sale = 0;
+    } else {
+      brain.strategy.days_since_sale++;
+    }
+
+    // Keep last 90 days only
+    if (brain.daily_logs.length > 90) {
+      brain.daily_logs = brain.daily_logs.slice(-90);
+    }
 
-  save(brain);
+    save(brain);
+  });
 }
 
 // ── ANALYZE AND UPDATE STRATEGY ───────────────────────────────────────────────
 // Called every 7 days — looks at performance and decides what to change
 
 function analyzeAndUpdateStrategy() {
-  const brain = load();
-  const decisions = [];
+  return update(function() {
+    const brain = load();
+    const decisions = [];
 
-  // Need at least 3 videos to analyze
-  if (brain.performance.total_videos < 3) {
-    return { decisions: ["Not enough data yet — need 3+ videos"], brain };
-  }
+    // Need at least 3 videos to analyze
+    if (brain.performance.total_videos < 3) {
+      return { decisions: ["Not enough data yet — need 3+ videos"], brain };
+    }
 
-  // ── Find best performing angle ──────────────────────────────────────────
-  let bestAngle = null;
-  let bestAngleAvg = 0;
-  let worstAngle = null;
-  let worstAngleAvg = Infinity;
-
-  for (const [angle, stats] of Object.entries(brain.angle_stats)) {
-    if (stats.videos >= 2) {
-      const avg = stats.total_views / stats.videos;
-      if (avg > bestAngleAvg) { bestAngleAvg = avg; bestAngle = angle; }
-      if (avg < worstAngleAvg) { worstAngleAvg = avg; worstAngle = angle; }
+    // ── Find best performing angle ──────────────────────────────────────────
+    let bestAngle = null;
+    let bestAngleAvg = 0;
+    let worstAngle = null;
+    let worstAngleAvg = Infinity;
+
+    for (const [angle, stats] of Object.entries(brain.angle_stats)) {
+      if (stats.videos >= 2) {
+        const avg = stats.total_views / stats.videos;
+        if (avg > bestAngleAvg) { bestAngleAvg = avg; bestAngle = angle; }
+        if (avg < worstAngleAvg) { worstAngleAvg = avg; worstAngle = angle; }
+      }
     }
-  }
 
-  if (bestAngle && bestAngleAvg > 0) {
-    brain.strategy.current_focus_angle = bestAngle;
-    brain.performance.best_angle = bestAngle;
-    decisions.push(`Best angle: "${bestAngle}" (avg ${Math.round(bestAngleAvg)} views) — doubling down`);
-  }
+    if (bestAngle && bestAngleAvg > 0) {
+      brain.strategy.current_focus_angle = bestAngle;
+      brain.performance.best_angle = bestAngle;
+      decisions.push(`Best angle: "${bestAngle}" (avg ${Math.round(bestAngleAvg)} views) — doubling down`);
+    }
 
-  if (worstAngle && worstAngleAvg < 30 && worstAngle !== bestAngle) {
-    if (!brain.strategy.avoid_angles.includes(worstAngle)) {
-      brain.strategy.avoid_angles.push(worstAngle);
-      decisions.push(`Avoiding "${worstAngle}" angle — avg only ${Math.round(worstAngleAvg)} views`);
+    if (worstAngle && worstAngleAvg < 30 && worstAngle !== bestAngle) {
+      if (!brain.strategy.avoid_angles.includes(worstAngle)) {
+        brain.strategy.avoid_angles.push(worstAngle);
+        decisions.push(`Avoiding "${worstAngle}" angle — avg only ${Math.round(worstAngleAvg)} views`);
+      }
     }
-  }
 
-  // ── Check if niche pivot needed ─────────────────────────────────────────
-  const recentLogs = brain.daily_logs.slice(-14);
-  const recentViews = brain.videos.slice(-7).reduce((sum, v) => sum + (v.views || 0), 0);
-  const avgRecentViews = brain.videos.length > 0 ? recentViews / Math.min(7, brain.videos.length) : 0;
+    // ── Check if niche pivot needed ─────────────────────────────────────────
+    const recentLogs = brain.daily_logs.slice(-14);
+    const recentViews = brain.videos.slice(-7).reduce((sum, v) => sum + (v.views || 0), 0);
+    const avgRecentViews = brain.videos.length > 0 ? recentViews / Math.min(7, brain.videos.length) : 0;
 
-  if (avgRecentViews < 20 && brain.performance.total_videos >= 7) {
-    brain.strategy.consecutive_low_views++;
-    decisions.push(`Warning: avg ${Math.round(avgRecentViews)} views/video over last 7 — low traction`);
-    if (brain.strategy.consecutive_low_views >= 2) {
-      decisions.push("PIVOT RECOMMENDED: 14 days of low views — niche may need to change");
+    if (avgRecentViews < 20 && brain.performance.total_videos >= 7) {
+      brain.strategy.consecutive_low_views++;
+      decisions.push(`Warning: avg ${Math.round(avgRecentViews)} views/video over last 7 — low traction`);
+      if (brain.strategy.consecutive_low_views >= 2) {
+        decisions.push("PIVOT RECOMMENDED: 14 days of low views — niche may need to change");
+      }
+    } else {
+      brain.strategy.consecutive_low_views = 0;
     }
-  } else {
-    brain.strategy.consecutive_low_views = 0;
-  }
 
-  // ── Best video tracking ─────────────────────────────────────────────────
-  const topVideo = brain.videos.reduce((best, v) => (!best || v.views > best.views) ? v : best, null);
-  if (topVideo) {
-    brain.performance.best_video = topVideo;
-    if (topVideo.views > 100) {
-      decisions.push(`Top video: "${topVideo.title.slice(0,50)}" — ${topVideo.views} views`);
+    // ── Best video tracking ─────────────────────────────────────────────────
+    const topVideo = brain.videos.reduce((best, v) => (!best || v.views > best.views) ? v : best, null);
+    if (topVideo) {
+      brain.performance.best_video = topVideo;
+      if (topVideo.views > 100) {
+        decisions.push(`Top video: "${topVideo.title.slice(0,50)}" — ${topVideo.views} views`);
+      }
     }
-  }
 
-  brain.strategy.last_strategy_update = new Date().toISOString();
-  save(brain);
+    brain.strategy.last_strategy_update = new Date().toISOString();
+    save(brain);
 
-  return { decisions, brain };
+    return { decisions, brain };
+  });
 }
 
 // ── GET STRATEGY BRIEF FOR AI ──────────────────────────────────────────────
@@ -295,6 +457,23 @@ function getStrategyBrief() {
     brief += `- Avoid these failed topics: ${brain.knowledge.failed_topics.slice(-5).join(", ")}\n`;
   }
 
+  // Only niches with enough traffic for the rate to mean something
+  const funnel = brain.funnel_stats;
+  const ranked = Object.keys(funnel.niches).filter(n => funnel.niches[n].visitors >= 30)
+    .sort((a, b) => funnel.niches[b].conversion - funnel.niches[a].conversion);
+  if (ranked.length > 0) {
+    brief += `- Best converting store niche: "${ranked[0]}" (${funnel.niches[ranked[0]].conversion}% of product visitors buy)\n`;
+  }
+  const unsold = Object.keys(funnel.products).map(id => funnel.products[id]).filter(p => p.visitors >= 30 && p.purchases === 0);
+  if (unsold.length > 0) {
+    brief += `- Seen but not bought — the offer needs work, not more traffic: ${unsold.slice(0, 3).map(p => `"${p.name.slice(0,40)}"`).join(", ")}\n`;
+  }
+
+  const titles = brain.experiment_stats.titles.slice(-3);
+  if (titles.length > 0) {
+    brief += `- Store titles that won A/B tests: ${titles.map(t => `"${t.winner.slice(0,50)}" beat "${String(t.loser || "").slice(0,50)}"`).join("; ")}\n`;
+  }
+
   return brief;
 }
 
@@ -350,6 +529,9 @@ function getReport() {
     focus_angle:   brain.strategy.current_focus_angle,
     avoid_angles:  brain.strategy.avoid_angles,
     pivot_needed:  brain.strategy.consecutive_low_views >= 2,
+    top_pairings:  getTopPairings(5, 3),
+    funnel_niches: brain.funnel_stats.niches,
+    experiments:   brain.experiment_stats.tests.slice(-5),
   };
 }
 
@@ -357,48 +539,50 @@ function getReport() {
 // Called periodically to check YouTube analytics and update view counts
 
 function updateVideoViews(videoId, views) {
-  const brain = load();
-  const video = brain.videos.find(function(v) {
-    return v.url && v.url.includes(videoId);
-  });
-  if (!video) return;
-
-  video.views = views;
-  video.views_checked_at = new Date().toISOString();
-
-  // Update angle averages
-  const angle = video.angle || "general";
-  if (brain.angle_stats[angle]) {
-    const angleVids = brain.videos.filter(function(v) { return v.angle === angle; });
-    brain.angle_stats[angle].total_views = angleVids.reduce(function(s, v) { return s + (v.views || 0); }, 0);
-    brain.angle_stats[angle].avg_views   = Math.round(brain.angle_stats[angle].total_views / angleVids.length);
-  }
+  return update(function() {
+    const brain = load();
+    const video = brain.videos.find(function(v) {
+      return v.url && v.url.includes(videoId);
+    });
+    if (!video) return;
+
+    video.views = views;
+    video.views_checked_at = new Date().toISOString();
+
+    // Update angle averages
+    const angle = video.angle || "general";
+    if (brain.angle_stats[angle]) {
+      const angleVids = brain.videos.filter(function(v) { return v.angle === angle; });
+      brain.angle_stats[angle].total_views = angleVids.reduce(function(s, v) { return s + (v.views || 0); }, 0);
+      brain.angle_stats[angle].avg_views   = Math.round(brain.angle_stats[angle].total_views / angleVids.length);
+    }
 
-  // Update niche averages
-  const nicheVids = brain.videos.filter(function(v) { return v.niche === video.niche; });
-  if (brain.niche_stats[video.niche]) {
-    brain.niche_stats[video.niche].total_views = nicheVids.reduce(function(s, v) { return s + (v.views || 0); }, 0);
-    brain.niche_stats[video.niche].avg_views   = Math.round(brain.niche_stats[video.niche].total_views / nicheVids.length);
-  }
+    // Update niche averages
+    const nicheVids = brain.videos.filter(function(v) { return v.niche === video.niche; });
+    if (brain.niche_stats[video.niche]) {
+      brain.niche_stats[video.niche].total_views = nicheVids.reduce(function(s, v) { return s + (v.views || 0); }, 0);
+      brain.niche_stats[video.niche].avg_views   = Math.round(brain.niche_stats[video.niche].total_views / nicheVids.length);
+    }
 
-  // Mark as failed topic if < 50 views after 7 days
-  const ageMs  = Date.now() - new Date(video.date).getTime();
-  const ageDays = ageMs / (1000 * 60 * 60 * 24);
-  if (ageDays > 7 && views < 50) {
-    if (!brain.knowledge.failed_topics.includes(video.title)) {
-      brain.knowledge.failed_topics.push(video.title);
-      if (brain.knowledge.failed_topics.length > 20) {
-        brain.knowledge.failed_topics = brain.knowledge.failed_topics.slice(-20);
+    // Mark as failed topic if < 50 views after 7 days
+    const ageMs  = Date.now() - new Date(video.date).getTime();
+    const ageDays = ageMs / (1000 * 60 * 60 * 24);
+    if (ageDays > 7 && views < 50) {
+      if (!brain.knowledge.failed_topics.includes(video.title)) {
+        brain.knowledge.failed_topics.push(video.title);
+        if (brain.knowledge.failed_topics.length > 20) {
+          brain.knowledge.failed_topics = brain.knowledge.failed_topics.slice(-20);
+        }
       }
     }
-  }
 
-  // Track best video
-  const best = brain.videos.reduce(function(b, v) { return (!b || v.views > b.views) ? v : b; }, null);
-  brain.performance.best_video  = best;
-  brain.performance.total_views = brain.videos.reduce(function(s, v) { return s + (v.views || 0); }, 0);
+    // Track best video
+    const best = brain.videos.reduce(function(b, v) { return (!b || v.views > b.views) ? v : b; }, null);
+    brain.performance.best_video  = best;
+    brain.performance.total_views = brain.videos.reduce(function(s, v) { return s + (v.views || 0); }, 0);
 
-  save(brain);
+    save(brain);
+  });
 }
 
 module.exports = {
@@ -406,6 +590,13 @@ module.exports = {
   save,
   recordVideo,
   recordSale,
+  recordRefund,
+  recordUpsellOffer,
+  recordUpsellConversion,
+  getTopPairings,
+  recordFunnel,
+  recordExperiment,
+  getLearnedDefaults,
   logDay,
   analyzeAndUpdateStrategy,
   getStrategyBrief,
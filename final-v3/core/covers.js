@@ -0,0 +1,196 @@
+/**
+ * covers.js — Raster Product Covers
+ *
+ * Draws one 1200x630 JPEG per product with sharp: a niche-coloured template,
+ * the title in the bundled DejaVu font and a product-type badge. The product
+ * engine renders it next to the PDF and uses it as the PDF's first page; the
+ * store serves it on cards, detail pages, feeds and social previews.
+ *
+ * Without sharp every function degrades to "no cover" and the store falls
+ * back to its inline SVG.
+ */
+
+"use strict";
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+
+const OUT_DIR    = path.join(process.cwd(), "output", "products");
+const FONT_FILE  = path.join(__dirname, "..", "assets", "DejaVuSans-Bold.ttf");
+const STORE_NAME = process.env.STORE_NAME || "SmallBiz AI Daily";
+const W = 1200, H = 630;
+
+// Matched against the niche in order; unmatched niches get a stable pick from FALLBACK_THEMES
+const NICHE_THEMES = [
+  { match:/\b(tax|taxes|finance|financial|money|budget|invest\w*|accounting|bookkeeping)\b/i, bg:"#0D1B2A", accent:"#1D9E75" },
+  { match:/\b(gig|uber|doordash|instacart|delivery|driver|rideshare|freelanc\w*)\b/i,           bg:"#0D1B2A", accent:"#00D4AA" },
+  { match:/\b(ai|chatgpt|automation|tech|software|notion|productivity)\b/i,                    bg:"#0A0A1A", accent:"#7F77DD" },
+  { match:/\b(business|entrepreneur\w*|marketing|sales|ecommerce|etsy|amazon)\b/i,             bg:"#1A0E00", accent:"#EF9F27" },
+  { match:/\b(design|canva|creative|instagram|social|youtube|content|blogging)\b/i,            bg:"#1A0A14", accent:"#E4587A" },
+  { match:/\b(health|fitness|wellness|diet|nutrition)\b/i,                                     bg:"#06201A", accent:"#4ADE80" },
+];
+const FALLBACK_THEMES = [
+  { bg:"#0D1B2A", accent:"#00D4AA" },
+  { bg:"#141414", accent:"#F5C542" },
+  { bg:"#0B1E3F", accent:"#5AA9FF" },
+  { bg:"#1F0F0F", accent:"#FF7A59" },
+];
+
+const TYPE_BADGES = {
+  pdf_guide:        "PDF GUIDE",
+  checklist_bundle: "CHECKLISTS",
+  swipe_file:       "SWIPE FILE",
+  email_course:     "EMAIL COURSE",
+  toolkit:          "TOOLKIT",
+  template_pack:    "TEMPLATE PACK",
+  notion_template:  "NOTION TEMPLATE",
+};
+
+// ── SETUP ─────────────────────────────────────────────────────────────────────
+
+var sharp = null;
+try { sharp = require("sharp"); } catch(e) {}
+
+// librsvg finds fonts through fontconfig, so point it at the bundled font
+// before the first render. Left alone if another module already did this.
+function setupFonts() {
+  if (process.env.FONTCONFIG_FILE || !fs.existsSync(FONT_FILE)) return;
+  var cacheDir = path.join(process.cwd(), "tmp", "fontcache");
+  var confFile = path.join(process.cwd(), "tmp", "fonts.conf");
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(confFile,
+      '<?xml version="1.0"?>\n<!DOCTYPE fontconfig SYSTEM "fonts.dtd">\n' +
+      '<fontconfig>\n  <dir>' + path.dirname(FONT_FILE) + '</dir>\n' +
+      '  <cachedir>' + cacheDir + '</cachedir>\n</fontconfig>\n'
+    );
+    process.env.FONTCONFIG_FILE = confFile;
+    process.env.FONTCONFIG_PATH = path.dirname(confFile);
+  } catch(e) {}
+}
+
+if (sharp) setupFonts();
+
+function available() {
+  return !!sharp;
+}
+
+// ── TEMPLATE ──────────────────────────────────────────────────────────────────
+
+function xml(s) {
+  return String(s == null ? "" : s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+// { bg, accent, fg } for the product's niche, with cover_style applied the
+// same way as the store's SVG: classic (dark), light, or bold (accent fill)
+function coverTheme(product) {
+  var niche = String(product.niche || "");
+  var theme = NICHE_THEMES.find(function(t) { return t.match.test(niche); });
+  if (!theme) theme = FALLBACK_THEMES[parseInt(crypto.createHash("md5").update(niche.toLowerCase()).digest("hex").slice(0, 6), 16) % FALLBACK_THEMES.length];
+  var bg = theme.bg, accent = theme.accent, fg = "#FFFFFF";
+  if (product.cover_style === "light") { bg = "#F8FAFC"; fg = "#0D1B2A"; }
+  if (product.cover_style === "bold")  { bg = theme.accent; accent = theme.bg; fg = "#0D1B2A"; }
+  return { bg:bg, accent:accent, fg:fg };
+}
+
+function badgeLabel(product) {
+  if (product.type === "bundle") return "BUNDLE \u00b7 " + (product.bundle_items || []).length + " IN 1";
+  return TYPE_BADGES[product.type] || TYPE_BADGES.pdf_guide;
+}
+
+function wrap(text, max, lines) {
+  var out = [], line = "";
+  String(text || "").split(/\s+/).filter(Boolean).forEach(function(w) {
+    if (line && (line + " " + w).length > max) { out.push(line); line = w; }
+    else line = line ? line + " " + w : w;
+  });
+  if (line) out.push(line);
+  if (out.length > lines) {
+    out = out.slice(0, lines);
+    out[lines - 1] = out[lines - 1].replace(/[\s,;:.-]*$/, "") + "\u2026";
+  }
+  return out;
+}
+
+// Title before the colon is the headline; the rest (or the tagline) sits under it
+function coverSVG(product) {
+  var t     = coverTheme(product);
+  var name  = String(product.name || "Digital Guide");
+  var split = name.indexOf(":");
+  var head  = (split > 0 ? name.slice(0, split) : name).trim();
+  var sub   = (split > 0 ? name.slice(split + 1) : product.tagline || "").trim();
+
+  var size  = head.length > 48 ? 58 : head.length > 26 ? 68 : 84;
+  var lines = wrap(head, Math.round(1500 / size), 3);
+  var subs  = wrap(sub, 52, 2);
+  var top   = 230 - (lines.length - 1) * size * 0.35;
+  var badge = badgeLabel(product);
+  var badgeW = Math.round(badge.length * 17 + 48);
+
+  var diagonals = [0, 150, 300, 450, 600, 750].map(function(x, i) {
+    return "<line x1='" + (x + 500) + "' y1='0' x2='" + (x + 500 - H) + "' y2='" + H + "' stroke='" + t.accent + "' stroke-width='2' opacity='" + (0.16 - i * 0.02).toFixed(2) + "'/>";
+  }).join("");
+
+  return "<svg width='" + W + "' height='" + H + "' xmlns='http://www.w3.org/2000/svg'>"
+    + "<rect width='" + W + "' height='" + H + "' fill='" + t.bg + "'/>"
+    + diagonals
+    + "<circle cx='1080' cy='140' r='230' fill='" + t.accent + "' opacity='0.12'/>"
+    + "<circle cx='1080' cy='140' r='150' fill='" + t.accent + "' opacity='0.12'/>"
+    + "<rect x='70' y='64' width='" + badgeW + "' height='50' rx='25' fill='" + t.accent + "'/>"
+    + "<text x='" + (70 + badgeW / 2) + "' y='98' font-family='DejaVu Sans' font-weight='bold' font-size='26' fill='" + t.bg + "' text-anchor='middle' letter-spacing='2'>" + xml(badge) + "</text>"
+    + "<rect x='70' y='" + Math.round(top - size * 0.85) + "' width='10' height='" + Math.round(lines.length * size * 1.12) + "' fill='" + t.accent + "'/>"
+    + lines.map(function(l, i) {
+        return "<text x='104' y='" + Math.round(top + i * size * 1.12) + "' font-family='DejaVu Sans' font-weight='bold' font-size='" + size + "' fill='" + t.fg + "'>" + xml(l) + "</text>";
+      }).join("")
+    + subs.map(function(l, i) {
+        return "<text x='104' y='" + Math.round(top + (lines.length - 1) * size * 1.12 + 66 + i * 42) + "' font-family='DejaVu Sans' font-weight='bold' font-size='32' fill='" + t.accent + "'>" + xml(l) + "</text>";
+      }).join("")
+    + "<rect x='0' y='" + (H - 16) + "' width='" + W + "' height='16' fill='" + t.accent + "'/>"
+    + "<text x='70' y='" + (H - 50) + "' font-family='DejaVu Sans' font-weight='bold' font-size='24' fill='" + t.fg + "' opacity='0.7' letter-spacing='3'>" + xml(STORE_NAME.toUpperCase()) + "</text>"
+    + (product.niche ? "<text x='" + (W - 70) + "' y='" + (H - 50) + "' font-family='DejaVu Sans' font-weight='bold' font-size='22' fill='" + t.accent + "' text-anchor='end'>" + xml(String(product.niche).slice(0, 40)) + "</text>" : "")
+    + "</svg>";
+}
+
+// ── RENDER ────────────────────────────────────────────────────────────────────
+
+// Changes whenever anything drawn on the cover does — used in cover URLs and
+// to tell whether a stored cover is stale
+function coverKey(product) {
+  var drawn = [product.name || "", product.tagline || "", product.niche || "", product.type || "pdf_guide", product.cover_style || "classic", (product.bundle_items || []).length, STORE_NAME];
+  return crypto.createHash("sha1").update(JSON.stringify(drawn)).digest("hex").slice(0, 10);
+}
+
+// Next to the product's PDF; bundles have none and use output/products.
+// A key gives a separate file for each drawing (a rename, style or A/B variant).
+function coverPath(product, key) {
+  var base = product.file_path
+    ? path.join(path.dirname(product.file_path), path.basename(product.file_path, path.extname(product.file_path)))
+    : path.join(OUT_DIR, (product.slug || product.id || "product") + "-cover");
+  return base + (key ? "-" + key : "") + ".jpg";
+}
+
+var rendering = {};
+
+// Resolves to outputPath, or null without sharp or on a render error.
+// Written to a temp file first so a request never streams a half-written JPEG.
+function renderCover(product, outputPath) {
+  if (!sharp) return Promise.resolve(null);
+  if (rendering[outputPath]) return rendering[outputPath];
+  var tmp = outputPath + "." + process.pid + ".tmp";
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  rendering[outputPath] = sharp(Buffer.from(coverSVG(product)))
+    .flatten({ background: coverTheme(product).bg })
+    .jpeg({ quality: 88 })
+    .toFile(tmp)
+    .then(function() { fs.renameSync(tmp, outputPath); return outputPath; })
+    .catch(function(e) {
+      console.log("     \u2192 Cover render failed: " + e.message.slice(0, 80));
+      try { fs.unlinkSync(tmp); } catch(err) {}
+      return null;
+    })
+    .then(function(result) { delete rendering[outputPath]; return result; });
+  return rendering[outputPath];
+}
+
+module.exports = { available, coverTheme, coverSVG, coverKey, coverPath, renderCover, W, H };
@@ -0,0 +1,60 @@
+/**
+ * file-lock.js — Cross-Process Data File Updates
+ *
+ * The web server and the agent process that scheduler.js spawns both write
+ * store-products.json, treasury.json, unlocks.json and brain.json. update()
+ * runs a read-modify-write while holding "<file>.lock", so one process's save
+ * can't silently undo the other's. writeAtomic() replaces a file by rename, so
+ * a reader in another process never sees half of one.
+ *
+ * Only those four files are locked. The rest of data/ (coupons, checkouts,
+ * experiments, members and so on) is still a plain load-and-save.
+ */
+
+"use strict";
+
+const fs   = require("fs");
+const path = require("path");
+
+const LOCK_STALE_MS = 10000;  // a writer holds it for milliseconds; older means it crashed
+
+var held = {};  // file → nesting depth, so a nested update of the same file doesn't wait on itself
+
+function lock(file) {
+  var lockFile = file + ".lock";
+  var pause    = new Int32Array(new SharedArrayBuffer(4));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (;;) {
+    try { fs.closeSync(fs.openSync(lockFile, "wx")); return; }
+    catch(e) {
+      if (e.code !== "EEXIST") throw e;
+      try { if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) fs.unlinkSync(lockFile); } catch(err) {}
+      Atomics.wait(pause, 0, 0, 10);
+    }
+  }
+}
+
+// Runs fn() holding the file's lock and returns its result. fn loads, changes
+// and saves the file itself; other updates of it wait until fn returns.
+function update(file, fn) {
+  if (held[file]) {
+    held[file]++;
+    try { return fn(); } finally { held[file]--; }
+  }
+  lock(file);
+  held[file] = 1;
+  try { return fn(); }
+  finally {
+    delete held[file];
+    try { fs.unlinkSync(file + ".lock"); } catch(e) {}
+  }
+}
+
+function writeAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  var tmp = file + "." + process.pid + ".tmp";
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { update, writeAtomic };
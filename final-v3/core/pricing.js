@@ -56,4 +56,30 @@ function calculatePrice(nicheName, salesCount = 0) {
     reasoning: `${level} niche + ${stage} stage (${salesCount} sales) = $${price} for fastest conversion`,
   };
 }
-module.exports = { calculatePrice, getProductType, getNicheLevel };
+function calculateBundlePrice(memberPrices) {
+  const full     = memberPrices.reduce((s, p) => s + p, 0);
+  const discount = Math.min(0.5, 0.25 + 0.05 * Math.max(0, memberPrices.length - 2));
+  const raw      = full * (1 - discount);
+  let price      = raw > 97 ? Math.floor(raw / 10) * 10 + 7 : snap(raw);
+  if (price >= full) price = Math.max(...memberPrices);
+  return {
+    price, full_price: full,
+    savings: full - price,
+    discount_pct: Math.round((1 - price / full) * 100),
+    reasoning: `${memberPrices.length} products worth $${full} bundled at ${Math.round(discount * 100)}% off = $${price}`,
+  };
+}
+function calculatePwywPrice(suggested) {
+  const floor = Math.max(1, Math.floor(suggested * 0.5));
+  return {
+    suggested, floor,
+    reasoning: `pay what you want from $${floor} (suggested $${suggested}) while in launch stage`,
+  };
+}
+// factor comes from store A/B tests (brain.getLearnedDefaults) — e.g. 1.2 when
+// higher prices have kept winning for this product type
+function applyPriceFactor(price, factor) {
+  if (!factor || factor === 1 || !(price > 0)) return price;
+  return snap(price * factor);
+}
+module.exports = { calculatePrice, calculateBundlePrice, calculatePwywPrice, applyPriceFactor, getProductType, getNicheLevel, getStage };
@@ -12,6 +12,9 @@
 const fs    = require("fs");
 const path  = require("path");
 const https = require("https");
+const brain = require("./brain");
+const covers = require("./covers");
+const { applyPriceFactor } = require("./pricing");
 
 const DATA_DIR      = path.join(process.cwd(), "data");
 const OUT_DIR       = path.join(process.cwd(), "output", "products");
@@ -67,6 +70,7 @@ function parseJSON(text) {
 
 async function researchMarket(niche, apiKey, model) {
   console.log("     → Market research: " + niche);
+  const titles = brain.getLearnedDefaults(niche).winning_titles;
   const text = await callClaude(
     "You are a digital product market expert. Analyze this niche and find the best product opportunity.\n\n" +
     "NICHE: " + niche + "\n\n" +
@@ -75,6 +79,7 @@ async function researchMarket(niche, apiKey, model) {
     "- Can be underpriced vs competitors by 20-40% and still profitable\n" +
     "- Can be created with text/templates (PDF, checklist, email course, swipe file, toolkit)\n" +
     "- Has HIGH demand and LOW competition\n\n" +
+    (titles.length ? "Titles that won our store's A/B tests (write yours in the same style):\n- " + titles.join("\n- ") + "\n\n" : "") +
     "Return ONLY valid JSON, no markdown:\n" +
     "{\"opportunity\":\"one line market gap\",\"type\":\"pdf_guide\",\"title\":\"exact title that makes people buy\",\"hook\":\"why they need it now\",\"competitor_price\":27,\"our_price\":17,\"why_they_buy\":\"specific pain point solved\",\"market_insight\":\"key buyer psychology insight\"}",
     apiKey, model, 600
@@ -110,10 +115,69 @@ async function generateContent(research, niche, apiKey, model) {
 
 // ── STEP 3: GENERATE PDF ──────────────────────────────────────────────────────
 
-function generatePDF(content, outputPath) {
+function pdfEscape(s) {
+  return String(s||"").replace(/\\/g,"\\\\").replace(/\(/g,"\\(").replace(/\)/g,"\\)").replace(/[^\x20-\x7E]/g," ");
+}
+
+// Width, height and colour components from a baseline or progressive JPEG's SOF marker
+function jpegInfo(buf) {
+  let i = 2;
+  while (i + 9 < buf.length && buf[i] === 0xFF) {
+    const marker = buf[i + 1];
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7), components: buf[i + 9] };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+// One content stream per A4 page, Helvetica (F1 bold, F2 regular) — returns the file as a latin1 string.
+// images: { Im1: jpegBuffer } — drawn from a stream with "/Im1 Do".
+function buildPDF(streams, images) {
+  let pdf = "%PDF-1.4\n"; const xref = {}; const objs = [];
+  function obj(id, c) { xref[id] = pdf.length; pdf += id + " 0 obj\n" + c + "\nendobj\n"; }
+
+  let nextId = 5; const xobjects = [];
+  Object.keys(images || {}).forEach(function(name) {
+    const data = images[name]; const info = jpegInfo(data);
+    if (!info) return;
+    const iid = nextId++;
+    objs.push([iid, "<< /Type /XObject /Subtype /Image /Width " + info.width + " /Height " + info.height
+      + " /ColorSpace /" + (info.components === 1 ? "DeviceGray" : info.components === 4 ? "DeviceCMYK" : "DeviceRGB")
+      + " /BitsPerComponent 8 /Filter /DCTDecode /Length " + data.length + " >>\nstream\n" + data.toString("latin1") + "\nendstream"]);
+    xobjects.push("/" + name + " " + iid + " 0 R");
+  });
+  const resources = "/Font << /F1 3 0 R /F2 4 0 R >>" + (xobjects.length ? " /XObject << " + xobjects.join(" ") + " >>" : "");
+
+  const pageIds = [];
+  for (const stream of streams) {
+    const sid = nextId++;
+    objs.push([sid, "<< /Length " + Buffer.byteLength(stream, "latin1") + " >>\nstream\n" + stream + "\nendstream"]);
+    const pid = nextId++;
+    objs.push([pid, "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents " + sid + " 0 R /Resources << " + resources + " >> >>"]);
+    pageIds.push(pid);
+  }
+
+  obj(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  obj(2, "<< /Type /Pages /Kids [" + pageIds.map(function(id){return id+" 0 R";}).join(" ") + "] /Count " + pageIds.length + " >>");
+  obj(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  obj(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  for (const [id, c] of objs) { obj(id, c); }
+
+  const xrefPos = pdf.length;
+  const maxId   = nextId - 1;
+  pdf += "xref\n0 " + (maxId + 1) + "\n0000000000 65535 f \n";
+  for (let i = 1; i <= maxId; i++) { pdf += String(xref[i]||0).padStart(10,"0") + " 00000 n \n"; }
+  pdf += "trailer\n<< /Size " + (maxId+1) + " /Root 1 0 R >>\nstartxref\n" + xrefPos + "\n%%EOF\n";
+  return pdf;
+}
+
+// cover: optional { jpeg, bg } from covers.js — becomes a full-bleed first page
+function generatePDF(content, outputPath, cover) {
   fs.mkdirSync(path.dirname(outputPath), { recursive: true });
 
-  function esc(s) { return String(s||"").replace(/\\/g,"\\\\").replace(/\(/g,"\\(").replace(/\)/g,"\\)").replace(/[^\x20-\x7E]/g," "); }
+  const esc = pdfEscape;
   function wrap(text, max) {
     const words = String(text||"").split(" "); const lines = []; let line = "";
     for (const w of words) {
@@ -123,17 +187,25 @@ function generatePDF(content, outputPath) {
   }
 
   const streams = [];
+  const info    = cover && jpegInfo(cover.jpeg);
 
-  // Cover page
-  let cover = ["BT /F1 26 Tf 50 760 Td (" + esc(content.name) + ") Tj ET",
+  // Raster cover, scaled to the page width and centred on its background colour
+  if (info) {
+    const h   = Math.round(595 * info.height / info.width);
+    const rgb = (cover.bg || "#000000").replace("#", "").match(/../g).map(function(x) { return (parseInt(x, 16) / 255).toFixed(3); }).join(" ");
+    streams.push(rgb + " rg 0 0 595 842 re f\nq 595 0 0 " + h + " 0 " + Math.round((842 - h) / 2) + " cm /Im1 Do Q");
+  }
+
+  // Title page
+  let title = ["BT /F1 26 Tf 50 760 Td (" + esc(content.name) + ") Tj ET",
     "BT /F2 13 Tf 50 720 Td (" + esc(content.tagline) + ") Tj ET",
     "0.15 0.35 0.75 rg 50 710 495 2 re f 0 0 0 rg"];
   let y = 685;
   (content.bullets||[]).slice(0,5).forEach(function(b) {
-    cover.push("BT /F2 11 Tf 60 " + y + " Td (  checkmark  " + esc(b) + ") Tj ET"); y -= 22;
+    title.push("BT /F2 11 Tf 60 " + y + " Td (  checkmark  " + esc(b) + ") Tj ET"); y -= 22;
   });
-  cover.push("BT /F2 9 Tf 50 50 Td (For personal use only.) Tj ET");
-  streams.push(cover.join("\n"));
+  title.push("BT /F2 9 Tf 50 50 Td (For personal use only.) Tj ET");
+  streams.push(title.join("\n"));
 
   // Intro page from description
   if (content.description) {
@@ -153,7 +225,7 @@ function generatePDF(content, outputPath) {
       if (sy < 60) return;
       slines.push("BT /F2 11 Tf 50 " + sy + " Td (" + esc(l) + ") Tj ET"); sy -= 16;
     });
-    slines.push("BT /F2 8 Tf 50 40 Td (Page " + (i+3) + ") Tj ET");
+    slines.push("BT /F2 8 Tf 50 40 Td (Page " + (i + (info ? 4 : 3)) + ") Tj ET");
     streams.push(slines.join("\n"));
   });
 
@@ -165,83 +237,119 @@ function generatePDF(content, outputPath) {
     streams.push(clines.join("\n"));
   }
 
-  // Build PDF
-  let pdf = "%PDF-1.4\n"; const xref = {}; const objs = [];
-  function obj(id, c) { xref[id] = pdf.length; pdf += id + " 0 obj\n" + c + "\nendobj\n"; }
+  const pdf = buildPDF(streams, info ? { Im1: cover.jpeg } : null);
+  fs.writeFileSync(outputPath, pdf, "latin1");
+  console.log("     → PDF: " + streams.length + " pages, " + Math.round(pdf.length/1024) + "KB — " + path.basename(outputPath));
+  return outputPath;
+}
 
-  const pageIds = []; let nextId = 5;
-  for (const stream of streams) {
-    const sid = nextId++;
-    objs.push([sid, "<< /Length " + Buffer.byteLength(stream, "latin1") + " >>\nstream\n" + stream + "\nendstream"]);
-    const pid = nextId++;
-    objs.push([pid, "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents " + sid + " 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> >>"]);
-    pageIds.push(pid);
-  }
+// Adds one footer line to every page of a PDF written by generatePDF, as an
+// incremental update appended after %%EOF — the original bytes stay intact.
+// Returns the input unchanged if the file isn't in that shape.
+function stampFooter(buf, text) {
+  const src      = buf.toString("latin1");
+  const startx   = src.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+  const trailers = src.match(/trailer\s*<<[^]*?>>/g);
+  if (!startx || !trailers) return buf;
+  const trailer = trailers[trailers.length - 1];
+  const size    = trailer.match(/\/Size (\d+)/);
+  const root    = trailer.match(/\/Root (\d+ \d+ R)/);
+  if (!size || !root) return buf;
+
+  const pages = [];
+  const re = /(\d+) 0 obj\n(<< \/Type \/Page [^\n]*\/Contents (\d+) 0 R[^\n]*>>)\nendobj/g;
+  let m;
+  while ((m = re.exec(src))) pages.push({ id: parseInt(m[1]), dict: m[2], contents: m[3] });
+  if (pages.length === 0) return buf;
+
+  const stream = "BT /F2 8 Tf 50 25 Td (" + pdfEscape(text) + ") Tj ET";
+  const sid    = parseInt(size[1]);
+  let out = "\n"; const xref = {};
+  function obj(id, c) { xref[id] = src.length + out.length; out += id + " 0 obj\n" + c + "\nendobj\n"; }
+
+  obj(sid, "<< /Length " + Buffer.byteLength(stream, "latin1") + " >>\nstream\n" + stream + "\nendstream");
+  pages.forEach(function(p) { obj(p.id, p.dict.replace("/Contents " + p.contents + " 0 R", "/Contents [" + p.contents + " 0 R " + sid + " 0 R]")); });
+
+  const xrefPos = src.length + out.length;
+  out += "xref\n0 1\n0000000000 65535 f \n";
+  Object.keys(xref).map(Number).sort(function(a, b) { return a - b; }).forEach(function(id) {
+    out += id + " 1\n" + String(xref[id]).padStart(10,"0") + " 00000 n \n";
+  });
+  out += "trailer\n<< /Size " + (sid + 1) + " /Root " + root[1] + " /Prev " + startx[1] + " >>\nstartxref\n" + xrefPos + "\n%%EOF\n";
+  return Buffer.concat([buf, Buffer.from(out, "latin1")]);
+}
 
-  obj(1, "<< /Type /Catalog /Pages 2 0 R >>");
-  obj(2, "<< /Type /Pages /Kids [" + pageIds.map(function(id){return id+" 0 R";}).join(" ") + "] /Count " + pageIds.length + " >>");
-  obj(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
-  obj(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
-  for (const [id, c] of objs) { obj(id, c); }
+// Single-page invoice for a store order, drawn with the same writer as the guides.
+// invoice: { number, date, currency, seller: { name, address, tax_id },
+//            buyer: { email, location }, lines: [{ name, amount }], subtotal,
+//            discount, coupon, tax: { label, rate, amount }, total, note }
+// Returns the PDF as a Buffer; nothing is written to disk.
+function generateInvoicePDF(invoice) {
+  const esc   = pdfEscape;
+  const money = function(n) { return String(invoice.currency || "usd").toUpperCase() + " " + (Number(n) || 0).toFixed(2); };
+  const text  = function(font, size, x, y, s) { return "BT /" + font + " " + size + " Tf " + x + " " + y + " Td (" + esc(s) + ") Tj ET"; };
+  const seller = invoice.seller || {};
+  const buyer  = invoice.buyer || {};
+
+  const page = [text("F1", 26, 50, 770, "INVOICE"),
+    text("F2", 11, 50, 745, "Invoice no. " + invoice.number),
+    text("F2", 11, 50, 729, "Date: " + String(invoice.date || "").slice(0, 10))];
+  let sy = 770;
+  [seller.name].concat(String(seller.address || "").split(/\n|,\s*/)).filter(Boolean).forEach(function(l, i) {
+    page.push(text(i === 0 ? "F1" : "F2", i === 0 ? 12 : 10, 340, sy, l)); sy -= 15;
+  });
+  if (seller.tax_id) page.push(text("F2", 10, 340, sy, "Tax ID: " + seller.tax_id));
 
-  const xrefPos = pdf.length;
-  const maxId   = nextId - 1;
-  pdf += "xref\n0 " + (maxId + 1) + "\n0000000000 65535 f \n";
-  for (let i = 1; i <= maxId; i++) { pdf += String(xref[i]||0).padStart(10,"0") + " 00000 n \n"; }
-  pdf += "trailer\n<< /Size " + (maxId+1) + " /Root 1 0 R >>\nstartxref\n" + xrefPos + "\n%%EOF\n";
+  page.push(text("F1", 11, 50, 685, "Bill to"), text("F2", 11, 50, 669, buyer.email));
+  if (buyer.location) page.push(text("F2", 11, 50, 653, buyer.location));
 
-  fs.writeFileSync(outputPath, pdf, "latin1");
-  console.log("     → PDF: " + streams.length + " pages, " + Math.round(pdf.length/1024) + "KB — " + path.basename(outputPath));
-  return outputPath;
+  page.push("0.15 0.35 0.75 rg 50 615 495 2 re f 0 0 0 rg",
+    text("F1", 10, 50, 625, "Description"), text("F1", 10, 450, 625, "Amount"));
+  let y = 595;
+  (invoice.lines || []).forEach(function(l) {
+    page.push(text("F2", 11, 50, y, String(l.name).slice(0, 70)), text("F2", 11, 450, y, money(l.amount))); y -= 18;
+  });
+  page.push("0.8 0.8 0.8 RG 300 " + (y + 6) + " 245 1 re S 0 0 0 RG"); y -= 14;
+
+  const totals = [["Subtotal", invoice.subtotal]];
+  if (invoice.discount) totals.push(["Discount" + (invoice.coupon ? " (" + invoice.coupon + ")" : ""), -invoice.discount]);
+  if (invoice.tax && invoice.tax.rate) totals.push([invoice.tax.label + " (" + invoice.tax.rate + "%)", invoice.tax.amount]);
+  totals.forEach(function(t) { page.push(text("F2", 11, 300, y, t[0]), text("F2", 11, 450, y, money(t[1]))); y -= 18; });
+  page.push(text("F1", 12, 300, y - 4, "Total"), text("F1", 12, 450, y - 4, money(invoice.total)));
+
+  if (invoice.note) page.push(text("F2", 9, 50, 60, invoice.note));
+  return Buffer.from(buildPDF([page.join("\n")]), "latin1");
 }
 
 // ── STEP 4: PUBLISH TO OUR OWN STORE ─────────────────────────────────────────
 // Self-hosted store on Railway — no platform fees, full control.
 // Stripe handles payments, Resend handles email delivery.
 
-async function publishToStore(content, pdfPath, price, niche, type) {
+async function publishToStore(content, pdfPath, price, niche, type, coverPath) {
   console.log("     → Publishing to store...");
   try {
-    // Inline product creation — writes directly to store-products.json
-    var DATA_DIR   = require("path").join(process.cwd(), "data");
-    var STORE_FILE = require("path").join(DATA_DIR, "store-products.json");
-    require("fs").mkdirSync(DATA_DIR, { recursive: true });
-
-    var storeData = { products: [], orders: [] };
-    try { storeData = JSON.parse(require("fs").readFileSync(STORE_FILE, "utf8")); } catch(e) {}
-
-    // Skip duplicates
-    var existing = storeData.products.find(function(p) { return p.name === content.name; });
-    if (existing) {
-      console.log("     → Store: already exists — " + (content.name||"").slice(0,50));
-      var baseUrl0 = process.env.RAILWAY_PUBLIC_DOMAIN ? "https://"+process.env.RAILWAY_PUBLIC_DOMAIN : "http://localhost:"+(process.env.PORT||3000);
-      return { id: existing.id, url: baseUrl0+"/store/buy/"+existing.id, name: existing.name, price: existing.price };
-    }
-
-    var productId = "prod_" + Date.now();
-    var entry = {
-      id:          productId,
+    // Goes through the store so its writes are locked against the web process.
+    // Regenerated content for an existing product ships as a new edition — the
+    // store emails past buyers. Required here: store.js requires this module.
+    var store = require("./store");
+    var entry = store.addProduct({
       name:        content.name || "Digital Guide",
-      description: content.description || content.tagline || "A helpful digital guide.",
+      description: content.description || content.tagline || undefined,
+      tagline:     content.tagline || undefined,
+      bullets:     content.bullets ? content.bullets.slice(0, 5) : undefined,
+      toc:         (content.sections || []).map(function(s, i) { return s.title || ("Section " + (i + 1)); }),
       price:       price,
       file_path:   pdfPath,
       niche:       niche || "",
       type:        type || "pdf_guide",
-      created:     new Date().toISOString(),
-      sales:       0,
-      active:      true,
-    };
-    storeData.products.push(entry);
-    storeData.updated = new Date().toISOString();
-    require("fs").writeFileSync(STORE_FILE, JSON.stringify(storeData, null, 2));
-
-    var baseUrl = process.env.RAILWAY_PUBLIC_DOMAIN
-      ? "https://" + process.env.RAILWAY_PUBLIC_DOMAIN
-      : "http://localhost:" + (process.env.PORT || 3000);
-    var storeUrl = baseUrl + "/store/buy/" + productId;
-    console.log("     ✓ Store: added [" + entry.name.slice(0,50) + "] @ $" + price);
+      changelog:   content.changelog || "",
+      cover_path:  coverPath || undefined,
+    });
+    if (!entry) return null;
+
+    var storeUrl = store.productUrl(entry);
     console.log("     ✓ Live on store: " + storeUrl);
-    return { id: productId, url: storeUrl, name: entry.name, price };
+    return { id: entry.id, url: storeUrl, name: entry.name, price: entry.price, version: entry.version || 1, cover_url: coverPath ? store.coverUrl(entry) : null };
   } catch(e) {
     console.log("     → Store publish error: " + e.message.slice(0,100));
     return null;
@@ -281,14 +389,28 @@ async function run(niche, apiKey, model) {
     // Research → Content → PDF → Publish
     const research = await researchMarket(niche, apiKey, model);
     console.log("     → Type: " + research.type + " | Price: $" + research.competitor_price + " → $" + research.our_price + " (undercut)");
+    // Store A/B tests move the starting price for this product type
+    const learnedPrice = applyPriceFactor(research.our_price, brain.getLearnedDefaults(niche, research.type).price_factor);
+    if (learnedPrice !== research.our_price) {
+      console.log("     → Learned price: $" + research.our_price + " → $" + learnedPrice + " (store A/B tests)");
+      research.our_price = learnedPrice;
+    }
 
     const content  = await generateContent(research, niche, apiKey, model);
     const safeName = (content.name||research.title).replace(/[^a-z0-9]+/gi,"-").toLowerCase().slice(0,40);
-    const pdfPath  = path.join(OUT_DIR, safeName + ".pdf");
-    generatePDF(content, pdfPath);
+    // A regenerated product gets a new file instead of overwriting the old one, so
+    // each edition in the product's history keeps its own. Buyers always download
+    // the latest edition.
+    let pdfPath    = path.join(OUT_DIR, safeName + ".pdf");
+    if (fs.existsSync(pdfPath)) pdfPath = path.join(OUT_DIR, safeName + "-" + Date.now() + ".pdf");
+
+    // Cover drawn as the store will show it, saved next to the PDF and used as its first page
+    const coverFor  = { name: content.name, tagline: content.tagline, niche: niche, type: research.type, cover_style: brain.getLearnedDefaults(niche, research.type).cover_style || undefined };
+    const coverPath = await covers.renderCover(coverFor, pdfPath.replace(/\.pdf$/, ".jpg"));
+    generatePDF(content, pdfPath, coverPath ? { jpeg: fs.readFileSync(coverPath), bg: covers.coverTheme(coverFor).bg } : null);
 
     // Publish to our self-hosted Railway store
-    const published = await publishToStore(content, pdfPath, research.our_price, niche, research.type);
+    const published = await publishToStore(content, pdfPath, research.our_price, niche, research.type, coverPath);
     recordProduct(content.name, research.type, niche, research.our_price, published ? published.url : null, "store");
 
     return {
@@ -298,6 +420,8 @@ async function run(niche, apiKey, model) {
       price:            research.our_price,
       competitor_price: research.competitor_price,
       pdf_path:         pdfPath,
+      cover_path:       coverPath,
+      cover_url:        published ? published.cover_url || null : null,
       url:              published ? published.url : null,
       insight:          research.market_insight || research.opportunity,
     };
@@ -307,4 +431,4 @@ async function run(niche, apiKey, model) {
   }
 }
 
-module.exports = { run, getStats, generatePDF, researchMarket };
+module.exports = { run, getStats, generatePDF, generateInvoicePDF, stampFooter, researchMarket };
@@ -7,11 +7,39 @@
  *
  * Routes:
  *   GET  /store              — storefront
+ *   GET  /store/p/:slug      — product detail page (SEO, Open Graph, JSON-LD)
  *   GET  /store/buy/:id      — product checkout page
+ *   POST /store/free/:id     — claim a free product (email + consent)
+ *   GET  /store/cart         — cart (localStorage) + multi-item checkout
  *   POST /store/checkout/:id — create Stripe payment intent
- *   GET  /store/success      — post-payment + email delivery
+ *   POST /store/checkout     — create one payment intent for the whole cart
+ *   POST /store/quote        — server-computed total (coupons and tax applied)
+ *   POST /store/webhook/stripe — verified Stripe events (orders + delivery)
+ *   GET  /store/success      — post-payment confirmation page
  *   GET  /store/download/:t  — secure file download
- *   GET  /store/admin        — admin dashboard
+ *   GET  /store/license/:key — license key verification (JSON)
+ *   GET  /store/orders       — order lookup (emails a magic link)
+ *   GET  /store/orders/view/:t — order history with fresh download links
+ *   GET  /store/invoice/:t   — invoice PDF for a paid order
+ *   GET  /store/review/:t    — verified-buyer review form (link from the receipt)
+ *   GET  /store/recover/optout/:t — opt out of unfinished-checkout reminders
+ *   GET  /store/partners     — referral program sign-up (emails the partner's link)
+ *   GET  /store/partners/stats/:t — a partner's clicks, orders and commission
+ *   GET  /store/membership   — all-access membership (Stripe Checkout subscription)
+ *   GET  /store/library      — member library (emails a magic link)
+ *   GET  /store/library/:t   — every product with fresh download links, for members
+ *   GET  /store/admin        — admin dashboard (dashboard session required)
+ *   GET  /store/admin/product/:id — edit, hide, replace file, archive
+ *   GET  /store/admin/reviews — review moderation queue
+ *   GET  /store/admin/referrals — partners and payable commissions (.csv too)
+ *   GET  /store/feed.json    — Merchant-style product feed (?currency= optional)
+ *   GET  /store/feed.xml     — Atom feed of the newest products
+ *   GET  /store/cover/:id.jpg — raster cover (see COVERS; ?v= picks an A/B variant)
+ *   GET  /sitemap.xml, /robots.txt — routed here by the dashboard server
+ *
+ * Page views, checkouts, payments and downloads are logged to
+ * data/store-events.jsonl for per-product funnels (see FUNNEL ANALYTICS)
+ * and for price/title/cover A/B tests (see EXPERIMENTS).
  */
 
 "use strict";
@@ -21,46 +49,148 @@ const path   = require("path");
 const https  = require("https");
 const crypto = require("crypto");
 const url    = require("url");
+const { auditLog, validateSession, checkIP } = require("../security/vault");
+const { calculateBundlePrice, calculatePwywPrice, getStage } = require("./pricing");
+const { stampFooter, generateInvoicePDF } = require("./product-engine");
+const treasury = require("./treasury");
+const brain    = require("./brain");
+const covers   = require("./covers");
+const fileLock = require("./file-lock");
+const notify   = require("../notifications/notify");
 
 const DATA_DIR  = path.join(process.cwd(), "data");
 const STORE_FILE = path.join(DATA_DIR, "store-products.json");
+const LEDGER_FILE = path.join(DATA_DIR, "store-orders.jsonl");
+const COUPON_FILE = path.join(DATA_DIR, "store-coupons.json");
+const SUBSCRIBER_FILE = path.join(DATA_DIR, "store-subscribers.json");
+const MEMBER_FILE = path.join(DATA_DIR, "store-members.json");
+const TAX_FILE    = path.join(DATA_DIR, "store-tax.json");
+const RATES_FILE  = path.join(DATA_DIR, "store-rates.json");
+const EVENT_FILE  = path.join(DATA_DIR, "store-events.jsonl");
+const REVIEW_FILE = path.join(DATA_DIR, "store-reviews.json");
+const CHECKOUT_FILE = path.join(DATA_DIR, "store-checkouts.json");
+const PARTNER_FILE  = path.join(DATA_DIR, "store-partners.json");
+const EXPERIMENT_FILE = path.join(DATA_DIR, "store-experiments.json");
+const UPLOAD_DIR  = path.join(process.cwd(), "output", "products");
+const BUNDLE_MIN_PRODUCTS = parseInt(process.env.STORE_BUNDLE_MIN || 5);
+const MAX_DOWNLOADS       = parseInt(process.env.STORE_MAX_DOWNLOADS || 5); // per product, per order
+const LICENSED_TYPES      = ["template_pack", "toolkit"];
+const PWYW_LAUNCH         = process.env.STORE_PWYW_LAUNCH === "true"; // default launch-stage products to pay-what-you-want
+const PWYW_MAX_MULTIPLE   = 10; // cap on a pay-what-you-want amount, as a multiple of the suggested price
+const MEMBERSHIP_PRICE_ID = process.env.STORE_MEMBERSHIP_PRICE_ID || "";   // recurring Stripe Price
+const MEMBERSHIP_LABEL    = process.env.STORE_MEMBERSHIP_LABEL || "$19/month";
+const MEMBER_GRACE_MS     = 86400000; // access survives a late renewal webhook by a day
+const MAX_UPLOAD_BYTES    = 50 * 1024 * 1024;
+const UPSELL_PERCENT      = parseInt(process.env.STORE_UPSELL_PERCENT || 20);  // 0 = recommend without a discount
+const UPSELL_HOURS        = parseInt(process.env.STORE_UPSELL_HOURS || 48);
+const STORE_NAME          = process.env.STORE_NAME || "SmallBiz AI Daily";
+const FUNNEL_DAYS         = parseInt(process.env.STORE_FUNNEL_DAYS || 30);  // window for conversion reporting
+const REVIEW_DAYS         = parseInt(process.env.STORE_REVIEW_DAYS || 90);  // lifetime of the review link in the receipt
+const RECOVERY_HOURS      = parseFloat(process.env.STORE_RECOVERY_HOURS || 3); // unpaid checkout → one reminder; 0 = off
+const RECOVERY_COUPON     = process.env.STORE_RECOVERY_COUPON || "";           // existing coupon code offered in the reminder
+const REFERRAL_PERCENT    = parseFloat(process.env.STORE_REFERRAL_PERCENT || 30); // partner commission on pre-tax revenue; 0 = no program
+const REFERRAL_DAYS       = parseInt(process.env.STORE_REFERRAL_DAYS || 30);      // how long a ?ref= click is credited
+const REFERRAL_HOLD_DAYS  = parseInt(process.env.STORE_REFERRAL_HOLD_DAYS || 30); // commission becomes payable once refunds are unlikely
+const AB_MIN_VISITORS     = parseInt(process.env.STORE_AB_MIN_VISITORS || 100);   // per variant, before a test can be decided
+const AB_MAX_DAYS         = parseInt(process.env.STORE_AB_MAX_DAYS || 30);        // undecided tests end and keep the control
+const SELLER = {  // printed on invoices
+  name:    process.env.STORE_SELLER_NAME || process.env.EMAIL_FROM_NAME || "Digital Store",
+  address: process.env.STORE_SELLER_ADDRESS || "",
+  tax_id:  process.env.STORE_SELLER_TAX_ID || "",
+};
 
 // ── PERSISTENCE ───────────────────────────────────────────────────────────────
 
 function loadStore() {
   try {
-    if (fs.existsSync(STORE_FILE)) return JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+    if (fs.existsSync(STORE_FILE)) {
+      var data = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+      data.events = data.events || [];
+      return data;
+    }
   } catch(e) {}
-  return { products: [], orders: [] };
+  return { products: [], orders: [], events: [] };
 }
 
+// Replaced by rename so a reader in another process never sees half a file
 function saveStore(data) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
   data.updated = new Date().toISOString();
-  fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2));
+  fileLock.writeAtomic(STORE_FILE, JSON.stringify(data, null, 2));
+}
+
+// The agent process (product engine, bundles) writes this file too, so every
+// read-modify-write of store-products.json goes through updateStore, under
+// its lock (see file-lock.js). The other store files below aren't locked.
+// Calls nested inside fn share the outer store and write.
+var storeTxn = null;
+
+function updateStore(fn) {
+  if (storeTxn) return fn(storeTxn);
+  return fileLock.update(STORE_FILE, function() {
+    storeTxn = loadStore();
+    try {
+      var result = fn(storeTxn);
+      saveStore(storeTxn);
+      return result;
+    } finally {
+      storeTxn = null;
+    }
+  });
 }
 
 function addProduct(product) {
-  const store = loadStore();
-  const exists = store.products.find(function(p) { return p.name === product.name; });
-  if (exists) { console.log("     → Store: product already exists — " + product.name.slice(0,50)); return exists; }
-  const id    = "prod_" + Date.now();
-  const entry = {
-    id,
-    name:        product.name || "Digital Guide",
-    description: product.description || product.tagline || "",
-    price:       product.price,
-    file_path:   product.file_path || null,
-    niche:       product.niche || "",
-    type:        product.type || "pdf_guide",
-    created:     new Date().toISOString(),
-    sales:       0,
-    active:      true,
-  };
-  store.products.push(entry);
-  saveStore(store);
-  console.log("     \u2713 Store: added \"" + entry.name.slice(0,50) + "\" @ $" + entry.price);
-  return entry;
+  var released = null;
+  var result = updateStore(function(store) {
+    // A product renamed by the admin or an A/B test is still found by its old name
+    const exists = store.products.find(function(p) { return p.name === product.name || (p.former_names || []).indexOf(product.name) >= 0; });
+    // Regenerated content for an existing product ships as a new edition
+    if (exists && product.file_path && product.file_path !== exists.file_path && exists.type !== "bundle" && !exists.archived) {
+      released = addVersion(exists.id, product);
+      return released.product;
+    }
+    if (exists) { console.log("     → Store: product already exists — " + product.name.slice(0,50)); return exists; }
+    const id    = "prod_" + crypto.randomBytes(6).toString("hex");  // proposeBundles can add several in one millisecond
+    const entry = {
+      id,
+      slug:        uniqueSlug(store, product.name || "Digital Guide", id),
+      name:        product.name || "Digital Guide",
+      description: product.description || product.tagline || "",
+      tagline:     product.tagline || "",
+      bullets:     product.bullets || [],
+      toc:         product.toc || [],
+      price:       product.price,
+      file_path:   product.file_path || null,
+      niche:       product.niche || "",
+      type:        product.type || "pdf_guide",
+      pricing_mode: product.pricing_mode || (PWYW_LAUNCH ? "pwyw" : "fixed"),
+      cover_style: product.cover_style || brain.getLearnedDefaults(product.niche || "", product.type || "pdf_guide").cover_style || undefined,
+      created:     new Date().toISOString(),
+      sales:       0,
+      active:      true,
+    };
+    if (entry.pricing_mode === "pwyw" && entry.price > 0) entry.min_price = product.min_price || calculatePwywPrice(entry.price).floor;
+
+    // Bundles hold no file of their own — they deliver every member's file
+    if (entry.type === "bundle") {
+      const members = (product.bundle_items || []).map(function(mid) {
+        return store.products.find(function(p) { return p.id === mid && p.active && p.type !== "bundle"; });
+      }).filter(Boolean);
+      if (members.length < 2) { console.log("     → Store: bundle needs 2+ active products — " + entry.name.slice(0,50)); return null; }
+      const pricing = calculateBundlePrice(members.map(function(m) { return m.price; }));
+      entry.bundle_items = members.map(function(m) { return m.id; });
+      entry.full_price   = pricing.full_price;
+      entry.price        = product.price || pricing.price;
+      entry.file_path    = null;
+      entry.pricing_mode = "fixed";
+      delete entry.min_price;
+    }
+    if (product.cover_path) { entry.cover_path = product.cover_path; entry.cover_key = covers.coverKey(entry); }
+    store.products.push(entry);
+    console.log("     \u2713 Store: added \"" + entry.name.slice(0,50) + "\" @ $" + entry.price);
+    return entry;
+  });
+  if (released) notifyPastBuyers(released.product, released.version).catch(function(e) { console.log("     \u2192 Store: version emails failed: " + e.message.slice(0,80)); });
+  return result;
 }
 
 function getActiveProducts() {
@@ -71,105 +201,2536 @@ function getProduct(id) {
   return loadStore().products.find(function(p) { return p.id === id; });
 }
 
-function recordOrder(productId, email, paymentIntentId) {
-  const store = loadStore();
-  store.orders.push({ id:"order_"+Date.now(), product_id:productId, email, payment_intent:paymentIntentId, date:new Date().toISOString() });
-  const p = store.products.find(function(x){ return x.id === productId; });
-  if (p) p.sales = (p.sales||0) + 1;
-  if (store.orders.length > 1000) store.orders = store.orders.slice(-1000);
-  saveStore(store);
+// Slugs are fixed when a product is created so renames don't break links.
+// Products from before slugs existed fall back to one derived from the name.
+function slugify(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "product";
+}
+
+function uniqueSlug(store, name, id) {
+  var slug = slugify(name);
+  return store.products.some(function(p) { return productSlug(p) === slug; }) ? slug + "-" + id.slice(-4) : slug;
+}
+
+function productSlug(product) {
+  return product.slug || slugify(product.name);
+}
+
+function getProductBySlug(slug) {
+  var products = loadStore().products;
+  return products.find(function(p) { return p.slug === slug; })
+    || products.find(function(p) { return !p.slug && slugify(p.name) === slug; });
+}
+
+function productUrl(product) {
+  return getBaseUrl() + "/store/p/" + productSlug(product);
+}
+
+// Admin edits. Returns { product, changes } with only the fields that moved,
+// or { error }.
+function updateProduct(id, fields) {
+  return updateStore(function(store) {
+    const product = store.products.find(function(p) { return p.id === id; });
+    if (!product) return { error:"Product not found." };
+    const next = {};
+    if (fields.name !== undefined) {
+      next.name = String(fields.name).trim();
+      if (!next.name) return { error:"Name can't be empty." };
+      if (store.products.some(function(p) { return p.id !== id && p.name === next.name; })) return { error:"Another product already has that name." };
+    }
+    if (fields.description !== undefined) next.description = String(fields.description).trim();
+    if (fields.niche !== undefined)       next.niche       = String(fields.niche).trim();
+    if (fields.price !== undefined) {
+      next.price = round2(parseFloat(fields.price));
+      if (!(next.price >= 0)) return { error:"Price must be a number of 0 or more." };
+      if (product.type === "bundle" && next.price === 0) return { error:"Bundles can't be free." };
+    }
+    if (fields.active !== undefined) {
+      next.active = fields.active === true || fields.active === "on" || fields.active === "yes";
+      if (next.active && product.archived) return { error:"Archived products can't be re-activated." };
+    }
+    if (fields.prices !== undefined) {
+      next.prices = {};
+      for (var cur in fields.prices) {
+        if (!normalizeCurrency(cur) || cur === "usd" || fields.prices[cur] === "" || fields.prices[cur] === undefined) continue;
+        var point = round2(parseFloat(fields.prices[cur]));
+        if (!(point > 0)) return { error:"Price points must be more than 0." };
+        next.prices[cur] = point;
+      }
+    }
+    if (next.prices && Object.keys(next.prices).length === 0 && !product.prices) delete next.prices;
+    if (fields.file_path !== undefined)   next.file_path   = fields.file_path;
+    if (fields.archived !== undefined)    next.archived    = !!fields.archived;
+    if (fields.cover_style !== undefined) {
+      if (COVER_STYLES.indexOf(fields.cover_style) < 0) return { error:"Unknown cover style." };
+      next.cover_style = fields.cover_style;
+    }
+
+    const changes = {};
+    Object.keys(next).forEach(function(k) {
+      if (JSON.stringify(product[k]) !== JSON.stringify(next[k])) { changes[k] = { from:product[k], to:next[k] }; product[k] = next[k]; }
+    });
+    // A quiet file fix replaces the current edition in the version history too
+    const edition = changes.file_path && (product.versions || []).find(function(v) { return v.version === product.version; });
+    if (edition) edition.file_path = product.file_path;
+    if (changes.name) product.former_names = (product.former_names || []).concat([changes.name.from]).slice(-10);
+    if (Object.keys(changes).length) {
+      product.updated = new Date().toISOString();
+    }
+    return { product, changes };
+  });
+}
+
+// The products whose files a purchase of this product delivers
+function deliverables(product) {
+  if (!product) return [];
+  if (product.type !== "bundle") return [product];
+  return (product.bundle_items || []).map(getProduct).filter(Boolean);
+}
+
+// Launch-stage products (pricing.getStage) can be pay-what-you-want: price is
+// the suggested amount and min_price the floor. Once a product leaves launch
+// stage it sells at its fixed price again.
+function isPwyw(product) {
+  if (!product || product.type === "bundle" || isFree(product)) return false;
+  const mode = product.pricing_mode || (PWYW_LAUNCH ? "pwyw" : "fixed");
+  return mode === "pwyw" && getStage(product.sales || 0) === "launch";
+}
+
+function minPrice(product) {
+  return product.min_price || calculatePwywPrice(product.price).floor;
+}
+
+// $0 products are lead magnets: no Stripe, just an email and consent
+function isFree(product) {
+  return !!product && product.type !== "bundle" && Number(product.price) === 0;
+}
+
+// Once a niche has BUNDLE_MIN_PRODUCTS active products, offer them all as one
+// bundle. A niche keeps a single active bundle; it is replaced when another
+// BUNDLE_MIN_PRODUCTS products have been published since it was made.
+function proposeBundles(minProducts) {
+  const min     = minProducts || BUNDLE_MIN_PRODUCTS;
+  const active  = getActiveProducts();
+  const created = [];
+  const niches  = {};
+  active.forEach(function(p) {
+    if (p.type === "bundle" || isFree(p) || !p.niche) return;
+    (niches[p.niche] = niches[p.niche] || []).push(p);
+  });
+
+  Object.keys(niches).forEach(function(niche) {
+    const members = niches[niche];
+    if (members.length < min) return;
+    const current = active.find(function(p) { return p.type === "bundle" && p.niche === niche; });
+    if (current) {
+      const missing = members.filter(function(m) { return current.bundle_items.indexOf(m.id) < 0; });
+      if (missing.length < min) return;
+    }
+    const bundle = addProduct({
+      name:         "The Complete " + niche + " Bundle (" + members.length + " Guides)",
+      description:  "Every " + niche + " guide in one download: " + members.map(function(m) { return m.name; }).join("; ") + ".",
+      niche:        niche,
+      type:         "bundle",
+      bundle_items: members.map(function(m) { return m.id; }),
+    });
+    if (!bundle || bundle === current) return;
+    if (current) {
+      updateStore(function(store) {
+        store.products.find(function(p) { return p.id === current.id; }).active = false;
+      });
+    }
+    auditLog("STORE_BUNDLE_CREATED", { id:bundle.id, niche, items:bundle.bundle_items.length, price:bundle.price, replaced:current ? current.id : null });
+    created.push(bundle);
+  });
+  return created;
+}
+
+// items: [{ product_id, name, price }] — one entry per line item in the PaymentIntent
+// details: extra order fields (e.g. coupon) merged onto the record
+function recordOrder(items, email, paymentIntentId, amount, details) {
+  const existing = paymentIntentId && getOrderByPaymentIntent(paymentIntentId);
+  if (existing) return existing;
+  return updateStore(function(store) {
+    const order = Object.assign({ id:"order_" + Date.now() + "_" + crypto.randomBytes(3).toString("hex"), items, email, payment_intent:paymentIntentId, amount:amount, status:"paid", date:new Date().toISOString() }, details || {});
+    const licenses = issueLicenses(store, items);
+    if (licenses.length) order.licenses = licenses;
+    appendLedger({ t:"order", order:order });
+    items.forEach(function(item) {
+      const p = store.products.find(function(x){ return x.id === item.product_id; });
+      if (p && order.free) p.claims = (p.claims||0) + 1;
+      else if (p) p.sales = (p.sales||0) + 1;
+    });
+    return order;
+  });
+}
+
+// ── ORDER LEDGER ──────────────────────────────────────────────────────────────
+// data/store-orders.jsonl is append-only — one JSON entry per line, never
+// rewritten — so concurrent writers can't drop each other's orders and
+// history is never truncated. Entries:
+//   { t:"order", order }                                  new order
+//   { t:"set", id, fields, date }                         status changes
+//   { t:"download", id, product_id, version, ip, user_agent, date } one download
+// The current state of every order is the fold of its entries. It is cached
+// and only the bytes appended since the last read are parsed.
+
+var ledger   = { offset:0, orders:[], byId:{} };
+var migrated = false;
+
+function appendLedger(entry) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify(entry) + "\n");
+}
+
+function applyLedgerEntry(entry) {
+  if (entry.t === "order") {
+    if (ledger.byId[entry.order.id]) return;
+    ledger.byId[entry.order.id] = entry.order;
+    ledger.orders.push(entry.order);
+    return;
+  }
+  var order = ledger.byId[entry.id];
+  if (!order) return;
+  if (entry.t === "set") Object.assign(order, entry.fields);
+  if (entry.t === "download") {
+    var key = downloadKey(entry.product_id, entry.version);
+    order.downloads = order.downloads || {};
+    order.downloads[key] = (order.downloads[key] || 0) + 1;
+    order.download_log = order.download_log || [];
+    order.download_log.push({ product_id:entry.product_id, version:entry.version || 1, ip:entry.ip, user_agent:entry.user_agent, date:entry.date });
+  }
+}
+
+// Returned orders are the cache itself — read them, change them via appendLedger
+function loadOrders() {
+  migrateOrders();
+  var size;
+  try { size = fs.statSync(LEDGER_FILE).size; } catch(e) { return ledger.orders; }
+  if (size < ledger.offset) ledger = { offset:0, orders:[], byId:{} };
+  if (size === ledger.offset) return ledger.orders;
+
+  var buf = Buffer.alloc(size - ledger.offset);
+  var fd  = fs.openSync(LEDGER_FILE, "r");
+  try { fs.readSync(fd, buf, 0, buf.length, ledger.offset); } finally { fs.closeSync(fd); }
+  var end = buf.lastIndexOf(10); // stop at the last whole line — another writer may be mid-append
+  if (end < 0) return ledger.orders;
+  buf.slice(0, end).toString("utf8").split("\n").forEach(function(line) {
+    if (!line.trim()) return;
+    try { applyLedgerEntry(JSON.parse(line)); } catch(e) {}
+  });
+  ledger.offset += end + 1;
+  return ledger.orders;
+}
+
+// Orders used to live in store-products.json, capped at 1000. Move them into
+// the ledger once (skipping any already there), then drop them from that file.
+// Old "order_<ms>" IDs can collide, so orders are matched on their payment
+// intent and a colliding ID gets a random suffix.
+function migrateOrders() {
+  if (migrated) return;
+  migrated = true;
+  updateStore(function(store) {
+    if (!store.orders || store.orders.length === 0) return;
+    var seen = {}, ids = {};
+    function orderKey(o) { return o.payment_intent || [o.id, o.email, o.date].join("|"); }
+    loadOrders().forEach(function(o) { seen[orderKey(o)] = true; ids[o.id] = true; });
+    var fresh = store.orders.filter(function(o) {
+      if (seen[orderKey(o)]) return false;
+      seen[orderKey(o)] = true;
+      return true;
+    }).map(function(o) {
+      if (ids[o.id]) o = Object.assign({}, o, { id: o.id + "_" + crypto.randomBytes(3).toString("hex") });
+      ids[o.id] = true;
+      return o;
+    });
+    if (fresh.length) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.appendFileSync(LEDGER_FILE, fresh.map(function(o) { return JSON.stringify({ t:"order", order:o }); }).join("\n") + "\n");
+    }
+    store.orders = [];
+    store.orders_migrated = new Date().toISOString();
+    console.log("     \u2713 Store: moved " + fresh.length + " orders to the order ledger");
+  });
+}
+
+// ── LICENSE KEYS ──────────────────────────────────────────────────────────────
+// Template packs and toolkits get one key per licensed file in the order,
+// stored as order.licenses: [{ key, product_id, issued }]
+
+function makeLicenseKey() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const taken = {};
+  loadOrders().forEach(function(o) { (o.licenses || []).forEach(function(l) { taken[l.key] = true; }); });
+  for (;;) {
+    const bytes = crypto.randomBytes(16);
+    const chars = Array.prototype.map.call(bytes, function(b) { return alphabet[b % alphabet.length]; }).join("");
+    const key   = chars.match(/.{4}/g).join("-");
+    if (!taken[key]) return key;
+  }
+}
+
+function issueLicenses(store, items) {
+  const licenses = [];
+  items.forEach(function(item) {
+    const product = store.products.find(function(p) { return p.id === item.product_id; });
+    const files   = !product ? [] : product.type === "bundle"
+      ? (product.bundle_items || []).map(function(id) { return store.products.find(function(p) { return p.id === id; }); }).filter(Boolean)
+      : [product];
+    files.forEach(function(f) {
+      if (LICENSED_TYPES.indexOf(f.type) < 0) return;
+      if (licenses.some(function(l) { return l.product_id === f.id; })) return;
+      licenses.push({ key:makeLicenseKey(), product_id:f.id, issued:new Date().toISOString() });
+    });
+  });
+  return licenses;
+}
+
+function licenseFor(order, productId) {
+  return (order.licenses || []).find(function(l) { return l.product_id === productId; }) || null;
+}
+
+function findLicense(key) {
+  const wanted = String(key || "").trim().toUpperCase();
+  const orders = loadOrders();
+  for (var i = 0; i < orders.length; i++) {
+    const license = (orders[i].licenses || []).find(function(l) { return l.key === wanted; });
+    if (license) return { order:orders[i], license:license };
+  }
+  return null;
+}
+
+// ── COUPONS ───────────────────────────────────────────────────────────────────
+// Coupon: { code, type: "percent"|"fixed", amount, expires, max_uses, uses,
+//           product_ids: [], niches: [], active, created }
+// Empty product_ids and niches mean the code applies to the whole catalog.
+
+function loadCoupons() {
+  try {
+    if (fs.existsSync(COUPON_FILE)) return JSON.parse(fs.readFileSync(COUPON_FILE, "utf8"));
+  } catch(e) {}
+  return { coupons: [] };
+}
+
+function saveCoupons(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(COUPON_FILE, JSON.stringify(data, null, 2));
+}
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function addCoupon(coupon) {
+  const code   = normalizeCode(coupon.code);
+  const amount = parseFloat(coupon.amount);
+  const type   = coupon.type === "fixed" ? "fixed" : "percent";
+  if (!code || !(amount > 0) || (type === "percent" && amount > 100)) {
+    console.log("     \u2192 Store: invalid coupon — " + (code || "(no code)"));
+    return null;
+  }
+  const data   = loadCoupons();
+  const exists = data.coupons.find(function(c) { return c.code === code; });
+  if (exists) { console.log("     \u2192 Store: coupon already exists — " + code); return exists; }
+  const entry = {
+    code,
+    type,
+    amount,
+    expires:     coupon.expires || null,
+    max_uses:    coupon.max_uses || null,
+    uses:        0,
+    product_ids: coupon.product_ids || [],
+    niches:      coupon.niches || [],
+    active:      true,
+    created:     new Date().toISOString(),
+  };
+  data.coupons.push(entry);
+  saveCoupons(data);
+  auditLog("STORE_COUPON_CREATED", { code, type, amount, expires:entry.expires, max_uses:entry.max_uses });
+  console.log("     \u2713 Store: coupon " + code + " (" + (type === "percent" ? amount + "%" : "$" + amount) + " off)");
+  return entry;
+}
+
+function getCoupon(code) {
+  code = normalizeCode(code);
+  return loadCoupons().coupons.find(function(c) { return c.code === code; });
+}
+
+function redeemCoupon(code) {
+  const data = loadCoupons();
+  const c    = data.coupons.find(function(x) { return x.code === normalizeCode(code); });
+  if (!c) return;
+  c.uses = (c.uses || 0) + 1;
+  saveCoupons(data);
+}
+
+function couponAppliesTo(coupon, product) {
+  if (coupon.product_ids.length === 0 && coupon.niches.length === 0) return true;
+  return coupon.product_ids.indexOf(product.id) >= 0 || coupon.niches.indexOf(product.niche) >= 0;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Server-side price for a set of products. This is the only place the
+// charged amount is computed — the browser only ever displays it.
+// amounts maps product ID to the buyer's offer for pay-what-you-want items;
+// without one they are charged the suggested price. Coupons skip those items.
+// buyer: { country, region, currency, offer } — everything is priced in the
+// buyer's currency and tax for their location goes on top of the discounted
+// subtotal. An upsell offer discounts its one product; coupons skip it.
+function quoteOrder(products, couponCode, amounts, buyer) {
+  buyer = buyer || {};
+  var cur    = normalizeCurrency(buyer.currency) || "usd";
+  var rate   = loadRates()[cur];
+  var prices = {};
+  for (var i = 0; i < products.length; i++) {
+    var p = products[i];
+    prices[p.id] = priceIn(p, cur);
+    if (!isPwyw(p) || !amounts || amounts[p.id] === undefined || amounts[p.id] === "") continue;
+    var offered = round2(parseFloat(amounts[p.id]));
+    if (!(offered >= minPriceIn(p, cur))) return { error:"Please pay at least " + formatMoney(minPriceIn(p, cur), cur) + " for " + p.name + "." };
+    if (offered > prices[p.id] * PWYW_MAX_MULTIPLE) return { error:"Please enter an amount up to " + formatMoney(prices[p.id] * PWYW_MAX_MULTIPLE, cur) + "." };
+    prices[p.id] = offered;
+  }
+  var offer   = readOffer(buyer.offer);
+  var upsell  = offer ? products.find(function(p) { return p.id === offer.p && !isPwyw(p); }) : null;
+  if (upsell) prices[upsell.id] = round2(prices[upsell.id] * (100 - offer.d) / 100);
+  var subtotal = round2(products.reduce(function(s, p) { return s + prices[p.id]; }, 0));
+  var quote    = { subtotal, discount:0, total:subtotal, coupon:null, prices:prices, currency:cur, fx:rate,
+    offer:upsell ? { product_id:upsell.id, percent:offer.d, source:offer.s, from_order:offer.f } : null };
+  if (!normalizeCode(couponCode)) return applyTax(quote, buyer);
+
+  var c = getCoupon(couponCode);
+  if (!c || !c.active) return { error:"That code isn't valid." };
+  if (c.expires && new Date(c.expires) < new Date()) return { error:"That code has expired." };
+  if (c.max_uses && (c.uses || 0) >= c.max_uses) return { error:"That code has been fully redeemed." };
+
+  var eligible = products.filter(function(p) { return !isPwyw(p) && p !== upsell && couponAppliesTo(c, p); });
+  if (eligible.length === 0) return { error:"That code doesn't apply to these products." };
+  var base = eligible.reduce(function(s, p) { return s + prices[p.id]; }, 0);
+
+  quote.discount = round2(c.type === "percent" ? base * c.amount / 100 : Math.min(round2(c.amount * rate), base));  // fixed amounts are USD
+  quote.total    = round2(subtotal - quote.discount);
+  quote.coupon   = c.code;
+  if (quote.total / rate < 0.5) return { error:"That code can't be used on this order." }; // Stripe minimum charge
+  return applyTax(quote, buyer);
+}
+
+// ── TAX ───────────────────────────────────────────────────────────────────────
+// Rule: { country: "GB", region: "", rate: 20, label: "VAT" }
+// A rule with a region (US state, Canadian province) beats the country-wide
+// rule. No matching rule means no tax. Location is self-declared at checkout.
+
+var COUNTRIES = [
+  ["US","United States"],["GB","United Kingdom"],["CA","Canada"],["AU","Australia"],["IN","India"],["IE","Ireland"],
+  ["DE","Germany"],["FR","France"],["ES","Spain"],["IT","Italy"],["NL","Netherlands"],["BE","Belgium"],["AT","Austria"],
+  ["PT","Portugal"],["SE","Sweden"],["DK","Denmark"],["FI","Finland"],["PL","Poland"],["NO","Norway"],["CH","Switzerland"],
+  ["NZ","New Zealand"],["SG","Singapore"],["ZA","South Africa"],["NG","Nigeria"],["KE","Kenya"],["PH","Philippines"],
+  ["BR","Brazil"],["MX","Mexico"],["AE","United Arab Emirates"],["JP","Japan"],
+];
+var REGION_COUNTRIES = ["US", "CA"];
+
+function loadTaxRules() {
+  try {
+    if (fs.existsSync(TAX_FILE)) return JSON.parse(fs.readFileSync(TAX_FILE, "utf8"));
+  } catch(e) {}
+  return { rules: [] };
+}
+
+function saveTaxRules(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(TAX_FILE, JSON.stringify(data, null, 2));
+}
+
+function normalizeLocation(country, region) {
+  var c = String(country || "").trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(c)) return null;
+  var r = REGION_COUNTRIES.indexOf(c) >= 0 ? String(region || "").trim().toUpperCase().slice(0, 3) : "";
+  return { country:c, region:/^[A-Z]{2,3}$/.test(r) ? r : "" };
+}
+
+// Adds or replaces the rule for a country/region; rate 0 records an explicit exemption
+function addTaxRule(rule) {
+  var loc  = normalizeLocation(rule.country, rule.region);
+  var rate = parseFloat(rule.rate);
+  if (!loc || !(rate >= 0 && rate <= 50)) {
+    console.log("     \u2192 Store: invalid tax rule — " + (rule.country || "(no country)"));
+    return null;
+  }
+  var data  = loadTaxRules();
+  var entry = { country:loc.country, region:loc.region, rate:round2(rate), label:String(rule.label || (loc.region ? "Sales tax" : "VAT")).slice(0, 30) };
+  data.rules = data.rules.filter(function(r) { return r.country !== entry.country || r.region !== entry.region; });
+  data.rules.push(entry);
+  saveTaxRules(data);
+  auditLog("STORE_TAX_RULE_SET", entry);
+  console.log("     \u2713 Store: " + entry.label + " " + entry.rate + "% for " + entry.country + (entry.region ? "-" + entry.region : ""));
+  return entry;
+}
+
+function taxRuleFor(loc) {
+  if (!loc) return null;
+  var rules = loadTaxRules().rules;
+  return rules.find(function(r) { return r.country === loc.country && r.region && r.region === loc.region; })
+    || rules.find(function(r) { return r.country === loc.country && !r.region; }) || null;
+}
+
+function applyTax(quote, buyer) {
+  var loc  = buyer ? normalizeLocation(buyer.country, buyer.region) : null;
+  var rule = taxRuleFor(loc);
+  quote.location = loc;
+  quote.tax      = { amount:0, rate:0, label:rule ? rule.label : "Tax" };
+  if (rule && rule.rate > 0) {
+    quote.tax.rate   = rule.rate;
+    quote.tax.amount = round2(quote.total * rule.rate / 100);
+    quote.total      = round2(quote.total + quote.tax.amount);
+  }
+  return quote;
+}
+
+// Tax collected is owed to the tax authority, not earned — revenue splits
+// and the brain only ever see the pre-tax part of an amount
+function exTax(order, amount) {
+  var tax = order.tax ? order.tax.amount || 0 : 0;
+  if (!tax || !order.amount) return amount;
+  return round2(amount * (order.amount - tax) / order.amount);
+}
+
+function locationLabel(loc) {
+  if (!loc) return "";
+  var c = COUNTRIES.find(function(x) { return x[0] === loc.country; });
+  return (loc.region ? loc.region + ", " : "") + (c ? c[1] : loc.country);
+}
+
+// ── CURRENCY ──────────────────────────────────────────────────────────────────
+// Catalog prices are USD. Another currency uses the product's own price point
+// (product.prices = { gbp: 14 }) if it has one, otherwise the USD price
+// converted with the local rates table and snapped to a .99 (or ..9) price.
+// Orders keep their currency and the rate used, so reporting can turn every
+// amount back into USD.
+
+var CURRENCIES = {
+  usd: { symbol:"$",      label:"USD $",      rate:1 },
+  gbp: { symbol:"\u00a3", label:"GBP \u00a3", rate:0.79 },
+  eur: { symbol:"\u20ac", label:"EUR \u20ac", rate:0.92 },
+  inr: { symbol:"\u20b9", label:"INR \u20b9", rate:83, whole:true },
+};
+var EURO_COUNTRIES = ["AT","BE","CY","DE","EE","ES","FI","FR","GR","HR","IE","IT","LT","LU","LV","MT","NL","PT","SI","SK"];
+var EURO_LANGUAGES = ["de","fr","es","it","nl","pt","fi","el","et","lv","lt","sk","sl","mt","ga"];
+var INDIAN_LANGUAGES = ["hi","bn","ta","te","mr","gu","kn","ml","pa"];
+
+// Rates are units of currency per 1 USD; the file overrides the defaults above
+function loadRates() {
+  var rates = {};
+  Object.keys(CURRENCIES).forEach(function(c) { rates[c] = CURRENCIES[c].rate; });
+  try {
+    if (fs.existsSync(RATES_FILE)) Object.assign(rates, JSON.parse(fs.readFileSync(RATES_FILE, "utf8")).rates, { usd:1 });
+  } catch(e) {}
+  return rates;
+}
+
+function setExchangeRates(rates) {
+  var clean = {};
+  Object.keys(rates || {}).forEach(function(c) {
+    var code = normalizeCurrency(c), r = parseFloat(rates[c]);
+    if (code && code !== "usd" && r > 0) clean[code] = r;
+  });
+  if (Object.keys(clean).length === 0) return null;
+  var data = { rates:Object.assign({}, loadRates(), clean), updated:new Date().toISOString() };
+  delete data.rates.usd;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(RATES_FILE, JSON.stringify(data, null, 2));
+  auditLog("STORE_RATES_SET", clean);
+  return data.rates;
+}
+
+function normalizeCurrency(code) {
+  var c = String(code || "").trim().toLowerCase();
+  return CURRENCIES[c] ? c : null;
+}
+
+function snapPrice(amount, cur) {
+  if (CURRENCIES[cur].whole) return Math.max(9, Math.ceil(amount / 10) * 10 - 1);
+  return Math.max(0.99, round2(Math.ceil(amount) - 0.01));
+}
+
+function priceIn(product, cur) {
+  if (cur === "usd" || !(product.price > 0)) return product.price;
+  if (product.prices && product.prices[cur] > 0) return product.prices[cur];
+  return snapPrice(product.price * loadRates()[cur], cur);
+}
+
+// Floors and list prices convert without snapping down
+function convertUp(usd, cur) {
+  if (cur === "usd") return usd;
+  return CURRENCIES[cur].whole ? Math.ceil(usd * loadRates()[cur]) : Math.ceil(usd * loadRates()[cur] * 100) / 100;
+}
+
+function minPriceIn(product, cur) {
+  return convertUp(minPrice(product), cur);
+}
+
+function formatMoney(amount, cur) {
+  var n = Number(amount) || 0;
+  return CURRENCIES[cur || "usd"].symbol + (n % 1 ? n.toFixed(2) : n);
+}
+
+// Explicit choice (?currency= or the picker's cookie) wins over Accept-Language
+function pickCurrency(req, query) {
+  var chosen = normalizeCurrency(query.currency) || normalizeCurrency(getCookie(req, "store_currency"));
+  if (chosen) return chosen;
+  var langs = String(req.headers["accept-language"] || "").split(",").map(function(l) { return l.split(";")[0].trim(); }).filter(Boolean);
+  for (var i = 0; i < langs.length; i++) {
+    var parts  = langs[i].split("-");
+    var lang   = parts[0].toLowerCase();
+    var region = (parts[1] || "").toUpperCase();
+    if (region === "GB" || region === "UK") return "gbp";
+    if (region === "IN" || (!region && INDIAN_LANGUAGES.indexOf(lang) >= 0)) return "inr";
+    if (EURO_COUNTRIES.indexOf(region) >= 0 || (!region && EURO_LANGUAGES.indexOf(lang) >= 0)) return "eur";
+    if (region) return "usd";
+  }
+  return "usd";
+}
+
+// Amounts on an order are in its own currency; fx is the rate it was charged at
+function toUsd(order, amount) {
+  if (!order.currency || order.currency === "usd") return amount;
+  return round2(amount / (order.fx || loadRates()[order.currency] || 1));
+}
+
+// What an order amount contributes to revenue: pre-tax, in USD
+function revenueOf(order, amount) {
+  return toUsd(order, exTax(order, amount));
+}
+
+function currencyPicker(cur) {
+  return "<select aria-label='Currency' onchange=\"document.cookie='store_currency='+this.value+';path=/store;max-age=31536000';location.reload()\" style='padding:6px 10px;border-radius:20px;font-size:13px;border:1px solid rgba(0,0,0,0.15);background:white;color:#0d1b2a'>"
+    + Object.keys(CURRENCIES).map(function(c) { return "<option value='" + c + "'" + (c === cur ? " selected" : "") + ">" + CURRENCIES[c].label + "</option>"; }).join("")
+    + "</select>";
+}
+
+// ── SUBSCRIBERS ───────────────────────────────────────────────────────────────
+// Subscriber: { email, consent_at, niches: [], product_ids: [], created, updated }
+// One record per address; tags accumulate as the same person claims more freebies.
+
+function loadSubscribers() {
+  try {
+    if (fs.existsSync(SUBSCRIBER_FILE)) return JSON.parse(fs.readFileSync(SUBSCRIBER_FILE, "utf8"));
+  } catch(e) {}
+  return { subscribers: [] };
+}
+
+function saveSubscribers(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(SUBSCRIBER_FILE, JSON.stringify(data, null, 2));
+}
+
+function addSubscriber(email, product) {
+  const data = loadSubscribers();
+  const addr = String(email || "").trim().toLowerCase();
+  const now  = new Date().toISOString();
+  var sub = data.subscribers.find(function(s) { return s.email === addr; });
+  if (!sub) {
+    sub = { email:addr, niches:[], product_ids:[], created:now };
+    data.subscribers.push(sub);
+  }
+  sub.consent_at = now;
+  sub.updated    = now;
+  if (product.niche && sub.niches.indexOf(product.niche) < 0) sub.niches.push(product.niche);
+  if (sub.product_ids.indexOf(product.id) < 0) sub.product_ids.push(product.id);
+  saveSubscribers(data);
+  return sub;
+}
+
+function getSubscribers(niche) {
+  return loadSubscribers().subscribers.filter(function(s) { return !niche || s.niches.indexOf(niche) >= 0; });
+}
+
+// ── MEMBERSHIP ────────────────────────────────────────────────────────────────
+// Member: { email, customer, subscription, status, current_period_end,
+//           paid_total, invoices, payments, downloads, download_log, created,
+//           updated } — payments: one entry per invoice, for reversing refunds
+// Keyed by email. Stripe's subscription status is mirrored from webhooks, and
+// access also ends on its own once current_period_end passes.
+
+function loadMembers() {
+  try {
+    if (fs.existsSync(MEMBER_FILE)) return JSON.parse(fs.readFileSync(MEMBER_FILE, "utf8"));
+  } catch(e) {}
+  return { members: [] };
+}
+
+function saveMembers(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(MEMBER_FILE, JSON.stringify(data, null, 2));
+}
+
+function getMember(email) {
+  const addr = String(email || "").trim().toLowerCase();
+  return loadMembers().members.find(function(m) { return m.email === addr; }) || null;
+}
+
+function isMember(email) {
+  const m = getMember(email);
+  if (!m || ["active", "trialing", "past_due"].indexOf(m.status) < 0) return false;
+  return !m.current_period_end || Date.now() < new Date(m.current_period_end).getTime() + MEMBER_GRACE_MS;
+}
+
+// Applies changes to the member matching email or subscription, creating it if needed
+function updateMember(match, changes) {
+  const data = loadMembers();
+  var m = data.members.find(function(x) {
+    return (match.subscription && x.subscription === match.subscription) || (match.email && x.email === match.email);
+  });
+  if (!m) {
+    if (!match.email) return null;
+    m = { email:match.email, paid_total:0, invoices:0, created:new Date().toISOString() };
+    data.members.push(m);
+  }
+  Object.assign(m, changes, { updated:new Date().toISOString() });
+  saveMembers(data);
+  return m;
+}
+
+function recordMemberDownload(email, productId, ip, userAgent, version) {
+  const data = loadMembers();
+  const m = data.members.find(function(x) { return x.email === email; });
+  if (!m) return;
+  const key = downloadKey(productId, version);
+  m.downloads = m.downloads || {};
+  m.downloads[key] = (m.downloads[key] || 0) + 1;
+  m.download_log = m.download_log || [];
+  m.download_log.push({ product_id:productId, version:version || 1, ip, user_agent:String(userAgent || "").slice(0,200), date:new Date().toISOString() });
+  saveMembers(data);
+}
+
+// Orders recorded before multi-item checkout carry a single product_id
+function orderItems(order) {
+  if (order.items) return order.items;
+  const p = getProduct(order.product_id);
+  return [{ product_id:order.product_id, name:p ? p.name : "", price:p ? p.price : order.amount }];
+}
+
+function getOrdersByEmail(email) {
+  var e = String(email || "").trim().toLowerCase();
+  if (!e) return [];
+  return loadOrders().filter(function(o) { return String(o.email || "").toLowerCase() === e; });
+}
+
+function getOrderByPaymentIntent(paymentIntentId) {
+  return loadOrders().find(function(o){ return o.payment_intent === paymentIntentId; });
+}
+
+function getOrder(orderId) {
+  loadOrders();
+  return ledger.byId[orderId];
+}
+
+// Refunds and disputes revoke every download token issued for the order
+function setOrderStatus(paymentIntentId, status) {
+  const order = getOrderByPaymentIntent(paymentIntentId);
+  if (!order) return null;
+  const fields = { status };
+  fields[status + "_at"] = new Date().toISOString();
+  if (status === "refunded" || status === "disputed") fields.revoked = true;
+  appendLedger({ t:"set", id:order.id, fields:fields, date:fields[status + "_at"] });
+  return getOrder(order.id);
+}
+
+// Counts against MAX_DOWNLOADS and keeps an audit trail on the order itself
+function recordDownload(orderId, productId, ip, userAgent, version) {
+  appendLedger({ t:"download", id:orderId, product_id:productId, version:version || 1, ip, user_agent:String(userAgent || "").slice(0,200), date:new Date().toISOString() });
 }
 
 // ── HELPERS ───────────────────────────────────────────────────────────────────
 
+// decodeURIComponent throws on malformed input like "%E0%A4%A"; null instead
+function decodeParam(str) {
+  try { return decodeURIComponent(str); } catch(e) { return null; }
+}
+
 function esc(str) {
-  return String(str||"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+  return String(str||"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;");
 }
 
-function parseBody(req) {
+function readRawBody(req) {
+  return new Promise(function(resolve) {
+    var chunks = [];
+    req.on("data", function(c){ chunks.push(c); });
+    req.on("end", function() { resolve(Buffer.concat(chunks).toString("utf8")); });
+    req.on("error", function() { resolve(""); });
+  });
+}
+
+// Binary body (file uploads). Resolves null past maxBytes.
+function readBuffer(req, maxBytes) {
   return new Promise(function(resolve) {
-    var body = "";
-    req.on("data", function(c){ body += c; });
-    req.on("end", function() {
-      try {
-        if ((req.headers["content-type"]||"").includes("application/json")) resolve(JSON.parse(body));
-        else resolve(Object.fromEntries(new URLSearchParams(body)));
-      } catch(e) { resolve({}); }
+    var chunks = [], size = 0;
+    req.on("data", function(c) {
+      size += c.length;
+      if (size > maxBytes) { chunks = null; req.destroy(); return resolve(null); }
+      chunks.push(c);
     });
+    req.on("end", function() { resolve(chunks ? Buffer.concat(chunks) : null); });
+    req.on("error", function() { resolve(null); });
+  });
+}
+
+function getCookie(req, name) {
+  var match = String(req.headers.cookie || "").split(";").find(function(c) { return c.trim().indexOf(name + "=") === 0; });
+  return match ? match.trim().slice(name.length + 1) : null;
+}
+
+function parseBody(req) {
+  return readRawBody(req).then(function(body) {
+    try {
+      if ((req.headers["content-type"]||"").includes("application/json")) return JSON.parse(body);
+      return Object.fromEntries(new URLSearchParams(body));
+    } catch(e) { return {}; }
+  });
+}
+
+function isEmail(str) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(str||""));
+}
+
+// A ?currency= link (ads, newsletters) sticks like a choice made in the picker.
+// A new traffic source is kept for the browser session so checkout can credit it;
+// a partner's ?ref= is kept for REFERRAL_DAYS, A/B test variants for AB_MAX_DAYS.
+function pageHeaders(query, visit) {
+  var headers = {"Content-Type":"text/html"};
+  var cookies = [];
+  var cur     = normalizeCurrency(query.currency);
+  if (cur) cookies.push("store_currency=" + cur + "; Path=/store; Max-Age=31536000; SameSite=Lax");
+  if (visit && visit.fresh) cookies.push("store_src=" + visit.src + "; Path=/store; HttpOnly; SameSite=Lax");
+  if (visit && visit.abFresh) cookies.push("store_ab=" + signAssignments(visit.ab) + "; Path=/store; Max-Age=" + AB_MAX_DAYS * 86400 + "; HttpOnly; SameSite=Lax");
+  if (visit && visit.refFresh) cookies.push("store_ref=" + visit.ref + "; Path=/store; Max-Age=" + REFERRAL_DAYS * 86400 + "; HttpOnly; SameSite=Lax");
+  if (cookies.length) headers["Set-Cookie"] = cookies;
+  return headers;
+}
+
+function getBaseUrl() {
+  return process.env.RAILWAY_PUBLIC_DOMAIN
+    ? "https://" + process.env.RAILWAY_PUBLIC_DOMAIN
+    : "http://localhost:" + (process.env.PORT || 3000);
+}
+
+// ── STRIPE ────────────────────────────────────────────────────────────────────
+
+function stripePost(endpoint, body) {
+  var secretKey = process.env.STRIPE_SECRET_KEY || "";
+  var bodyStr   = new URLSearchParams(body).toString();
+  return new Promise(function(resolve) {
+    var req = https.request({
+      hostname: "api.stripe.com", path: "/v1" + endpoint, method: "POST",
+      headers: { "Authorization":"Bearer "+secretKey, "Content-Type":"application/x-www-form-urlencoded", "Content-Length":Buffer.byteLength(bodyStr) },
+    }, function(res) {
+      var d=""; res.on("data",function(c){d+=c;}); res.on("end",function(){ try{resolve(JSON.parse(d));}catch(e){resolve(null);} });
+    });
+    req.on("error",function(){ resolve(null); }); req.write(bodyStr); req.end();
+  });
+}
+
+// Stripe signs each webhook as HMAC-SHA256("<t>.<raw body>") and sends it in the
+// Stripe-Signature header as "t=...,v1=...". Reject anything older than 5 minutes.
+function verifyStripeSignature(rawBody, header, secret) {
+  if (!header || !secret) return false;
+  var t = null, sigs = [];
+  String(header).split(",").forEach(function(part) {
+    var kv = part.split("=");
+    if (kv[0] === "t") t = kv[1];
+    if (kv[0] === "v1") sigs.push(kv[1]);
+  });
+  if (!t || sigs.length === 0) return false;
+  if (Math.abs(Date.now() / 1000 - parseInt(t)) > 300) return false;
+  var expected = Buffer.from(crypto.createHmac("sha256", secret).update(t + "." + rawBody).digest("hex"));
+  return sigs.some(function(sig) {
+    var got = Buffer.from(sig || "");
+    return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+  });
+}
+
+var CART_MAX_ITEMS = 20;
+
+// One PaymentIntent per checkout; the webhook rebuilds line items from metadata[product_ids]
+function createPaymentIntent(products, email, quote, visit) {
+  var params = {
+    amount:   String(Math.round(quote.total * 100)),
+    currency: quote.currency,
+    "metadata[fx]":           String(quote.fx),
+    "metadata[product_ids]":  products.map(function(p) { return p.id; }).join(","),
+    "metadata[prices]":       products.map(function(p) { return quote.prices[p.id]; }).join(","),
+    "metadata[product_name]": checkoutName(products),
+    "metadata[email]":        email,
+    description: products.map(function(p) { return p.name; }).join(" + ").slice(0, 300),
+  };
+  if (quote.coupon) {
+    params["metadata[coupon]"]   = quote.coupon;
+    params["metadata[discount]"] = String(quote.discount);
+  }
+  if (quote.offer) {
+    params["metadata[offer_product]"] = quote.offer.product_id;
+    params["metadata[offer_source]"]  = quote.offer.source;
+    params["metadata[offer_from]"]    = quote.offer.from_order;
+    params["metadata[offer_percent]"] = String(quote.offer.percent);
+  }
+  if (quote.location) {
+    params["metadata[country]"] = quote.location.country;
+    params["metadata[region]"]  = quote.location.region;
+  }
+  if (quote.tax.amount > 0) {
+    params["metadata[tax]"]       = String(quote.tax.amount);
+    params["metadata[tax_rate]"]  = String(quote.tax.rate);
+    params["metadata[tax_label]"] = quote.tax.label;
+  }
+  if (visit) { // funnel attribution for the webhook
+    params["metadata[visitor]"] = visit.id;
+    if (visit.src) params["metadata[src]"] = visit.src;
+  }
+  if (visit && visit.ref) params["metadata[ref]"] = visit.ref; // commission is checked and credited by the webhook
+  if (visit && visit.ab && Object.keys(visit.ab).length) params["metadata[ab]"] = formatAssignments(visit.ab).slice(0, 450);
+  return stripePost("/payment_intents", params);
+}
+
+// Subscriptions go through Stripe Checkout; the webhook does the rest
+function createMembershipCheckout(email) {
+  return stripePost("/checkout/sessions", {
+    mode:                                "subscription",
+    "line_items[0][price]":              MEMBERSHIP_PRICE_ID,
+    "line_items[0][quantity]":           "1",
+    customer_email:                      email,
+    "subscription_data[metadata][kind]": "membership",
+    success_url:                         getBaseUrl() + "/store/membership?welcome=1",
+    cancel_url:                          getBaseUrl() + "/store/membership",
+  });
+}
+
+function checkoutName(products) {
+  return products.length === 1 ? products[0].name : products.length + " products";
+}
+
+function resolveItems(ids) {
+  ids = Array.isArray(ids) ? ids.map(String) : [];
+  return ids.filter(function(id, i) { return ids.indexOf(id) === i; }).slice(0, CART_MAX_ITEMS)
+    .map(getProduct).filter(function(p) { return p && p.active && !isFree(p); });
+}
+
+// ── EMAIL ─────────────────────────────────────────────────────────────────────
+
+// attachments: [{ filename, content: Buffer }]
+// Resolves true once Resend accepts the email, false if it wasn't sent
+function sendEmail(toEmail, subject, html, attachments) {
+  var resendKey = process.env.RESEND_API_KEY || "";
+  if (!resendKey) return Promise.resolve(false);
+  var fromName  = process.env.EMAIL_FROM_NAME || "Digital Store";
+  var fromEmail = process.env.EMAIL_FROM || "onboarding@resend.dev";
+  var body = JSON.stringify({
+    from:    fromName + " <" + fromEmail + ">",
+    to:      [toEmail],
+    subject: subject,
+    html:    html,
+    attachments: (attachments || []).map(function(a) { return { filename:a.filename, content:a.content.toString("base64") }; }),
+  });
+  return new Promise(function(resolve) {
+    var req = https.request({ hostname:"api.resend.com", path:"/emails", method:"POST",
+      headers:{"Authorization":"Bearer "+resendKey,"Content-Type":"application/json","Content-Length":Buffer.byteLength(body)},
+    }, function(res) {
+      var ok = res.statusCode >= 200 && res.statusCode < 300;
+      res.resume(); res.on("end",function(){ console.log("     \u2192 Email " + (ok ? "sent to " : "rejected for ") + toEmail); resolve(ok); });
+    });
+    req.on("error",function(){ resolve(false); }); req.write(body); req.end();
+  });
+}
+
+function emailShell(heading, subheading, inner) {
+  return "<body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px'><div style='background:linear-gradient(135deg,#0d1b2a,#1b4332);padding:40px;border-radius:12px;text-align:center;margin-bottom:30px'><h1 style='color:white;margin:0'>" + esc(heading) + "</h1><p style='color:rgba(255,255,255,0.8);margin:10px 0 0'>" + esc(subheading) + "</p></div>" + inner + "</body>";
+}
+
+function emailButton(href, label) {
+  return "<div style='text-align:center;margin:20px 0 30px'><a href='" + esc(href) + "' style='background:#00d4aa;color:#0d1b2a;padding:14px 32px;border-radius:8px;text-decoration:none;font-weight:700;font-size:16px'>" + esc(label) + "</a></div>";
+}
+
+// links: [{ name, url }] — one download button per purchased item
+// extras: { attachments, offers, review } — invoice PDF, upsell offers, review link
+function sendDeliveryEmail(toEmail, links, free, extras) {
+  extras = extras || {};
+  var subject = free ? "Your free download: " + links[0].name
+    : links.length === 1 ? "Your purchase: " + links[0].name : "Your purchase: " + links.length + " products";
+  var inner = links.map(function(l) {
+    return "<h2 style='color:#0d1b2a;font-size:18px'>" + esc(l.name) + "</h2>" + emailButton(l.url, "Download Now")
+      + (l.license ? "<p style='color:#374151;font-size:14px'>License key: <code style='background:#f3f4f6;padding:4px 8px;border-radius:4px;font-size:15px'>" + esc(l.license) + "</code><br><a href='" + getBaseUrl() + "/store/license/" + esc(l.license) + "' style='color:#6b7280;font-size:12px'>Verify this key</a></p>" : "");
+  }).join("")
+    + (extras.attachments && extras.attachments.length ? "<p style='color:#6b7280;font-size:13px'>Your invoice is attached.</p>" : "")
+    + "<p style='color:#6b7280;font-size:13px'>Links expire in 24 hours. You can get fresh ones any time at <a href='" + getBaseUrl() + "/store/orders' style='color:#6b7280'>" + getBaseUrl() + "/store/orders</a>.</p>"
+    + (extras.review ? "<p style='color:#374151;font-size:14px;border-top:1px solid #e5e7eb;padding-top:16px;margin-top:24px'>Once you've had a read, <a href='" + esc(extras.review) + "' style='color:#0d1b2a;font-weight:700'>leave a quick review</a> \u2014 it helps other gig workers decide.</p>" : "")
+    + (!free && REFERRAL_PERCENT > 0 ? "<p style='color:#6b7280;font-size:13px'>Know someone who'd find this useful? <a href='" + getBaseUrl() + "/store/partners' style='color:#6b7280'>Get your own referral link</a> and earn " + REFERRAL_PERCENT + "% of every sale you send us.</p>" : "")
+    + upsellEmailBlock(extras.offers);
+  return sendEmail(toEmail, subject, emailShell("Thank You!", free ? "Your download is ready" : "Your purchase is ready", inner), extras.attachments);
+}
+
+function sendLibraryEmail(toEmail, welcome) {
+  var link = getBaseUrl() + "/store/library/" + signLink({ l:toEmail }, 86400000);
+  return sendEmail(toEmail, welcome ? "Welcome \u2014 your all-access library" : "Your library link",
+    emailShell(welcome ? "Welcome!" : "Your Library", "Every guide, current and future",
+      "<p style='color:#374151;line-height:1.6'>Your membership unlocks the whole catalog. Open your library to download anything.</p>"
+      + emailButton(link, "Open My Library")
+      + "<p style='color:#6b7280;font-size:13px'>This link expires in 24 hours. Get a new one any time at <a href='" + getBaseUrl() + "/store/library' style='color:#6b7280'>" + getBaseUrl() + "/store/library</a>.</p>"));
+}
+
+// One link per delivered file — bundles expand to their members
+function deliveryLinks(order) {
+  var links = [];
+  orderItems(order).forEach(function(item) {
+    var files = deliverables(getProduct(item.product_id));
+    if (files.length === 0) files = [{ id:item.product_id, name:item.name }];
+    files.forEach(function(f) {
+      var license = licenseFor(order, f.id);
+      links.push({ name:f.name, url:getBaseUrl() + "/store/download/" + makeToken(order.id, f.id), license:license ? license.key : null });
+    });
+  });
+  return links;
+}
+
+// ── INVOICES ──────────────────────────────────────────────────────────────────
+// Every paid order gets a sequential number when it is recorded; the PDF is
+// rebuilt from the order on demand, so nothing but the number is stored.
+
+function nextInvoiceNumber() {
+  var issued = loadOrders().filter(function(o) { return o.invoice; }).length;
+  return "INV-" + String(issued + 1).padStart(5, "0");
+}
+
+function invoiceFor(order) {
+  var items    = orderItems(order);
+  var discount = order.coupon ? order.coupon.discount || 0 : 0;
+  var note     = "Paid by card on " + order.date.slice(0, 10) + ". Reference " + order.id + ".";
+  if (order.revoked) note += " This order was " + order.status + ".";
+  return {
+    number:   order.invoice,
+    date:     order.date,
+    currency: order.currency || "usd",
+    seller:   SELLER,
+    buyer:    { email:order.email, location:locationLabel(order.location) },
+    lines:    items.map(function(i) { return { name:i.name, amount:i.price || 0 }; }),
+    subtotal: round2(items.reduce(function(s, i) { return s + (i.price || 0); }, 0)),
+    discount: discount,
+    coupon:   order.coupon ? order.coupon.code : null,
+    tax:      order.tax || null,
+    total:    order.amount,
+    note:     note,
+  };
+}
+
+function invoiceAttachment(order) {
+  return { filename:order.invoice + ".pdf", content:generateInvoicePDF(invoiceFor(order)) };
+}
+
+// ── UPSELLS ───────────────────────────────────────────────────────────────────
+// After a purchase we suggest up to two more products from the same niche,
+// best sellers first. Offers in the delivery email carry a signed discount
+// that expires after UPSELL_HOURS and only works for the buyer's own email;
+// the success page just links to the products.
+
+// Returns [{ product, from }] — from is the purchased product it pairs with
+function recommendFor(productIds, limit) {
+  var sources = productIds.map(getProduct).filter(Boolean);
+  var owned   = {};
+  sources.forEach(function(p) { owned[p.id] = true; deliverables(p).forEach(function(d) { owned[d.id] = true; }); });
+  var niches  = sources.map(function(p) { return p.niche; });
+  return getActiveProducts().filter(function(p) {
+    if (owned[p.id] || isFree(p) || niches.indexOf(p.niche) < 0) return false;
+    return deliverables(p).some(function(d) { return !owned[d.id]; });
+  }).sort(function(a, b) { return (b.sales || 0) - (a.sales || 0); }).slice(0, limit || 2).map(function(p) {
+    return { product:p, from:sources.find(function(s) { return s.niche === p.niche; }) };
+  });
+}
+
+// Offer links for the delivery email. They only count as offers in the brain
+// once the email has gone out — see recordOffers.
+function upsellOffers(order) {
+  var cur = order.currency || "usd";
+  return recommendFor(orderItems(order).map(function(i) { return i.product_id; })).map(function(rec) {
+    var link = getBaseUrl() + "/store/buy/" + rec.product.id;
+    if (UPSELL_PERCENT > 0) {
+      link += "?offer=" + signLink({ u:String(order.email).toLowerCase(), p:rec.product.id, s:rec.from.id, f:order.id, d:UPSELL_PERCENT }, UPSELL_HOURS * 3600000);
+    }
+    return { name:rec.product.name, url:link, price:formatMoney(priceIn(rec.product, cur), cur), from:rec.from, product:rec.product };
+  });
+}
+
+function recordOffers(offers, sent) {
+  if (!sent) return;
+  offers.forEach(function(o) {
+    brain.recordUpsellOffer({ id:o.from.id, name:o.from.name }, { id:o.product.id, name:o.product.name }, o.product.niche);
+  });
+}
+
+function readOffer(token) {
+  var data = token ? readLink(token) : null;
+  return data && data.u && data.p ? data : null;
+}
+
+function upsellEmailBlock(offers) {
+  if (!offers || offers.length === 0) return "";
+  return "<div style='border-top:1px solid #e5e7eb;margin-top:30px;padding-top:20px'><h2 style='color:#0d1b2a;font-size:17px'>You might also like</h2>"
+    + (UPSELL_PERCENT > 0 ? "<p style='color:#374151;font-size:14px'>As a thank-you, take <strong>" + UPSELL_PERCENT + "% off</strong> either of these for the next " + UPSELL_HOURS + " hours.</p>" : "")
+    + offers.map(function(o) {
+      return "<p style='margin:0 0 12px'><a href='" + esc(o.url) + "' style='color:#0d1b2a;font-weight:700'>" + esc(o.name) + "</a> <span style='color:#6b7280'>" + esc(o.price) + "</span></p>";
+    }).join("") + "</div>";
+}
+
+// ── VERSIONS ──────────────────────────────────────────────────────────────────
+// A product's file can be re-released as a new edition. Every edition stays in
+// product.versions and file_path always points at the latest. Download limits
+// count per edition, so past buyers get a full allowance for the new file,
+// and each of them is emailed a fresh link to it.
+//   versions: [{ version, file_path, changelog, date, notified, notify_failed }]
+
+// Products from before versioning are their own first edition
+function versionHistory(product) {
+  return product.versions || [{ version:1, file_path:product.file_path, changelog:"First edition", date:product.created }];
+}
+
+function downloadKey(productId, version) {
+  return version > 1 ? productId + "@v" + version : productId;
+}
+
+// Downloads of the current edition, from an order's or a member's counts
+function downloadsUsed(holder, product) {
+  return ((holder && holder.downloads) || {})[downloadKey(product.id, product.version)] || 0;
+}
+
+// What changed, from the table of contents, when nobody wrote a changelog
+function tocChangelog(before, after) {
+  before = before || []; after = after || [];
+  var added   = after.filter(function(t) { return before.indexOf(t) < 0; });
+  var removed = before.filter(function(t) { return after.indexOf(t) < 0; });
+  var lines   = [];
+  if (added.length)   lines.push("New: " + added.join(", "));
+  if (removed.length) lines.push("Removed: " + removed.join(", "));
+  return lines.join("\n") || "Refreshed and updated throughout.";
+}
+
+// release: { file_path, changelog, description?, tagline?, bullets?, toc?, cover_path? }
+// Returns { product, version } or { error }.
+function addVersion(id, release) {
+  return updateStore(function(store) {
+    const product = store.products.find(function(p) { return p.id === id; });
+    if (!product) return { error:"Product not found." };
+    if (product.type === "bundle") return { error:"Bundles deliver their members' files." };
+    if (!release.file_path) return { error:"A new version needs a file." };
+    const entry = {
+      version:   (product.version || 1) + 1,
+      file_path: release.file_path,
+      changelog: String(release.changelog || "").trim().slice(0, 2000) || tocChangelog(product.toc, release.toc),
+      date:      new Date().toISOString(),
+      notified:  0,
+    };
+    product.versions  = versionHistory(product).concat(entry);
+    product.version   = entry.version;
+    product.file_path = entry.file_path;
+    ["description", "tagline", "bullets", "toc"].forEach(function(k) { if (release[k] !== undefined) product[k] = release[k]; });
+    if (release.cover_path) { product.cover_path = release.cover_path; delete product.cover_key; } // the store draws the updated product's own on first request
+    product.updated   = entry.date;
+    auditLog("STORE_PRODUCT_VERSION", { product_id:id, version:entry.version, file_path:entry.file_path });
+    console.log("     \u2713 Store: \"" + product.name.slice(0,50) + "\" is now v" + entry.version);
+    return { product, version:entry };
+  });
+}
+
+// Latest non-revoked order per email that delivers the product, bundles included
+function pastBuyerOrders(productId) {
+  var delivers = {};  // the product and every bundle that includes it
+  delivers[productId] = true;
+  loadStore().products.forEach(function(p) {
+    if (p.type === "bundle" && (p.bundle_items || []).indexOf(productId) >= 0) delivers[p.id] = true;
+  });
+  var byEmail = {};
+  loadOrders().forEach(function(o) {
+    if (o.revoked || !o.email) return;
+    var owns = (o.items || [{ product_id:o.product_id }]).some(function(item) { return delivers[item.product_id]; });
+    if (owns) byEmail[o.email.toLowerCase()] = o;
+  });
+  return Object.keys(byEmail).map(function(e) { return byEmail[e]; });
+}
+
+function sendVersionEmail(order, product, version) {
+  var link = getBaseUrl() + "/store/download/" + makeToken(order.id, product.id);
+  return sendEmail(order.email, "Updated edition: " + product.name + " (v" + version.version + ")",
+    emailShell("New Edition", product.name + " \u2014 version " + version.version,
+      "<p style='color:#374151;line-height:1.6'>You bought this, so the updated edition is yours at no extra cost.</p>"
+      + "<h2 style='color:#0d1b2a;font-size:18px'>What's new</h2>"
+      + "<p style='color:#374151;line-height:1.6;white-space:pre-line'>" + esc(version.changelog) + "</p>"
+      + emailButton(link, "Download v" + version.version)
+      + "<p style='color:#6b7280;font-size:13px'>This link expires in 24 hours. You can get fresh ones any time at <a href='" + getBaseUrl() + "/store/orders' style='color:#6b7280'>" + getBaseUrl() + "/store/orders</a>.</p>"));
+}
+
+// One email per past buyer, then the count goes on the version entry
+async function notifyPastBuyers(product, version) {
+  var orders = pastBuyerOrders(product.id);
+  var sent   = 0;
+  var failed = [];  // emails the provider didn't accept, for the audit log
+  for (var i = 0; i < orders.length; i++) {
+    if (await sendVersionEmail(orders[i], product, version)) sent++;
+    else failed.push(orders[i].email);
+  }
+  updateStore(function(store) {
+    var p     = store.products.find(function(x) { return x.id === product.id; });
+    var entry = p && (p.versions || []).find(function(v) { return v.version === version.version; });
+    if (entry) { entry.notified = sent; entry.notify_failed = failed.length; }
+  });
+  auditLog("STORE_VERSION_NOTIFIED", { product_id:product.id, version:version.version, buyers:orders.length, sent:sent, failed:failed });
+  return sent;
+}
+
+// ── REVIEWS ───────────────────────────────────────────────────────────────────
+// Only buyers can review. The link in the delivery email is signed with the
+// order ID, and an order reviews each product it bought once — sending the
+// form again replaces that review and puts it back in the moderation queue.
+// Nothing shows on the store until it is approved in the admin.
+// Review: { id, order_id, product_id, name, email, rating, title, body,
+//           status: "pending"|"approved"|"rejected", created, moderated }
+
+function loadReviews() {
+  if (!fs.existsSync(REVIEW_FILE)) return { reviews: [] };
+  try { return JSON.parse(fs.readFileSync(REVIEW_FILE, "utf8")); }
+  catch(e) { return { reviews: [] }; }
+}
+
+function saveReviews(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(REVIEW_FILE, JSON.stringify(data, null, 2));
+}
+
+function reviewLink(order) {
+  return getBaseUrl() + "/store/review/" + signLink({ r:order.id }, REVIEW_DAYS * 86400000);
+}
+
+// The paid, non-refunded order a review link belongs to, or null
+function reviewOrder(token) {
+  var data  = readLink(token);
+  var order = data && data.r ? getOrder(data.r) : null;
+  return order && !order.free && !order.revoked ? order : null;
+}
+
+// Returns { review } or { error }
+function submitReview(order, fields) {
+  var productId = String(fields.product_id || "");
+  var item      = orderItems(order).find(function(i) { return i.product_id === productId; });
+  if (!item) return { error:"That product isn't part of this order." };
+  var rating = parseInt(fields.rating);
+  if (!(rating >= 1 && rating <= 5)) return { error:"Please choose a star rating." };
+  var body = String(fields.body || "").trim().slice(0, 2000);
+
+  var data   = loadReviews();
+  var review = data.reviews.find(function(r) { return r.order_id === order.id && r.product_id === productId; });
+  if (!review) {
+    review = { id:"rev_" + crypto.randomBytes(6).toString("hex"), order_id:order.id, product_id:productId, email:order.email, created:new Date().toISOString() };
+    data.reviews.push(review);
+  }
+  Object.assign(review, {
+    name:      String(fields.name || "").trim().slice(0, 60) || "Verified buyer",
+    rating:    rating,
+    title:     String(fields.title || "").trim().slice(0, 100),
+    body:      body,
+    status:    "pending",
+    submitted: new Date().toISOString(),
+  });
+  delete review.moderated;
+  saveReviews(data);
+  auditLog("STORE_REVIEW_SUBMITTED", { review_id:review.id, order_id:order.id, product_id:productId, rating:rating });
+  return { review };
+}
+
+function moderateReview(id, status) {
+  var data   = loadReviews();
+  var review = data.reviews.find(function(r) { return r.id === id; });
+  if (!review || (status !== "approved" && status !== "rejected")) return null;
+  review.status    = status;
+  review.moderated = new Date().toISOString();
+  saveReviews(data);
+  auditLog("STORE_REVIEW_" + status.toUpperCase(), { review_id:id, product_id:review.product_id, rating:review.rating });
+  return review;
+}
+
+// Approved reviews, newest first. Refunded orders drop out on their own.
+function approvedReviews(productId) {
+  return loadReviews().reviews.filter(function(r) {
+    if (r.status !== "approved" || (productId && r.product_id !== productId)) return false;
+    var order = getOrder(r.order_id);
+    return order && !order.revoked;
+  }).sort(function(a, b) { return String(b.submitted).localeCompare(String(a.submitted)); });
+}
+
+// { productId: { average, count } } for every product with an approved review
+function productRatings() {
+  var sums = {};
+  approvedReviews().forEach(function(r) {
+    var s = sums[r.product_id] || (sums[r.product_id] = { total:0, count:0 });
+    s.total += r.rating;
+    s.count++;
+  });
+  var ratings = {};
+  Object.keys(sums).forEach(function(id) { ratings[id] = { average:Math.round(sums[id].total / sums[id].count * 10) / 10, count:sums[id].count }; });
+  return ratings;
+}
+
+function reviewStats() {
+  var all      = loadReviews().reviews;
+  var approved = approvedReviews();
+  return {
+    approved: approved.length,
+    pending:  all.filter(function(r) { return r.status === "pending"; }).length,
+    average:  approved.length ? Math.round(approved.reduce(function(s, r) { return s + r.rating; }, 0) / approved.length * 10) / 10 : null,
+  };
+}
+
+function stars(rating) {
+  var full = Math.round(rating);
+  return "<span style='color:#f59e0b;letter-spacing:1px' aria-label='" + rating + " out of 5 stars'>" + "\u2605".repeat(full) + "<span style='color:#d1d5db'>" + "\u2605".repeat(5 - full) + "</span></span>";
+}
+
+// ── ABANDONED CHECKOUTS ───────────────────────────────────────────────────────
+// Every PaymentIntent created at checkout is kept as an attempt. If it is still
+// unpaid RECOVERY_HOURS later, the buyer gets one reminder, with the
+// RECOVERY_COUPON code when it applies to what they left. A payment from that
+// email or the opt-out link in the reminder stops it. The scheduler calls
+// sendRecoveryEmails() every few minutes.
+// Attempt: { id, email, product_ids, names, amount, currency, fx, payment_intent,
+//            status: "open"|"replaced"|"paid"|"reminded"|"recovered"|"opted_out"|"expired",
+//            created, reminded_at, paid_at }
+
+function loadCheckouts() {
+  if (!fs.existsSync(CHECKOUT_FILE)) return { checkouts: [], opted_out: [] };
+  try { return JSON.parse(fs.readFileSync(CHECKOUT_FILE, "utf8")); }
+  catch(e) { return { checkouts: [], opted_out: [] }; }
+}
+
+function saveCheckouts(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  if (data.checkouts.length > 5000) data.checkouts = data.checkouts.slice(-5000);
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(CHECKOUT_FILE, JSON.stringify(data, null, 2));
+}
+
+// A newer attempt from the same email replaces any open one — one reminder, for what they tried last
+function recordCheckout(email, products, quote, paymentIntentId) {
+  var data = loadCheckouts();
+  email = String(email).trim().toLowerCase();
+  data.checkouts.forEach(function(a) { if (a.email === email && a.status === "open") a.status = "replaced"; });
+  data.checkouts.push({
+    id:             "chk_" + crypto.randomBytes(6).toString("hex"),
+    email:          email,
+    product_ids:    products.map(function(p) { return p.id; }),
+    names:          products.map(function(p) { return p.name; }),
+    amount:         quote.total,
+    currency:       quote.currency,
+    fx:             quote.fx,
+    payment_intent: paymentIntentId || null,
+    status:         "open",
+    created:        new Date().toISOString(),
+  });
+  saveCheckouts(data);
+}
+
+// Paying for any of the same products — through this intent or a later one — closes the attempt
+function markCheckoutsPaid(email, productIds, paymentIntentId) {
+  var data    = loadCheckouts();
+  var changed = false;
+  email = String(email || "").trim().toLowerCase();
+  data.checkouts.forEach(function(a) {
+    if (a.status !== "open" && a.status !== "reminded") return;
+    var same = a.payment_intent === paymentIntentId
+      || (a.email === email && a.product_ids.some(function(id) { return productIds.indexOf(id) >= 0; }));
+    if (!same) return;
+    a.status  = a.status === "reminded" ? "recovered" : "paid";
+    a.paid_at = new Date().toISOString();
+    changed   = true;
+  });
+  if (changed) saveCheckouts(data);
+}
+
+function optOutCheckouts(email) {
+  var data = loadCheckouts();
+  email = String(email || "").trim().toLowerCase();
+  if (data.opted_out.indexOf(email) < 0) data.opted_out.push(email);
+  data.checkouts.forEach(function(a) { if (a.email === email && a.status === "open") a.status = "opted_out"; });
+  saveCheckouts(data);
+  auditLog("STORE_RECOVERY_OPT_OUT", { email:email });
+}
+
+// The configured coupon's code if it would work on these products, else null
+function recoveryCoupon(products, currency) {
+  if (!RECOVERY_COUPON) return null;
+  var quote = quoteOrder(products, RECOVERY_COUPON, null, { currency:currency });
+  return quote.error ? null : quote.coupon;
+}
+
+function sendRecoveryEmail(attempt, products, coupon) {
+  var track = "utm_source=recovery&utm_medium=email" + (coupon ? "&code=" + encodeURIComponent(coupon) : "");
+  var link  = products.length === 1
+    ? getBaseUrl() + "/store/buy/" + products[0].id + "?" + track
+    : getBaseUrl() + "/store/cart?items=" + products.map(function(p) { return p.id; }).join(",") + "&" + track;
+  var optOut = getBaseUrl() + "/store/recover/optout/" + signLink({ ro:attempt.email }, 30 * 86400000);
+  var c      = coupon && getCoupon(coupon);
+  var cur    = normalizeCurrency(attempt.currency) || "usd";
+  return sendEmail(attempt.email, products.length === 1 ? "Still thinking about " + products[0].name + "?" : "You left " + products.length + " guides in your cart",
+    emailShell("Still interested?", "Your checkout wasn't finished",
+      "<p style='color:#374151;line-height:1.6'>You started checking out but the payment didn't go through. Everything is still here:</p>"
+      + "<ul style='color:#374151;line-height:1.8'>" + products.map(function(p) { return "<li>" + esc(p.name) + "</li>"; }).join("") + "</ul>"
+      + (c ? "<p style='color:#374151;line-height:1.6'>Here's <strong>" + (c.type === "percent" ? c.amount + "% off" : formatMoney(round2(c.amount * loadRates()[cur]), cur) + " off") + "</strong> to help you decide \u2014 code <code style='background:#f3f4f6;padding:3px 8px;border-radius:4px'>" + esc(c.code) + "</code> is already applied.</p>" : "")
+      + emailButton(link, "Finish my purchase")
+      + "<p style='color:#9ca3af;font-size:12px'>This is the only reminder we'll send. <a href='" + esc(optOut) + "' style='color:#9ca3af'>Don't email me about unfinished checkouts</a>.</p>"));
+}
+
+// Sends every reminder that is due; returns how many went out. Attempts are
+// marked before any email is sent so an overlapping run can't send twice.
+async function sendRecoveryEmails() {
+  if (!(RECOVERY_HOURS > 0)) return 0;
+  var data  = loadCheckouts();
+  var now   = Date.now();
+  var queue = [];
+  data.checkouts.forEach(function(a) {
+    if (a.status !== "open") return;
+    var age = now - new Date(a.created).getTime();
+    if (age < RECOVERY_HOURS * 3600000) return;
+    if (data.opted_out.indexOf(a.email) >= 0) { a.status = "opted_out"; return; }
+    if (a.payment_intent && getOrderByPaymentIntent(a.payment_intent)) { a.status = "paid"; return; }
+    var products = a.product_ids.map(getProduct).filter(function(p) { return p && p.active && !isFree(p); });
+    // Too late to be helpful (the store was down, or the products are gone)
+    if (age > (RECOVERY_HOURS + 72) * 3600000 || products.length === 0) { a.status = "expired"; return; }
+    a.status      = "reminded";
+    a.reminded_at = new Date(now).toISOString();
+    queue.push({ attempt:a, products:products });
+  });
+  saveCheckouts(data);
+  for (var i = 0; i < queue.length; i++) {
+    var coupon = recoveryCoupon(queue[i].products, queue[i].attempt.currency);
+    await sendRecoveryEmail(queue[i].attempt, queue[i].products, coupon);
+    auditLog("STORE_RECOVERY_SENT", { checkout_id:queue[i].attempt.id, product_ids:queue[i].attempt.product_ids, coupon:coupon });
+  }
+  return queue.length;
+}
+
+function recoveryStats() {
+  var all       = loadCheckouts().checkouts;
+  var reminded  = all.filter(function(a) { return a.reminded_at; });
+  var recovered = reminded.filter(function(a) { return a.status === "recovered"; });
+  return {
+    attempts:  all.length,
+    reminded:  reminded.length,
+    recovered: recovered.length,
+    rate:      pct(recovered.length, reminded.length),
+    revenue:   round2(recovered.reduce(function(s, a) { return s + toUsd(a, a.amount || 0); }, 0)),
+  };
+}
+
+// ── REFERRALS ─────────────────────────────────────────────────────────────────
+// Buyers and outside partners sign up for a code at /store/partners. A store
+// link with ?ref=<code> sets the store_ref cookie for REFERRAL_DAYS (the last
+// partner clicked wins), checkout copies it into metadata[ref], and the
+// webhook writes the commission onto the order. Commission is REFERRAL_PERCENT
+// of the order's pre-tax USD revenue; it is void if the order is refunded or
+// disputed and payable once it is REFERRAL_HOLD_DAYS old. Nothing is paid
+// automatically — the owner pays by hand and records it in the admin.
+// Partner: { code, name, email, payout, rate, status: "active"|"disabled",
+//            created, payouts: [{ amount, note, date }] }
+
+var RESERVED_CODES = ["admin", "direct", "email", "recovery", "referral", "partner", "store", "youtube", "pinterest", "blogger", "newsletter", "google", "facebook", "instagram", "tiktok", "twitter"];
+
+function loadPartners() {
+  if (!fs.existsSync(PARTNER_FILE)) return { partners: [] };
+  try { return JSON.parse(fs.readFileSync(PARTNER_FILE, "utf8")); }
+  catch(e) { return { partners: [] }; }
+}
+
+function savePartners(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(PARTNER_FILE, JSON.stringify(data, null, 2));
+}
+
+function normalizeRefCode(code) {
+  return String(code || "").trim().toLowerCase().replace(/[^a-z0-9-]/g, "").slice(0, 24);
+}
+
+function getPartner(code) {
+  code = normalizeRefCode(code);
+  return code ? loadPartners().partners.find(function(p) { return p.code === code; }) || null : null;
+}
+
+function activePartner(code) {
+  var partner = REFERRAL_PERCENT > 0 ? getPartner(code) : null;
+  return partner && partner.status === "active" ? partner : null;
+}
+
+// { partner } or { error }; an email that already has a code gets that one back
+function addPartner(fields) {
+  var email = String(fields.email || "").trim().toLowerCase();
+  var name  = String(fields.name || "").trim().slice(0, 80);
+  if (!isEmail(email)) return { error:"Please enter a valid email address." };
+  if (!name) return { error:"Please enter your name." };
+  var data     = loadPartners();
+  var existing = data.partners.find(function(p) { return p.email === email; });
+  if (existing) return { partner:existing, existing:true };
+
+  var wanted = normalizeRefCode(fields.code);
+  if (fields.code && (wanted.length < 3 || RESERVED_CODES.indexOf(wanted) >= 0)) return { error:"That code isn't available \u2014 use 3 to 24 letters, numbers or dashes." };
+  var code = wanted || normalizeRefCode(slugify(name).split("-")[0]).slice(0, 12) + "-" + crypto.randomBytes(2).toString("hex");
+  if (data.partners.some(function(p) { return p.code === code; })) {
+    if (wanted) return { error:"That code is taken \u2014 try another." };
+    code += crypto.randomBytes(1).toString("hex");
+  }
+  var partner = {
+    code:    code,
+    name:    name,
+    email:   email,
+    payout:  String(fields.payout || "").trim().slice(0, 200),
+    rate:    REFERRAL_PERCENT,
+    status:  "active",
+    created: new Date().toISOString(),
+    payouts: [],
+  };
+  data.partners.push(partner);
+  savePartners(data);
+  auditLog("STORE_PARTNER_CREATED", { code:code, email:email, rate:partner.rate });
+  return { partner:partner };
+}
+
+function setPartnerStatus(code, status) {
+  var data    = loadPartners();
+  var partner = data.partners.find(function(p) { return p.code === code; });
+  if (!partner || (status !== "active" && status !== "disabled")) return null;
+  partner.status = status;
+  savePartners(data);
+  auditLog("STORE_PARTNER_" + status.toUpperCase(), { code:code });
+  return partner;
+}
+
+// A manual payout the owner has already sent (PayPal, bank transfer, ...)
+function recordPartnerPayout(code, amount, note) {
+  amount = round2(parseFloat(amount));
+  if (!(amount > 0)) return { error:"Enter the amount you paid." };
+  var data    = loadPartners();
+  var partner = data.partners.find(function(p) { return p.code === code; });
+  if (!partner) return { error:"Partner not found." };
+  partner.payouts.push({ amount:amount, note:String(note || "").trim().slice(0, 200), date:new Date().toISOString() });
+  savePartners(data);
+  auditLog("STORE_PARTNER_PAID", { code:code, amount:amount, note:note || "" }, "financial");
+  return { partner:partner };
+}
+
+function partnerLink(partner) {
+  return getBaseUrl() + "/store?ref=" + partner.code;
+}
+
+function partnerStatsLink(partner) {
+  return getBaseUrl() + "/store/partners/stats/" + signLink({ a:partner.code }, 30 * 86400000);
+}
+
+function sendPartnerEmail(partner, welcome) {
+  return sendEmail(partner.email, welcome ? "Your referral link for " + STORE_NAME : "Your referral stats link",
+    emailShell(welcome ? "You're in!" : "Your referrals", "Earn " + partner.rate + "% on every sale you send",
+      "<p style='color:#374151;line-height:1.6'>Share this link anywhere \u2014 anyone who buys within " + REFERRAL_DAYS + " days of clicking it earns you " + partner.rate + "% of the sale:</p>"
+      + "<p style='text-align:center'><code style='background:#f3f4f6;padding:6px 10px;border-radius:4px;font-size:15px'>" + esc(partnerLink(partner)) + "</code></p>"
+      + "<p style='color:#374151;line-height:1.6'>Your code <strong>" + esc(partner.code) + "</strong> also works on any product link: add <code>?ref=" + esc(partner.code) + "</code>.</p>"
+      + emailButton(partnerStatsLink(partner), "See My Stats")
+      + "<p style='color:#6b7280;font-size:13px'>The stats link expires in 30 days. Get a new one any time at <a href='" + getBaseUrl() + "/store/partners' style='color:#6b7280'>" + getBaseUrl() + "/store/partners</a>. Commissions are paid by hand once an order is " + REFERRAL_HOLD_DAYS + " days old.</p>"));
+}
+
+// Called by the webhook for a paid order. No commission on free claims or on
+// a partner's own purchases.
+function creditReferral(order, code) {
+  var partner = code && activePartner(code);
+  if (!partner || order.free || !(order.amount > 0)) return null;
+  if (partner.email === String(order.email || "").trim().toLowerCase()) {
+    auditLog("STORE_REFERRAL_SELF", { code:partner.code, order_id:order.id });
+    return null;
+  }
+  var referral = { code:partner.code, rate:partner.rate, commission:round2(revenueOf(order, order.amount) * partner.rate / 100) };
+  appendLedger({ t:"set", id:order.id, date:new Date().toISOString(), fields:{ referral:referral } });
+  auditLog("STORE_REFERRAL_CREDITED", { code:partner.code, order_id:order.id, commission:referral.commission }, "financial");
+  return referral;
+}
+
+function commissionState(order, cutoff) {
+  if (order.revoked) return "void";
+  return order.date > cutoff ? "pending" : "cleared";
+}
+
+// Per partner, in USD. payable = cleared - paid, and goes negative when an
+// order that was already paid out is refunded later (deduct it next time).
+function referralReport() {
+  var cutoff = new Date(Date.now() - REFERRAL_HOLD_DAYS * 86400000).toISOString();
+  var funnel = getFunnel();
+  var rows   = {};
+  loadPartners().partners.forEach(function(p) {
+    var src  = funnel.sources[p.code];
+    var paid = round2(p.payouts.reduce(function(s, x) { return s + x.amount; }, 0));
+    rows[p.code] = { code:p.code, name:p.name, email:p.email, payout:p.payout, rate:p.rate, status:p.status, created:p.created,
+      visitors:src ? src.visitors : 0, orders:0, earned:0, pending:0, cleared:0, void:0, paid:paid, payable:0, last_paid:p.payouts.length ? p.payouts[p.payouts.length - 1].date : null, recent:[] };
+  });
+  loadOrders().forEach(function(o) {
+    var row = o.referral && rows[o.referral.code];
+    if (!row) return;
+    var state = commissionState(o, cutoff);
+    row.orders++;
+    row[state] = round2(row[state] + o.referral.commission);
+    if (state !== "void") row.earned = round2(row.earned + o.referral.commission);
+    row.recent.push({ date:o.date, products:orderItems(o).map(function(i) { return i.name; }), commission:o.referral.commission, state:state });
+  });
+  Object.keys(rows).forEach(function(code) {
+    rows[code].payable = round2(rows[code].cleared - rows[code].paid);
+    rows[code].recent  = rows[code].recent.slice(-20).reverse();
+  });
+  return rows;
+}
+
+function referralStats() {
+  var report = referralReport();
+  var rows   = Object.keys(report).map(function(code) { return report[code]; });
+  return {
+    partners:   rows.length,
+    orders:     rows.reduce(function(s, r) { return s + r.orders; }, 0),
+    commission: round2(rows.reduce(function(s, r) { return s + r.earned; }, 0)),
+    payable:    round2(rows.reduce(function(s, r) { return s + Math.max(0, r.payable); }, 0)),
+  };
+}
+
+// ── DOWNLOAD TOKENS ───────────────────────────────────────────────────────────
+
+// Tokens are bound to an order, not just a product, so downloads can be
+// counted per order and cut off when the order is refunded or disputed.
+function makeToken(orderId, productId) {
+  return signLink({ o:orderId, p:productId }, 86400000);
+}
+
+// Members aren't tied to an order — their tokens carry the member's email and
+// are checked against the membership at download time
+function makeMemberToken(email, productId) {
+  return signLink({ m:email, p:productId }, 86400000);
+}
+
+function checkToken(token) {
+  var data = readLink(token);
+  if (data && data.m && data.p) return { member:data.m, product_id:data.p };
+  return data && data.o && data.p ? { order_id:data.o, product_id:data.p } : null;
+}
+
+// Signed, expiring links (downloads, order-lookup magic links).
+// Payload is base64url JSON, signature is the full HMAC.
+function signLink(data, ttlMs) {
+  var secret  = process.env.SESSION_SECRET || "secret";
+  var payload = Buffer.from(JSON.stringify(Object.assign({ x:Date.now() + ttlMs }, data))).toString("base64url");
+  return payload + "." + crypto.createHmac("sha256",secret).update(payload).digest("base64url");
+}
+
+function readLink(token) {
+  try {
+    var secret = process.env.SESSION_SECRET || "secret";
+    var parts  = String(token).split(".");
+    var got    = Buffer.from(parts[1] || "");
+    var want   = Buffer.from(crypto.createHmac("sha256",secret).update(parts[0]).digest("base64url"));
+    if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) return null;
+    var data = JSON.parse(Buffer.from(parts[0],"base64url").toString());
+    return Date.now() > data.x ? null : data;
+  } catch(e) { return null; }
+}
+
+// ── RATE LIMITS ───────────────────────────────────────────────────────────────
+// In-memory sliding window — resets on restart, which is fine for abuse control.
+
+var rateHits = {};
+var rateSweep = { at:0, longest:0 };
+
+function rateLimit(key, max, windowMs) {
+  var now  = Date.now();
+  // Forget keys with no hits inside the longest window in use, once a minute
+  rateSweep.longest = Math.max(rateSweep.longest, windowMs);
+  if (now - rateSweep.at > 60000) {
+    rateSweep.at = now;
+    Object.keys(rateHits).forEach(function(k) {
+      var last = rateHits[k][rateHits[k].length - 1];
+      if (!last || now - last >= rateSweep.longest) delete rateHits[k];
+    });
+  }
+  var hits = (rateHits[key] || []).filter(function(t) { return now - t < windowMs; });
+  if (hits.length >= max) { rateHits[key] = hits; return false; }
+  hits.push(now);
+  rateHits[key] = hits;
+  return true;
+}
+
+// The proxy in front of us (Railway) appends the address it saw, so only the
+// last X-Forwarded-For entry is trustworthy — anything before it is client-supplied
+function clientIP(req) {
+  var fwd = String(req.headers["x-forwarded-for"] || "").split(",").pop().trim();
+  return (fwd || (req.socket && req.socket.remoteAddress) || "").replace("::ffff:", "");
+}
+
+// ── FUNNEL ANALYTICS ──────────────────────────────────────────────────────────
+// data/store-events.jsonl is append-only, one line per event:
+//   { kind, product_id, visitor, source, medium, campaign, amount, date }
+// kind is store_view, product_view, checkout_started, payment_succeeded or
+// download. Nothing personal is kept: the visitor ID is a hash of the IP and
+// user agent salted with the day, so it counts unique visitors per day and
+// can't follow anyone across days. Known bots are not counted.
+// Only EVENT_KEEP_DAYS are needed (the funnel window, or a test's lifetime).
+// Once the file's first event is older than that it is renamed to
+// store-events.jsonl.old, replacing the previous one, so at most two windows
+// sit on disk; the cache keeps just the last window.
+
+var BOT_UA = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|curl|wget|python-requests|monitor/i;
+var EVENT_OLD_FILE  = EVENT_FILE + ".old";
+var EVENT_KEEP_DAYS = Math.max(FUNNEL_DAYS, AB_MAX_DAYS) + 1;
+var events = { ino:0, offset:0, list:[], dropped:0 };  // dropped: events trimmed off the front of list
+var eventsChecked = "";  // day the log was last checked for rotation
+
+function cleanSource(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9._-]/g, "").slice(0, 40);
+}
+
+// Who is looking and where they came from: utm_source (or ?ref=) on the URL
+// wins, then the store_src session cookie, then another site's Referer.
+// fresh marks a source that still has to be saved in the cookie. ref is the
+// referral partner to credit (see REFERRALS); refFresh sets store_ref again.
+// ab holds A/B test assignments from store_ab (see EXPERIMENTS).
+function visitFor(req, query) {
+  var ua    = String(req.headers["user-agent"] || "");
+  var day   = new Date().toISOString().slice(0, 10);
+  var visit = {
+    id:    crypto.createHash("sha256").update((process.env.SESSION_SECRET || "secret") + "|" + day + "|" + clientIP(req) + "|" + ua).digest("hex").slice(0, 16),
+    bot:   !ua || BOT_UA.test(ua),
+    src:   "",
+    fresh: false,
+    ab:    readAssignments(getCookie(req, "store_ab")),
+  };
+  var saved   = String(getCookie(req, "store_src") || "");
+  var tagged  = cleanSource(query.utm_source || query.ref);
+  var partner = query.ref ? activePartner(query.ref) : null;
+  visit.ref      = partner ? partner.code : normalizeRefCode(getCookie(req, "store_ref"));
+  visit.refFresh = !!partner;
+  if (tagged) {
+    var medium = cleanSource(query.utm_medium) || (partner && !query.utm_source ? "partner" : "");
+    visit.src = [tagged, medium, cleanSource(query.utm_campaign)].join("~");
+  } else if (saved) {
+    visit.src = saved.split("~").map(cleanSource).slice(0, 3).join("~");
+  } else {
+    try {
+      var from = new URL(String(req.headers.referer || ""));
+      if (from.host && from.host !== req.headers.host) visit.src = [cleanSource(from.hostname.replace(/^www\./, "")), "referral", ""].join("~");
+    } catch(e) {}
+  }
+  visit.fresh = !!visit.src && visit.src !== saved;
+  return visit;
+}
+
+// A visit rebuilt from PaymentIntent metadata, for events the webhook records
+function visitFromMeta(meta) {
+  return { id:String(meta.visitor || "").slice(0, 16), bot:false, src:String(meta.src || ""), ab:parseAssignments(meta.ab) };
+}
+
+function recordEvent(kind, visit, productId, amount) {
+  if (visit && visit.bot) return;
+  var src   = ((visit && visit.src) || "").split("~");
+  var entry = { kind:kind, date:new Date().toISOString() };
+  if (productId) entry.product_id = productId;
+  if (visit && visit.id) entry.visitor = visit.id;
+  entry.source = src[0] || "direct";
+  if (src[1]) entry.medium = src[1];
+  if (src[2]) entry.campaign = src[2];
+  if (amount) entry.amount = amount;
+  if (visit && visit.ab && Object.keys(visit.ab).length) entry.ab = formatAssignments(visit.ab);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    rotateEvents(entry.date);
+    fs.appendFileSync(EVENT_FILE, JSON.stringify(entry) + "\n");
+  } catch(e) {} // analytics never breaks a page or a checkout
+}
+
+// Checked once a day per process; only the first line of the log is read
+function rotateEvents(now) {
+  if (eventsChecked === now.slice(0, 10)) return;
+  eventsChecked = now.slice(0, 10);
+  var head = Buffer.alloc(512), fd, n;
+  try { fd = fs.openSync(EVENT_FILE, "r"); } catch(e) { return; }
+  try { n = fs.readSync(fd, head, 0, head.length, 0); } finally { fs.closeSync(fd); }
+  var first = (head.slice(0, n).toString("utf8").match(/"date":"([^"]+)"/) || [])[1];
+  if (first && first < new Date(Date.now() - EVENT_KEEP_DAYS * 86400000).toISOString()) fs.renameSync(EVENT_FILE, EVENT_OLD_FILE);
+}
+
+// Parses whole lines from `offset` on; returns the offset after the last one
+function readEventLines(file, offset, size, since, into) {
+  var buf = Buffer.alloc(size - offset);
+  var fd  = fs.openSync(file, "r");
+  try { fs.readSync(fd, buf, 0, buf.length, offset); } finally { fs.closeSync(fd); }
+  var end = buf.lastIndexOf(10); // stop at the last whole line — another writer may be mid-append
+  if (end < 0) return offset;
+  buf.slice(0, end).toString("utf8").split("\n").forEach(function(line) {
+    if (!line.trim()) return;
+    try { var e = JSON.parse(line); if (e.date >= since) into.push(e); } catch(err) {}
+  });
+  return offset + end + 1;
+}
+
+// Cached like the order ledger — only bytes appended since the last read are
+// parsed. After a rotation the cache is rebuilt from the renamed file too.
+function loadEvents() {
+  var since = new Date(Date.now() - EVENT_KEEP_DAYS * 86400000).toISOString();
+  var stat;
+  try { stat = fs.statSync(EVENT_FILE); } catch(e) { stat = null; }
+  if (stat && (stat.ino !== events.ino || stat.size < events.offset)) {
+    events = { ino:stat.ino, offset:0, list:[], dropped:0 };
+    experimentCache = {};
+    try { readEventLines(EVENT_OLD_FILE, 0, fs.statSync(EVENT_OLD_FILE).size, since, events.list); } catch(e) {}
+  }
+  if (stat && stat.size > events.offset) events.offset = readEventLines(EVENT_FILE, events.offset, stat.size, since, events.list);
+
+  var stale = 0;
+  while (stale < events.list.length && events.list[stale].date < since) stale++;
+  if (stale) { events.list = events.list.slice(stale); events.dropped += stale; }
+  return events.list;
+}
+
+function pct(part, whole) {
+  return whole ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+// Per-product funnel over the last `days` days. Visitors and checkouts count
+// unique daily visitors, so reloading a page or retrying a card doesn't
+// inflate them; purchases and downloads count every event. Rates are percents.
+function getFunnel(days) {
+  days = days || FUNNEL_DAYS;
+  var since    = new Date(Date.now() - days * 86400000).toISOString();
+  var products = {}, sources = {};
+  var seen     = {}; // "kind:product:visitor" and "src:source:visitor"
+  var storeVisitors = 0;
+
+  function once(key) {
+    if (seen[key]) return false;
+    seen[key] = true;
+    return true;
+  }
+  function productRow(id) {
+    if (!products[id]) {
+      var p = getProduct(id);
+      products[id] = { name:p ? p.name : id, niche:p ? p.niche || null : null, visitors:0, views:0, checkouts:0, purchases:0, downloads:0, revenue:0 };
+    }
+    return products[id];
+  }
+
+  loadEvents().forEach(function(e) {
+    if (e.date < since) return;
+    var who = e.visitor || e.date; // purchases without a visitor still count once each
+    var src = sources[e.source] || (sources[e.source] = { visitors:0, checkouts:0, purchases:0, revenue:0 });
+    if (e.kind !== "download" && once("src:" + e.source + ":" + who)) src.visitors++;
+
+    if (e.kind === "store_view") {
+      if (once("store:" + who)) storeVisitors++;
+      return;
+    }
+    if (!e.product_id) return;
+    var row = productRow(e.product_id);
+    if (e.kind === "product_view") {
+      row.views++;
+      if (once("view:" + e.product_id + ":" + who)) row.visitors++;
+    } else if (e.kind === "checkout_started") {
+      if (once("checkout:" + e.product_id + ":" + who)) { row.checkouts++; src.checkouts++; }
+    } else if (e.kind === "payment_succeeded") {
+      row.purchases++;
+      row.revenue = round2(row.revenue + (e.amount || 0));
+      src.purchases++;
+      src.revenue = round2(src.revenue + (e.amount || 0));
+    } else if (e.kind === "download") {
+      row.downloads++;
+    }
+  });
+
+  Object.keys(products).forEach(function(id) {
+    var row = products[id];
+    row.view_to_checkout     = pct(row.checkouts, row.visitors);
+    row.checkout_to_purchase = pct(row.purchases, row.checkouts);
+    row.conversion           = pct(row.purchases, row.visitors);
+  });
+  Object.keys(sources).forEach(function(s) { sources[s].conversion = pct(sources[s].purchases, sources[s].visitors); });
+  return { days:days, store_visitors:storeVisitors, products:products, sources:sources };
+}
+
+// ── EXPERIMENTS ───────────────────────────────────────────────────────────────
+// A/B tests of one product's price, title or cover style. Each human visitor
+// gets a variant — picked from a hash of their daily visitor ID, then kept in
+// the store_ab cookie so it doesn't change tomorrow — and the assignments ride
+// along on every funnel event (and in PaymentIntent metadata, so purchases
+// carry them too). Bots always see the control.
+// Variants are compared on purchases per visitor, or revenue per visitor for
+// price tests. evaluateExperiments() runs from the scheduler and decides a
+// test once, when every variant has AB_MIN_VISITORS visitors: if the leader
+// beats each other variant at 95% confidence its value is written onto the
+// product, otherwise the test ends as inconclusive and keeps the control, as
+// do tests that never get there within AB_MAX_DAYS. Either way the outcome
+// goes to brain.recordExperiment. The cookie is signed, since a visitor who
+// could edit it could pick their own price.
+// Experiment: { id, product_id, field: "price"|"title"|"cover", status:
+//   "running"|"completed"|"inconclusive"|"stopped", variants: [{ key, value,
+//   control }], created, ended, winner, results }
+
+var AB_FIELDS    = ["price", "title", "cover"];
+var COVER_STYLES = ["classic", "light", "bold"];
+var AB_Z         = 1.96; // two-sided 95%
+
+function loadExperiments() {
+  if (!fs.existsSync(EXPERIMENT_FILE)) return { experiments: [] };
+  try { return JSON.parse(fs.readFileSync(EXPERIMENT_FILE, "utf8")); }
+  catch(e) { return { experiments: [] }; }
+}
+
+function saveExperiments(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  data.updated = new Date().toISOString();
+  fs.writeFileSync(EXPERIMENT_FILE, JSON.stringify(data, null, 2));
+}
+
+function runningExperiments() {
+  var byProduct = {};
+  loadExperiments().experiments.forEach(function(x) { if (x.status === "running") byProduct[x.product_id] = x; });
+  return byProduct;
+}
+
+function fieldValue(product, field) {
+  if (field === "price") return product.price;
+  if (field === "title") return product.name;
+  return product.cover_style || "classic";
+}
+
+// values: the alternatives to test against the product as it is now (1 or 2)
+function startExperiment(productId, field, values) {
+  var product = getProduct(productId);
+  if (!product || !product.active) return { error:"Only active products can be tested." };
+  if (AB_FIELDS.indexOf(field) < 0) return { error:"Test the price, title or cover." };
+  if (runningExperiments()[productId]) return { error:"This product already has a test running." };
+  if (field === "price" && (isFree(product) || isPwyw(product))) return { error:"Price tests need a fixed-price product." };
+
+  var control = fieldValue(product, field);
+  var seen    = [String(control)];
+  var clean   = [];
+  for (var i = 0; i < (values || []).length && clean.length < 2; i++) {
+    var v = values[i];
+    if (v === undefined || v === null || String(v).trim() === "") continue;
+    if (field === "price") {
+      v = round2(parseFloat(v));
+      if (!(v > 0)) return { error:"Prices must be more than 0." };
+    } else if (field === "title") {
+      v = String(v).trim().slice(0, 120);
+      if (loadStore().products.some(function(p) { return p.id !== productId && p.name === v; })) return { error:"Another product already has the title \"" + v + "\"." };
+    } else if (COVER_STYLES.indexOf(v) < 0) {
+      return { error:"Cover style must be one of " + COVER_STYLES.join(", ") + "." };
+    }
+    if (seen.indexOf(String(v)) >= 0) continue;
+    seen.push(String(v));
+    clean.push(v);
+  }
+  if (clean.length === 0) return { error:"Enter at least one value that differs from the current " + field + "." };
+
+  var data = loadExperiments();
+  var experiment = {
+    id:         "ab" + crypto.randomBytes(4).toString("hex"),
+    product_id: productId,
+    field:      field,
+    status:     "running",
+    variants:   [{ key:"a", value:control, control:true }].concat(clean.map(function(v, i) { return { key:"bc".charAt(i), value:v }; })),
+    created:    new Date().toISOString(),
+  };
+  data.experiments.push(experiment);
+  saveExperiments(data);
+  auditLog("STORE_EXPERIMENT_STARTED", { id:experiment.id, product_id:productId, field:field, variants:experiment.variants });
+  return { experiment:experiment };
+}
+
+// store_ab cookie: "<experiment id>-<variant key>" pairs joined with dots
+function parseAssignments(str) {
+  var out = {};
+  String(str || "").split(".").forEach(function(pair) {
+    var m = pair.match(/^(ab[0-9a-f]{8})-([a-c])$/);
+    if (m) out[m[1]] = m[2];
+  });
+  return out;
+}
+
+function formatAssignments(ab) {
+  return Object.keys(ab || {}).map(function(id) { return id + "-" + ab[id]; }).join(".");
+}
+
+// Cookie value: the assignments, "~" and an HMAC of them. A missing or wrong
+// signature reads as no assignments, so the visitor is assigned afresh.
+function abSignature(str) {
+  return crypto.createHmac("sha256", process.env.SESSION_SECRET || "secret").update("ab|" + str).digest("base64url").slice(0, 22);
+}
+
+function signAssignments(ab) {
+  var str = formatAssignments(ab);
+  return str + "~" + abSignature(str);
+}
+
+function readAssignments(value) {
+  var parts = String(value || "").split("~");
+  var got   = Buffer.from(parts[1] || ""), want = Buffer.from(abSignature(parts[0]));
+  return got.length === want.length && crypto.timingSafeEqual(got, want) ? parseAssignments(parts[0]) : {};
+}
+
+// A copy of the product as a variant shows it
+function variantOf(product, x, variant) {
+  if (variant.control) return product;
+  var copy = Object.assign({}, product);
+  if (x.field === "price") { copy.price = variant.value; delete copy.prices; } // other currencies convert from the tested price
+  if (x.field === "title") copy.name = variant.value;
+  if (x.field === "cover") copy.cover_style = variant.value;
+  return copy;
+}
+
+// The products as this visitor should see them. Assigns a variant for every
+// running test among them; visit.abFresh means the cookie needs rewriting.
+function applyExperiments(products, visit) {
+  if (!visit || visit.bot) return products;
+  var running = runningExperiments();
+  var shown   = products.map(function(p) {
+    var x = running[p.id];
+    if (!x) return p;
+    var key = visit.ab[x.id];
+    if (!key || !x.variants.some(function(v) { return v.key === key; })) {
+      var n = parseInt(crypto.createHash("sha256").update(visit.id + ":" + x.id).digest("hex").slice(0, 8), 16);
+      key = x.variants[n % x.variants.length].key;
+      visit.ab[x.id] = key;
+      visit.abFresh  = true;
+    }
+    return variantOf(p, x, x.variants.find(function(v) { return v.key === key; }));
+  });
+  if (visit.abFresh) { // drop finished tests while the cookie is being rewritten anyway
+    var live = Object.keys(running).map(function(id) { return running[id].id; });
+    Object.keys(visit.ab).forEach(function(id) { if (live.indexOf(id) < 0) delete visit.ab[id]; });
+  }
+  return shown;
+}
+
+// Per variant since the test started: visitors who were assigned it (unique
+// per day, like the funnel), checkouts and purchases of the tested product.
+// Tallies are kept per test and only events logged since the last call are
+// added; a rotation of the event log starts them over.
+var experimentCache = {};
+
+function experimentResults(x) {
+  var list  = loadEvents();
+  var cache = experimentCache[x.id];
+  if (!cache) {
+    cache = experimentCache[x.id] = { next:events.dropped, rows:{}, seen:{} };
+    x.variants.forEach(function(v) { cache.rows[v.key] = { key:v.key, visitors:0, checkouts:0, purchases:0, revenue:0 }; });
+  }
+  var rows = cache.rows, seen = cache.seen;
+  list.slice(Math.max(0, cache.next - events.dropped)).forEach(function(e) {
+    if (e.date < x.created || !e.ab) return;
+    var row = rows[parseAssignments(e.ab)[x.id]];
+    if (!row) return;
+    var who = e.visitor || e.date;
+    if (!seen["v:" + row.key + ":" + who]) { seen["v:" + row.key + ":" + who] = true; row.visitors++; }
+    if (e.product_id !== x.product_id) return;
+    if (e.kind === "checkout_started" && !seen["c:" + row.key + ":" + who]) { seen["c:" + row.key + ":" + who] = true; row.checkouts++; }
+    if (e.kind === "payment_succeeded") { row.purchases++; row.revenue = round2(row.revenue + (e.amount || 0)); }
+  });
+  cache.next = events.dropped + list.length;
+  return x.variants.map(function(v) {
+    var r = Object.assign({ key:v.key, value:v.value, control:!!v.control }, rows[v.key]);
+    r.conversion = pct(r.purchases, r.visitors);
+    r.per_visitor = r.visitors ? Math.round(r.revenue / r.visitors * 100) / 100 : 0;
+    return r;
+  });
+}
+
+// Each visitor is worth `value` with probability p (value 1 for conversion
+// tests, the average order for price tests), so mean = value·p. The variance
+// uses the pooled p of both variants — a two-proportion z-test when value is 1.
+// Returns the z-score of a over b.
+function variantZ(field, a, b) {
+  var pooled = (a.purchases + b.purchases) / ((a.visitors + b.visitors) || 1);
+  var stat = function(r) {
+    var value = field === "price" ? (r.purchases ? r.revenue / r.purchases : 0) : 1;
+    return { mean:r.visitors ? value * r.purchases / r.visitors : 0, variance:r.visitors ? value * value * pooled * (1 - pooled) / r.visitors : 0 };
+  };
+  var sa = stat(a), sb = stat(b);
+  var se = Math.sqrt(sa.variance + sb.variance);
+  return se > 0 ? (sa.mean - sb.mean) / se : 0;
+}
+
+// null until every variant has AB_MIN_VISITORS, then { winner, z } — winner is
+// the leader if it is significantly ahead of every other variant, else null.
+// The test is fixed-sample: that first answer is final, because stopping on
+// whichever hourly check first crosses AB_Z would pass far more than 5% of
+// tests that have no real difference.
+function decideExperiment(x, results) {
+  if (results.some(function(r) { return r.visitors < AB_MIN_VISITORS; })) return null;
+  var metric = function(r) { return x.field === "price" ? r.per_visitor : r.purchases / r.visitors; };
+  var sorted = results.slice().sort(function(a, b) { return metric(b) - metric(a); });
+  var leader = sorted[0];
+  var z = leader.purchases === 0 ? 0 : Math.min.apply(null, sorted.slice(1).map(function(r) { return variantZ(x.field, leader, r); }));
+  return { winner:z >= AB_Z ? leader : null, z:Math.round(z * 100) / 100 };
+}
+
+// outcome: "completed" (a winner), "inconclusive" (timed out) or "stopped" (by hand)
+function concludeExperiment(id, outcome, winnerKey) {
+  var data = loadExperiments();
+  var x    = data.experiments.find(function(e) { return e.id === id; });
+  if (!x || x.status !== "running") return null;
+  var results = experimentResults(x);
+  var winner  = results.find(function(r) { return r.key === winnerKey; }) || results[0];
+  var control = results[0];
+  x.status  = outcome;
+  x.ended   = new Date().toISOString();
+  x.winner  = outcome === "completed" ? winner.key : null;
+  x.results = results;
+  saveExperiments(data);
+
+  var product = getProduct(x.product_id);
+  if (outcome === "completed" && !winner.control && product) {
+    var fields = x.field === "price" ? { price:winner.value, prices:{} } : x.field === "title" ? { name:winner.value } : { cover_style:winner.value };
+    var applied = updateProduct(x.product_id, fields);
+    if (applied.error) auditLog("STORE_EXPERIMENT_PROMOTE_FAILED", { id:x.id, error:applied.error }, "warn");
+    else console.log("     \u2713 Store: " + x.field + " test on \"" + product.name.slice(0,40) + "\" \u2014 promoted " + JSON.stringify(winner.value));
+  }
+  auditLog("STORE_EXPERIMENT_" + outcome.toUpperCase(), { id:x.id, product_id:x.product_id, field:x.field, winner:x.winner, results:results.map(function(r) { return { key:r.key, visitors:r.visitors, purchases:r.purchases, revenue:r.revenue }; }) });
+
+  if (outcome !== "stopped" && product) {
+    var best  = outcome === "completed" ? winner : control;
+    var loser = results.filter(function(r) { return r.key !== best.key; }).sort(function(a, b) { return b.visitors - a.visitors; })[0];
+    var base  = x.field === "price" ? control.per_visitor : control.conversion;
+    var won   = x.field === "price" ? best.per_visitor : best.conversion;
+    brain.recordExperiment({
+      product:    product.name,
+      niche:      product.niche || null,
+      type:       product.type || null,
+      field:      x.field,
+      control:    control.value,
+      winner:     best.value,
+      loser:      loser ? loser.value : null,
+      outcome:    outcome === "completed" ? (best.control ? "control_won" : "variant_won") : "inconclusive",
+      lift:       base ? Math.round((won - base) / base * 1000) / 10 : null,
+      visitors:   results.reduce(function(s, r) { return s + r.visitors; }, 0),
+    });
+  }
+  return x;
+}
+
+function stopExperiment(id) {
+  return concludeExperiment(id, "stopped");
+}
+
+// Promotes every test that has a significant winner and closes the ones that
+// ran out of time. Returns the experiments that ended.
+function evaluateExperiments() {
+  var ended = [];
+  loadExperiments().experiments.filter(function(x) { return x.status === "running"; }).forEach(function(x) {
+    var product = getProduct(x.product_id);
+    if (!product || !product.active) { ended.push(concludeExperiment(x.id, "stopped")); return; }
+    var decision = decideExperiment(x, experimentResults(x));
+    if (decision) ended.push(decision.winner ? concludeExperiment(x.id, "completed", decision.winner.key) : concludeExperiment(x.id, "inconclusive"));
+    else if (Date.now() - new Date(x.created).getTime() > AB_MAX_DAYS * 86400000) ended.push(concludeExperiment(x.id, "inconclusive"));
+  });
+  return ended.filter(Boolean);
+}
+
+function experimentStats() {
+  var all = loadExperiments().experiments;
+  return {
+    running:   all.filter(function(x) { return x.status === "running"; }).length,
+    completed: all.filter(function(x) { return x.status === "completed"; }).length,
+    promoted:  all.filter(function(x) { return x.status === "completed" && x.winner !== "a"; }).length,
+  };
+}
+
+// ── COVERS ────────────────────────────────────────────────────────────────────
+// Raster covers drawn by covers.js. The product engine renders one next to
+// each PDF and cover_key records what it shows. Anything else — bundles,
+// renamed or restyled products, A/B variants — is rendered on its first
+// request to a file named by its own key and kept on disk, so serving a cover
+// never writes to the store. Without sharp the pages keep the inline coverSVG.
+
+// Absolute URL of the cover as this copy of the product shows it, or null
+function coverUrl(product) {
+  if (!covers.available()) return null;
+  return getBaseUrl() + "/store/cover/" + product.id + ".jpg?v=" + covers.coverKey(product);
+}
+
+// The product, or the running title/cover variant of it, drawn with this key
+function coverSubject(product, key) {
+  var x = runningExperiments()[product.id];
+  var variants = x && x.field !== "price" ? x.variants.map(function(v) { return variantOf(product, x, v); }) : [product];
+  return variants.find(function(v) { return covers.coverKey(v) === key; }) || product;
+}
+
+// Resolves to the cover's path, rendering it first if needed, or null
+function productCover(product, key) {
+  var subject = coverSubject(product, key);
+  var drawn   = covers.coverKey(subject);
+  if (subject === product && product.cover_path && product.cover_key === drawn && fs.existsSync(product.cover_path)) return Promise.resolve(product.cover_path);
+  var file = covers.coverPath(product, drawn);
+  return fs.existsSync(file) ? Promise.resolve(file) : covers.renderCover(subject, file);
+}
+
+// ── WEBHOOKS ──────────────────────────────────────────────────────────────────
+// Stripe retries deliveries, so every event ID is claimed once before handling.
+// The claim is released again if handling throws so the retry can succeed.
+
+function claimEvent(eventId) {
+  return updateStore(function(store) {
+    if (store.events.some(function(e){ return e.id === eventId; })) return false;
+    store.events.push({ id:eventId, date:new Date().toISOString() });
+    if (store.events.length > 2000) store.events = store.events.slice(-2000);
+    return true;
+  });
+}
+
+function releaseEvent(eventId) {
+  return updateStore(function(store) {
+    store.events = store.events.filter(function(e){ return e.id !== eventId; });
+  });
+}
+
+async function handleStripeEvent(event) {
+  var obj = (event.data && event.data.object) || {};
+
+  if (event.type === "payment_intent.succeeded") {
+    var meta  = obj.metadata || {};
+    var ids   = String(meta.product_ids || meta.product_id || "").split(",").filter(Boolean);
+    var email = meta.email || obj.receipt_email || "";
+    if (ids.length === 0 || getOrderByPaymentIntent(obj.id)) return;
+    var paid  = String(meta.prices || "").split(",").map(parseFloat);
+    var items = ids.map(function(id, i) {
+      var p = getProduct(id);
+      var price = isFinite(paid[i]) ? paid[i] : p ? p.price : 0;
+      return { product_id:id, name:p ? p.name : (meta.product_name || "Your product"), price:price };
+    });
+    var coupon = meta.coupon ? { code:meta.coupon, discount:parseFloat(meta.discount) || 0 } : null;
+    var tax    = parseFloat(meta.tax) > 0 ? { amount:parseFloat(meta.tax), rate:parseFloat(meta.tax_rate) || 0, label:meta.tax_label || "Tax" } : null;
+    var order  = recordOrder(items, email, obj.id, (obj.amount_received || obj.amount || 0) / 100, {
+      coupon:   coupon,
+      tax:      tax,
+      location: normalizeLocation(meta.country, meta.region),
+      upsell:   meta.offer_product ? { product_id:meta.offer_product, source:meta.offer_source, from_order:meta.offer_from, percent:parseFloat(meta.offer_percent) || 0 } : null,
+      currency: normalizeCurrency(obj.currency) || "usd",
+      fx:       parseFloat(meta.fx) || loadRates()[normalizeCurrency(obj.currency) || "usd"] || 1,
+      invoice:  nextInvoiceNumber(),
+    });
+    if (coupon) redeemCoupon(coupon.code);
+    if (order.amount > 0) bookRevenue(order);
+    markCheckoutsPaid(email, ids, obj.id);
+    if (meta.ref) creditReferral(order, meta.ref);
+    items.forEach(function(item) { recordEvent("payment_succeeded", visitFromMeta(meta), item.product_id, revenueOf(order, item.price)); });
+    auditLog("STORE_ORDER_PAID", { order_id:order.id, product_ids:ids, amount:order.amount, currency:order.currency, tax:tax ? tax.amount : 0, coupon:coupon ? coupon.code : null, invoice:order.invoice }, "financial");
+    if (order.upsell) {
+      var source = getProduct(order.upsell.source), target = getProduct(order.upsell.product_id);
+      var bought = items.find(function(i) { return i.product_id === order.upsell.product_id; });
+      if (source && target) brain.recordUpsellConversion({ id:source.id, name:source.name }, { id:target.id, name:target.name }, target.niche, revenueOf(order, bought ? bought.price : 0));
+    }
+    if (email) {
+      var offers = upsellOffers(order);
+      recordOffers(offers, await sendDeliveryEmail(email, deliveryLinks(order), false, { attachments:order.invoice ? [invoiceAttachment(order)] : [], offers:offers, review:reviewLink(order) }));
+    }
+    return;
+  }
+
+  // Membership renewals — invoice.subscription moved under parent in newer API versions
+  if (event.type === "invoice.paid") {
+    var subId = obj.subscription || (obj.parent && obj.parent.subscription_details && obj.parent.subscription_details.subscription);
+    var addr  = String(obj.customer_email || "").trim().toLowerCase();
+    if (!MEMBERSHIP_PRICE_ID || !subId || !addr) return;
+    // Other subscriptions on the same Stripe account pay invoices too — only the membership price counts.
+    // line.price moved to line.pricing.price_details.price in newer API versions
+    var line = ((obj.lines && obj.lines.data) || []).filter(function(l) {
+      var priceId = (l.price && l.price.id) || (l.pricing && l.pricing.price_details && l.pricing.price_details.price);
+      return priceId === MEMBERSHIP_PRICE_ID;
+    })[0];
+    if (!line) return;
+    var paidAt = ((line.period && line.period.end) || obj.period_end || 0) * 1000;
+    var amount = toUsd({ currency:normalizeCurrency(obj.currency) }, (obj.amount_paid || 0) / 100);
+    var before = getMember(addr);
+    var booked = amount > 0 ? treasury.processRevenue(amount) : null;
+    // Kept per invoice so a refund or dispute can be matched and reversed at the same rates
+    var payment = {
+      invoice:        obj.id,
+      payment_intent: obj.payment_intent || null,
+      charge:         obj.charge || null,
+      currency:       normalizeCurrency(obj.currency),
+      amount:         (obj.amount_paid || 0) / 100,
+      amount_usd:     amount,
+      split:          booked ? { owner_pct:booked.tier.owner, agent_pct:booked.tier.agent, tier:booked.tier.label, month:booked.treasury.month_key } : null,
+      date:           new Date().toISOString(),
+    };
+    var member = updateMember({ subscription:subId, email:addr }, {
+      customer:           obj.customer || null,
+      subscription:       subId,
+      status:             "active",
+      current_period_end: paidAt ? new Date(paidAt).toISOString() : null,
+      paid_total:         round2(((before && before.subscription === subId) ? before.paid_total : 0) + amount),
+      invoices:           ((before && before.subscription === subId) ? before.invoices : 0) + 1,
+      payments:           ((before && before.payments) || []).concat(payment),
+    });
+    auditLog("STORE_MEMBERSHIP_PAID", { email:addr, subscription:subId, amount:amount, invoice:obj.id }, "financial");
+    if (member.invoices === 1) await sendLibraryEmail(addr, true);
+    return;
+  }
+
+  if (event.type === "customer.subscription.updated" || event.type === "customer.subscription.deleted") {
+    var periodEnd = obj.current_period_end || (obj.items && obj.items.data && obj.items.data[0] && obj.items.data[0].current_period_end);
+    var changes   = { status:event.type === "customer.subscription.deleted" ? "canceled" : obj.status };
+    if (periodEnd) changes.current_period_end = new Date(periodEnd * 1000).toISOString();
+    var updatedMember = updateMember({ subscription:obj.id }, changes);
+    if (updatedMember && !isMember(updatedMember.email)) {
+      auditLog("STORE_MEMBERSHIP_LAPSED", { email:updatedMember.email, subscription:obj.id, status:changes.status }, "financial");
+    }
+    return;
+  }
+
+  if (event.type === "charge.refunded" || event.type === "charge.dispute.created") {
+    var status   = event.type === "charge.refunded" ? "refunded" : "disputed";
+    var refunded = obj.payment_intent ? getOrderByPaymentIntent(obj.payment_intent) : null;
+    // charge.refunded carries the running total refunded; a dispute claws back its own amount
+    var cents    = event.type === "charge.refunded" ? obj.amount_refunded : obj.amount;
+    if (!refunded) {
+      var lapse = reverseMembership(obj, status, cents === undefined ? null : cents / 100);
+      if (!lapse) {
+        auditLog("STORE_ORDER_" + status.toUpperCase(), { payment_intent:obj.payment_intent, order_id:null }, "financial");
+        return;
+      }
+      auditLog("STORE_MEMBERSHIP_" + status.toUpperCase(), { email:lapse.email, invoice:lapse.invoice, reversed:lapse.amount, ended:lapse.first }, "financial");
+      if (lapse.first || lapse.amount > 0) {
+        await notify.notifyRefund({ kind:status, product_name:"Membership", amount:lapse.amount_usd, email:lapse.email, owner_cut:lapse.owner_cut, revoked:lapse.full });
+      }
+      return;
+    }
+    var reversal = reverseOrder(refunded, status, cents === undefined ? refunded.amount : cents / 100);
+    auditLog("STORE_ORDER_" + status.toUpperCase(), { payment_intent:obj.payment_intent, order_id:refunded.id, reversed:reversal.amount }, "financial");
+    if (reversal.first || reversal.amount > 0) {
+      await notify.notifyRefund({
+        kind:         status,
+        product_name: orderItems(refunded).map(function(i) { return i.name; }).join(", "),
+        amount:       toUsd(refunded, reversal.amount),
+        email:        refunded.email,
+        owner_cut:    reversal.owner_cut,
+        revoked:      reversal.full,
+      });
+    }
+  }
+}
+
+// Store sales feed the treasury split and the brain like any other sale. The
+// split is kept on the order so a refund can be reversed at the same rates.
+function bookRevenue(order) {
+  var booked = treasury.processRevenue(revenueOf(order, order.amount));
+  brain.recordSale(revenueOf(order, order.amount), orderNiche(order));
+  appendLedger({ t:"set", id:order.id, date:new Date().toISOString(), fields:{
+    revenue_split: { owner_pct:booked.tier.owner, agent_pct:booked.tier.agent, tier:booked.tier.label, month:booked.treasury.month_key },
+  } });
+}
+
+// Stripe's charge.refunded carries the running total refunded, while each
+// dispute claws back its own amount, so the two are kept apart and their sum
+// less what was already reversed is booked. A full refund or any dispute also
+// revokes the order and takes the sale back off each product; a partial refund
+// keeps access. The treasury and brain get reversing entries at the order's
+// split. Orders booked before revenue tracking only lose their sales.
+function reverseOrder(order, status, amount) {
+  var total    = order.amount || 0;
+  var refunded = status === "refunded" ? amount : order.refunded_amount || 0;
+  var disputed = round2((order.disputed_amount || 0) + (status === "disputed" ? amount : 0));
+  var prior    = order.reversed || 0;
+  var delta    = Math.max(0, round2(Math.min(total, refunded + disputed) - prior));
+  var full     = status === "disputed" || refunded + disputed >= total;
+  var first    = full && !order.revoked;
+  var split    = order.revenue_split;
+  var now      = new Date().toISOString();
+  appendLedger({ t:"set", id:order.id, date:now, fields:{ refunded_amount:round2(refunded), disputed_amount:disputed, reversed:round2(prior + delta) } });
+  if (full) setOrderStatus(order.payment_intent, status);
+  else if (!order.revoked) appendLedger({ t:"set", id:order.id, date:now, fields:{ status:"partially_refunded", partially_refunded_at:now } });
+
+  if (first) {
+    updateStore(function(store) {
+      orderItems(order).forEach(function(item) {
+        var p = store.products.find(function(x) { return x.id === item.product_id; });
+        if (p) p.sales = Math.max(0, (p.sales || 0) - 1);
+      });
+    });
+  }
+
+  var owner_cut = 0;
+  if (delta > 0 && split) {
+    owner_cut = treasury.reverseRevenue(revenueOf(order, delta), split, status + " " + order.id).owner_cut;
+    brain.recordRefund(revenueOf(order, delta), orderNiche(order), first);
+  }
+  return { first, full, amount:delta, owner_cut };
+}
+
+// The same for a membership invoice, matched on the charge's payment intent,
+// invoice or charge ID. A full refund or a dispute ends access until Stripe
+// next reports the subscription. Returns null when no member paid with it.
+function reverseMembership(charge, status, amount) {
+  var data = loadMembers();
+  var member = null, payment = null;
+  data.members.some(function(m) {
+    payment = (m.payments || []).find(function(p) {
+      return (charge.payment_intent && p.payment_intent === charge.payment_intent)
+        || (charge.invoice && p.invoice === charge.invoice)
+        || (p.charge && (p.charge === charge.id || p.charge === charge.charge));
+    }) || null;
+    if (payment) member = m;
+    return !!payment;
   });
+  if (!payment) return null;
+
+  if (amount === null) amount = payment.amount;
+  var refunded = status === "refunded" ? amount : payment.refunded || 0;
+  var disputed = round2((payment.disputed || 0) + (status === "disputed" ? amount : 0));
+  var prior    = payment.reversed || 0;
+  var delta    = Math.max(0, round2(Math.min(payment.amount, refunded + disputed) - prior));
+  var full     = status === "disputed" || refunded + disputed >= payment.amount;
+  var first    = full && !payment.revoked;
+  var usd      = payment.amount ? round2(delta * payment.amount_usd / payment.amount) : 0;
+
+  payment.refunded = round2(refunded);
+  payment.disputed = disputed;
+  payment.reversed = round2(prior + delta);
+  if (full) { payment.revoked = true; member.status = status; }
+  member.paid_total = Math.max(0, round2((member.paid_total || 0) - usd));
+  member.updated    = new Date().toISOString();
+  saveMembers(data);
+
+  var owner_cut = usd > 0 && payment.split ? treasury.reverseRevenue(usd, payment.split, status + " " + payment.invoice).owner_cut : 0;
+  return { email:member.email, invoice:payment.invoice, first, full, amount:delta, amount_usd:usd, owner_cut };
 }
 
-function getBaseUrl() {
-  return process.env.RAILWAY_PUBLIC_DOMAIN
-    ? "https://" + process.env.RAILWAY_PUBLIC_DOMAIN
-    : "http://localhost:" + (process.env.PORT || 3000);
+function orderNiche(order) {
+  var p = getProduct(orderItems(order)[0].product_id);
+  return p ? p.niche : null;
 }
 
-// ── STRIPE ────────────────────────────────────────────────────────────────────
+// ── PAGES ─────────────────────────────────────────────────────────────────────
 
-function stripePost(endpoint, body) {
-  var secretKey = process.env.STRIPE_SECRET_KEY || "";
-  var bodyStr   = new URLSearchParams(body).toString();
-  return new Promise(function(resolve) {
-    var req = https.request({
-      hostname: "api.stripe.com", path: "/v1" + endpoint, method: "POST",
-      headers: { "Authorization":"Bearer "+secretKey, "Content-Type":"application/x-www-form-urlencoded", "Content-Length":Buffer.byteLength(bodyStr) },
-    }, function(res) {
-      var d=""; res.on("data",function(c){d+=c;}); res.on("end",function(){ try{resolve(JSON.parse(d));}catch(e){resolve(null);} });
-    });
-    req.on("error",function(){ resolve(null); }); req.write(bodyStr); req.end();
-  });
+// Cart lives in localStorage as an array of product IDs — no server-side session
+function cartScript() {
+  return "<script>function cartGet(){try{return JSON.parse(localStorage.getItem('store_cart'))||[];}catch(e){return [];}}"
+    + "function cartSet(c){localStorage.setItem('store_cart',JSON.stringify(c));cartBadge();}"
+    + "function cartAdd(id){var c=cartGet();if(c.indexOf(id)<0)c.push(id);cartSet(c);}"
+    + "function cartBadge(){var el=document.getElementById('cart-count');if(el)el.textContent=cartGet().length;}"
+    + "cartBadge();</script>";
 }
 
-// ── EMAIL ─────────────────────────────────────────────────────────────────────
+function cartLink() {
+  return "<a href='/store/cart' style='position:absolute;top:18px;right:20px;background:rgba(255,255,255,0.1);border:1px solid rgba(255,255,255,0.2);color:white;padding:7px 14px;border-radius:20px;font-size:13px;font-weight:600;text-decoration:none'>\uD83D\uDED2 Cart (<span id='cart-count'>0</span>)</a>";
+}
 
-function sendEmail(toEmail, productName, downloadUrl) {
-  var resendKey = process.env.RESEND_API_KEY || "";
-  if (!resendKey) return Promise.resolve();
-  var fromName  = process.env.EMAIL_FROM_NAME || "Digital Store";
-  var fromEmail = process.env.EMAIL_FROM || "onboarding@resend.dev";
-  var body = JSON.stringify({
-    from:    fromName + " <" + fromEmail + ">",
-    to:      [toEmail],
-    subject: "Your purchase: " + productName,
-    html:    "<body style='font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:40px 20px'><div style='background:linear-gradient(135deg,#0d1b2a,#1b4332);padding:40px;border-radius:12px;text-align:center;margin-bottom:30px'><h1 style='color:white;margin:0'>Thank You!</h1><p style='color:rgba(255,255,255,0.8);margin:10px 0 0'>Your purchase is ready</p></div><h2 style='color:#0d1b2a'>" + esc(productName) + "</h2><p style='color:#374151;line-height:1.6'>Your digital product is ready. Click below to download it instantly.</p><div style='text-align:center;margin:30px 0'><a href='" + downloadUrl + "' style='background:#00d4aa;color:#0d1b2a;padding:14px 32px;border-radius:8px;text-decoration:none;font-weight:700;font-size:16px'>Download Now</a></div><p style='color:#6b7280;font-size:13px'>Link expires in 24 hours.</p></body>",
-  });
-  return new Promise(function(resolve) {
-    var req = https.request({ hostname:"api.resend.com", path:"/emails", method:"POST",
-      headers:{"Authorization":"Bearer "+resendKey,"Content-Type":"application/json","Content-Length":Buffer.byteLength(body)},
-    }, function(res) { res.resume(); res.on("end",function(){ console.log("     \u2192 Email sent to "+toEmail); resolve(); }); });
-    req.on("error",function(){ resolve(); }); req.write(body); req.end();
-  });
+function addToCartButton(p, style) {
+  return "<button type='button' onclick=\"cartAdd('" + esc(p.id) + "');this.textContent='\u2713 Added'\" style='" + style + "'>+ Cart</button>";
 }
 
-// ── DOWNLOAD TOKENS ───────────────────────────────────────────────────────────
+// Email, location, discount code and card fields shared by the buy and cart pages
+function checkoutForm(payLabel) {
+  var field = "width:100%;padding:12px 16px;border:1px solid #e5e7eb;border-radius:8px;font-size:15px;margin-bottom:16px;background:white";
+  return "<form id='pf'><label>Email address</label><input type='email' id='em' placeholder='you@example.com' required>"
+    + "<label>Country</label><select id='ctry' required style='" + field + "'><option value=''>Choose your country</option>"
+    + COUNTRIES.map(function(c) { return "<option value='" + c[0] + "'>" + esc(c[1]) + "</option>"; }).join("") + "<option value='ZZ'>Other</option></select>"
+    + "<div id='rgn-wrap' style='display:none'><label>State / province</label><input type='text' id='rgn' placeholder='e.g. CA' maxlength='3' style='text-transform:uppercase'></div>"
+    + "<label>Discount code</label><div style='display:flex;gap:8px'><input type='text' id='cp' placeholder='Optional' style='text-transform:uppercase'>"
+    + "<button type='button' id='cp-btn' onclick='applyCoupon()' style='background:white;color:#0d1b2a;border:1px solid #d1d5db;padding:0 18px;height:46px;border-radius:8px;font-weight:700;cursor:pointer'>Apply</button></div>"
+    + "<div id='cp-msg' style='font-size:13px;margin:-8px 0 16px;min-height:18px'></div>"
+    + "<div id='tax-line' style='font-size:13px;color:#6b7280;margin:-4px 0 16px;min-height:18px'></div>"
+    + "<label>Card details</label><div id='card-element'></div><div id='error-msg'></div>"
+    + "<button type='submit' id='pay-btn'>" + esc(payLabel) + "</button></form>";
+}
 
-function makeToken(productId) {
-  var secret  = process.env.SESSION_SECRET || "secret";
-  var expires = Date.now() + 86400000;
-  var payload = productId + ":" + expires;
-  var sig     = crypto.createHmac("sha256",secret).update(payload).digest("hex").slice(0,16);
-  return Buffer.from(payload+":"+sig).toString("base64url");
+// Expects the page to define checkoutItems() (product IDs) and checkoutDone(),
+// and optionally checkoutAmounts() (pay-what-you-want offers by product ID)
+// and checkoutOffer() (a signed upsell offer from the delivery email).
+// Totals always come from /store/quote so the browser never prices anything.
+function checkoutScript(pubKey, couponCode, cur) {
+  return "<script>var stripe=Stripe('" + pubKey + "');var elements=stripe.elements();var card=elements.create('card',{style:{base:{fontSize:'16px',color:'#1a1a2e','::placeholder':{color:'#9ca3af'}}}});card.mount('#card-element');"
+    + "var coupon='';var CUR='" + cur + "';"
+    + "function money(n){return " + JSON.stringify(CURRENCIES[cur].symbol) + "+(n%1?n.toFixed(2):n);}"
+    + "function amounts(){return typeof checkoutAmounts==='function'?checkoutAmounts():{};}"
+    + "function offer(){return typeof checkoutOffer==='function'?checkoutOffer():'';}"
+    + "function where(){return {country:document.getElementById('ctry').value,region:document.getElementById('rgn').value};}"
+    + "async function quote(){var w=where();var r=await fetch('/store/quote',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({items:checkoutItems(),coupon:coupon,amounts:amounts(),country:w.country,region:w.region,currency:CUR,offer:offer()})});return r.json();}"
+    + "function showQuote(q){if(q.error)return;var t=document.getElementById('total');if(t)t.textContent=money(q.total);document.getElementById('pay-btn').textContent='Pay '+money(q.total)+' \u2014 Get Instant Access';"
+    + "document.getElementById('tax-line').textContent=q.tax&&q.tax.amount?'+ '+q.tax.label+' ('+q.tax.rate+'%): '+money(q.tax.amount):'';}"
+    + "document.getElementById('ctry').addEventListener('change',function(){document.getElementById('rgn-wrap').style.display=" + JSON.stringify(REGION_COUNTRIES).replace(/"/g, "'") + ".indexOf(this.value)>=0?'block':'none';refreshQuote();});"
+    + "document.getElementById('rgn').addEventListener('change',refreshQuote);"
+    + "function cpMsg(text,bad){var m=document.getElementById('cp-msg');m.textContent=text;m.style.color=bad?'#ef4444':'#1D9E75';}"
+    + "async function refreshQuote(){if(checkoutItems().length)showQuote(await quote());}"
+    + "async function applyCoupon(){coupon=document.getElementById('cp').value.trim();var q=await quote();"
+    + "if(q.error){cpMsg(q.error,true);coupon='';q=await quote();}else if(coupon){cpMsg('Code applied \u2014 you save '+money(q.discount),false);}else{cpMsg('',false);}showQuote(q);}"
+    + "document.getElementById('pf').addEventListener('submit',async function(e){e.preventDefault();"
+    + "var btn=document.getElementById('pay-btn');var email=document.getElementById('em').value;var err=document.getElementById('error-msg');var label=btn.textContent;"
+    + "btn.disabled=true;btn.textContent='Processing...';err.textContent='';"
+    + "try{var w=where();var r=await fetch('/store/checkout',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({email:email,items:checkoutItems(),coupon:coupon,amounts:amounts(),country:w.country,region:w.region,currency:CUR,offer:offer()})});"
+    + "var d=await r.json();if(d.error){err.textContent=d.error;btn.disabled=false;btn.textContent=label;return;}"
+    + "var result=await stripe.confirmCardPayment(d.client_secret,{payment_method:{card:card,billing_details:{email:email}}});"
+    + "if(result.error){err.textContent=result.error.message;btn.disabled=false;btn.textContent=label;}"
+    + "else{checkoutDone(d);window.location.href='/store/success?email='+encodeURIComponent(email)+'&product='+encodeURIComponent(d.product_name)+'&items='+encodeURIComponent(d.product_ids.join(','));}}"
+    + "catch(ex){err.textContent='Something went wrong. Please try again.';btn.disabled=false;btn.textContent=label;}});"
+    + (couponCode ? "document.getElementById('cp').value=" + JSON.stringify(String(couponCode)).replace(/</g, "\\u003c") + ";applyCoupon();" : "")
+    + "</script>";
 }
 
-function checkToken(token) {
-  try {
-    var secret  = process.env.SESSION_SECRET || "secret";
-    var decoded = Buffer.from(token,"base64url").toString();
-    var parts   = decoded.split(":");
-    var sig     = parts.pop();
-    var payload = parts.join(":");
-    var pId     = parts[0];
-    var expires = parseInt(parts[1]);
-    if (Date.now() > expires) return null;
-    var expected = crypto.createHmac("sha256",secret).update(payload).digest("hex").slice(0,16);
-    return sig === expected ? pId : null;
-  } catch(e) { return null; }
+// The raster cover (see COVERS), or the inline SVG below when sharp is missing
+function coverImage(p, lazy) {
+  var img = coverUrl(p);
+  if (!img) return coverSVG(p);
+  return "<img src='" + esc(img) + "' alt='" + esc(p.name) + "' width='" + covers.W + "' height='" + covers.H + "'" + (lazy ? " loading='lazy'" : "") + " style='display:block;width:100%;height:auto'>";
 }
 
-// ── PAGES ─────────────────────────────────────────────────────────────────────
+// Placeholder cover drawn per product — used when there is no raster cover.
+// p.cover_style picks the palette: classic (dark), light, or bold (accent fill).
+function coverSVG(p) {
+  var n = (p.name || "").toLowerCase();
+  var bg, accent, bigLabel;
+  if (p.type === "bundle")       { bg = "#0A0A1A"; accent = "#7F77DD"; bigLabel = (p.bundle_items || []).length + " IN 1"; }
+  else if (n.includes("bible"))  { bg = "#0D1B2A"; accent = "#1D9E75"; bigLabel = "150+"; }
+  else if (n.includes("vault"))  { bg = "#1A0E00"; accent = "#EF9F27"; bigLabel = "147";  }
+  else if (n.includes("kit"))    { bg = "#0A0A1A"; accent = "#7F77DD"; bigLabel = "KIT";  }
+  else                           { bg = "#0D1B2A"; accent = "#00d4aa"; bigLabel = "$";    }
+
+  var fg = "white";
+  if (p.cover_style === "light") { bg = "#F8FAFC"; fg = "#0D1B2A"; }
+  if (p.cover_style === "bold")  { var base = bg; bg = accent; accent = base; fg = "#0D1B2A"; }
+
+  var title = (p.name || "").split(":")[0].trim();
+  if (title.length > 28) title = title.slice(0, 26) + "\u2026";
+
+  return "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 400 240' width='100%' height='100%'>"
+    + "<rect width='400' height='240' fill='" + bg + "'/>"
+    + "<line x1='0' y1='60' x2='60' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.15'/>"
+    + "<line x1='0' y1='120' x2='120' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.1'/>"
+    + "<line x1='0' y1='180' x2='180' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.08'/>"
+    + "<line x1='0' y1='240' x2='240' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.08'/>"
+    + "<line x1='60' y1='240' x2='300' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.06'/>"
+    + "<line x1='120' y1='240' x2='360' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.06'/>"
+    + "<line x1='180' y1='240' x2='400' y2='20' stroke='" + accent + "' stroke-width='1' opacity='0.05'/>"
+    + "<rect x='28' y='28' width='4' height='56' fill='" + accent + "' opacity='0.9'/>"
+    + "<text x='44' y='72' font-family='Impact,Arial Black,sans-serif' font-size='52' font-weight='bold' fill='" + fg + "'>" + esc(bigLabel) + "</text>"
+    + "<text x='44' y='90' font-family='Arial,sans-serif' font-size='11' font-weight='600' fill='" + accent + "' letter-spacing='1'>WRITE-OFFS INSIDE</text>"
+    + "<rect x='300' y='24' width='72' height='72' rx='8' fill='" + accent + "' opacity='0.12'/>"
+    + "<text x='336' y='72' font-family='Impact,Arial Black,sans-serif' font-size='36' fill='" + accent + "' text-anchor='middle'>$</text>"
+    + "<text x='28' y='128' font-family='Arial,sans-serif' font-size='15' font-weight='700' fill='" + fg + "'>" + esc(title) + "</text>"
+    + "<rect x='28' y='140' width='344' height='2' fill='" + accent + "' opacity='0.6'/>"
+    + "<text x='28' y='224' font-family='Arial,sans-serif' font-size='10' fill='" + accent + "' opacity='0.8'>SMALLBIZAIDAILY.COM</text>"
+    + "<text x='372' y='224' font-family='Arial,sans-serif' font-size='10' fill='" + fg + "' opacity='0.3' text-anchor='end'>2025</text>"
+    + "<rect x='0' y='234' width='400' height='6' fill='" + accent + "'/>"
+    + "</svg>";
+}
 
-function pageStore(products) {
+function pageStore(products, cur) {
+  var ratings = productRatings();
 
   function smartDesc(p) {
     var n = (p.name || "").toLowerCase();
@@ -183,6 +2744,9 @@ function pageStore(products) {
 
   function badgeLabel(p) {
     var n = (p.name || "").toLowerCase();
+    var r = ratings[p.id];
+    if (r && r.count >= 3 && r.average >= 4.5) return "Top rated";
+    if (p.type === "bundle")    return "Bundle \u00b7 save " + formatMoney(Math.round(convertUp(p.full_price, cur) - priceIn(p, cur)), cur);
     if (n.includes("bible"))    return "Most popular";
     if (n.includes("vault"))    return "IRS secrets";
     if (n.includes("kit"))      return "Best value";
@@ -190,41 +2754,14 @@ function pageStore(products) {
     return "New";
   }
 
-  function coverSVG(p) {
-    var n = (p.name || "").toLowerCase();
-    var bg, accent, bigLabel;
-    if (n.includes("bible"))       { bg = "#0D1B2A"; accent = "#1D9E75"; bigLabel = "150+"; }
-    else if (n.includes("vault"))  { bg = "#1A0E00"; accent = "#EF9F27"; bigLabel = "147";  }
-    else if (n.includes("kit"))    { bg = "#0A0A1A"; accent = "#7F77DD"; bigLabel = "KIT";  }
-    else                           { bg = "#0D1B2A"; accent = "#00d4aa"; bigLabel = "$";    }
-
-    var title = (p.name || "").split(":")[0].trim();
-    if (title.length > 28) title = title.slice(0, 26) + "\u2026";
-
-    return "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 400 240' width='100%' height='100%'>"
-      + "<rect width='400' height='240' fill='" + bg + "'/>"
-      + "<line x1='0' y1='60' x2='60' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.15'/>"
-      + "<line x1='0' y1='120' x2='120' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.1'/>"
-      + "<line x1='0' y1='180' x2='180' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.08'/>"
-      + "<line x1='0' y1='240' x2='240' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.08'/>"
-      + "<line x1='60' y1='240' x2='300' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.06'/>"
-      + "<line x1='120' y1='240' x2='360' y2='0' stroke='" + accent + "' stroke-width='1' opacity='0.06'/>"
-      + "<line x1='180' y1='240' x2='400' y2='20' stroke='" + accent + "' stroke-width='1' opacity='0.05'/>"
-      + "<rect x='28' y='28' width='4' height='56' fill='" + accent + "' opacity='0.9'/>"
-      + "<text x='44' y='72' font-family='Impact,Arial Black,sans-serif' font-size='52' font-weight='bold' fill='white'>" + esc(bigLabel) + "</text>"
-      + "<text x='44' y='90' font-family='Arial,sans-serif' font-size='11' font-weight='600' fill='" + accent + "' letter-spacing='1'>WRITE-OFFS INSIDE</text>"
-      + "<rect x='300' y='24' width='72' height='72' rx='8' fill='" + accent + "' opacity='0.12'/>"
-      + "<text x='336' y='72' font-family='Impact,Arial Black,sans-serif' font-size='36' fill='" + accent + "' text-anchor='middle'>$</text>"
-      + "<text x='28' y='128' font-family='Arial,sans-serif' font-size='15' font-weight='700' fill='white'>" + esc(title) + "</text>"
-      + "<rect x='28' y='140' width='344' height='2' fill='" + accent + "' opacity='0.6'/>"
-      + "<text x='28' y='224' font-family='Arial,sans-serif' font-size='10' fill='" + accent + "' opacity='0.8'>SMALLBIZAIDAILY.COM</text>"
-      + "<text x='372' y='224' font-family='Arial,sans-serif' font-size='10' fill='white' opacity='0.3' text-anchor='end'>2025</text>"
-      + "<rect x='0' y='234' width='400' height='6' fill='" + accent + "'/>"
-      + "</svg>";
-  }
-
-  function oldPrice(price) {
-    return Math.round(price * 2);
+  function oldPrice(p) {
+    if (p.type === "bundle") return Math.round(convertUp(p.full_price, cur));
+    return Math.round(priceIn(p, cur) * 2);
+  }
+
+  function bundleContents(p) {
+    var names = deliverables(p).map(function(m) { return "<li>" + esc(m.name) + "</li>"; }).join("");
+    return "<ul style='margin:0 0 0 16px;padding:0'>" + names + "</ul>";
   }
 
   var cards = products.length === 0
@@ -236,26 +2773,36 @@ function pageStore(products) {
     : products.map(function(p) {
         var desc  = smartDesc(p);
         var badge = badgeLabel(p);
-        var cover = coverSVG(p);
-        var old   = oldPrice(p.price);
+        var cover = coverImage(p, true);
+        var old   = oldPrice(p);
+        var free  = isFree(p);
 
         return "<div style='background:white;border-radius:14px;overflow:hidden;box-shadow:0 2px 16px rgba(0,0,0,0.08);display:flex;flex-direction:column;transition:transform 0.2s' onmouseover=\"this.style.transform='translateY(-4px)'\" onmouseout=\"this.style.transform='translateY(0)'\">"
-          + "<div style='width:100%;overflow:hidden;background:#0d1b2a'>" + cover + "</div>"
+          + "<a href='/store/p/" + esc(productSlug(p)) + "' style='display:block;width:100%;overflow:hidden;background:#0d1b2a'>" + cover + "</a>"
           + "<div style='padding:20px 22px 22px;display:flex;flex-direction:column;flex:1'>"
           + "<span style='display:inline-block;background:#e1f5ee;color:#085041;font-size:11px;font-weight:700;letter-spacing:0.06em;text-transform:uppercase;padding:3px 10px;border-radius:20px;margin-bottom:10px;align-self:flex-start'>" + esc(badge) + "</span>"
-          + "<h3 style='margin:0 0 8px;color:#0d1b2a;font-size:15px;font-weight:700;line-height:1.4'>" + esc(p.name) + "</h3>"
+          + "<h3 style='margin:0 0 8px;color:#0d1b2a;font-size:15px;font-weight:700;line-height:1.4'><a href='/store/p/" + esc(productSlug(p)) + "' style='color:inherit;text-decoration:none'>" + esc(p.name) + "</a></h3>"
+          + (ratings[p.id] ? "<p style='font-size:13px;margin:0 0 8px;color:#6b7280'>" + stars(ratings[p.id].average) + " " + ratings[p.id].average + " (" + ratings[p.id].count + ")</p>" : "")
           + "<p style='color:#4b5563;font-size:13px;line-height:1.65;flex:1;margin:0 0 16px'>" + esc(desc) + "</p>"
           + "<div style='background:#f9fafb;border-radius:8px;padding:10px 14px;margin-bottom:16px;font-size:12px;color:#374151;line-height:1.8'>"
-          + "<span style='color:#1D9E75;font-weight:700'>\u2713</span> Instant PDF download &nbsp;"
-          + "<span style='color:#1D9E75;font-weight:700'>\u2713</span> Works for 2025 taxes &nbsp;"
-          + "<span style='color:#1D9E75;font-weight:700'>\u2713</span> Gig-worker focused"
+          + (p.type === "bundle"
+            ? "<strong>Includes:</strong>" + bundleContents(p)
+            : "<span style='color:#1D9E75;font-weight:700'>\u2713</span> Instant PDF download &nbsp;"
+              + "<span style='color:#1D9E75;font-weight:700'>\u2713</span> Works for 2025 taxes &nbsp;"
+              + "<span style='color:#1D9E75;font-weight:700'>\u2713</span> Gig-worker focused")
           + "</div>"
           + "<div style='display:flex;align-items:center;justify-content:space-between'>"
           + "<div style='display:flex;align-items:baseline;gap:8px'>"
-          + "<span style='font-size:26px;font-weight:800;color:#0d1b2a'>$" + p.price + "</span>"
-          + "<span style='font-size:13px;color:#9ca3af;text-decoration:line-through'>$" + old + "</span>"
+          + "<span style='font-size:26px;font-weight:800;color:#0d1b2a'>" + (free ? "Free" : isPwyw(p) ? formatMoney(minPriceIn(p, cur), cur) + "+" : formatMoney(priceIn(p, cur), cur)) + "</span>"
+          + (free ? ""
+            : isPwyw(p)
+            ? "<span style='font-size:12px;color:#1D9E75;font-weight:700'>Pay what you want</span>"
+            : "<span style='font-size:13px;color:#9ca3af;text-decoration:line-through'>" + formatMoney(old, cur) + "</span>")
+          + "</div>"
+          + "<div style='display:flex;gap:8px'>"
+          + (free ? "" : addToCartButton(p, "background:white;color:#0d1b2a;border:1px solid #d1d5db;padding:10px 14px;border-radius:8px;font-weight:700;font-size:13px;cursor:pointer;white-space:nowrap"))
+          + "<a href='/store/buy/" + p.id + "' style='background:#00d4aa;color:#0d1b2a;padding:11px 22px;border-radius:8px;text-decoration:none;font-weight:700;font-size:14px;white-space:nowrap'>" + (free ? "Get It Free" : "Buy Now") + " \u2192</a>"
           + "</div>"
-          + "<a href='/store/buy/" + p.id + "' style='background:#00d4aa;color:#0d1b2a;padding:11px 22px;border-radius:8px;text-decoration:none;font-weight:700;font-size:14px;white-space:nowrap'>Buy Now \u2192</a>"
           + "</div>"
           + "</div>"
           + "</div>";
@@ -265,10 +2812,11 @@ function pageStore(products) {
     + "<meta charset='UTF-8'>"
     + "<meta name='viewport' content='width=device-width,initial-scale=1'>"
     + "<title>Gig Worker Tax Guides \u2014 SmallBiz AI Daily</title>"
+    + "<link rel='alternate' type='application/atom+xml' title='New products' href='/store/feed.xml'>"
     + "<style>"
     + "*{box-sizing:border-box;margin:0;padding:0}"
     + "body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f3f4f6}"
-    + ".hero{background:linear-gradient(135deg,#0d1b2a 0%,#1b4332 100%);color:white;padding:56px 20px 52px;text-align:center}"
+    + ".hero{position:relative;background:linear-gradient(135deg,#0d1b2a 0%,#1b4332 100%);color:white;padding:56px 20px 52px;text-align:center}"
     + ".hero-tag{display:inline-block;background:rgba(0,212,170,0.15);color:#00d4aa;padding:5px 16px;border-radius:20px;font-size:12px;font-weight:700;letter-spacing:0.06em;text-transform:uppercase;margin-bottom:16px}"
     + ".hero h1{font-size:clamp(24px,4vw,38px);font-weight:800;margin-bottom:12px;line-height:1.2}"
     + ".hero p{font-size:16px;opacity:0.75;max-width:520px;margin:0 auto 24px;line-height:1.6}"
@@ -280,6 +2828,8 @@ function pageStore(products) {
     + ".trust-dot{width:8px;height:8px;border-radius:50%;background:#1D9E75;flex-shrink:0}"
     + "</style></head><body>"
     + "<div class='hero'>"
+    + "<div style='position:absolute;top:18px;left:20px'>" + currencyPicker(cur) + "</div>"
+    + cartLink()
     + "<div class='hero-tag'>\u2605 Built for gig workers &amp; freelancers</div>"
     + "<h1>Stop Overpaying in Taxes.<br>Start Keeping More of What You Earn.</h1>"
     + "<p>Practical PDF guides written specifically for Uber drivers, DoorDash couriers, Instacart shoppers, and freelancers \u2014 not corporate employees.</p>"
@@ -290,6 +2840,10 @@ function pageStore(products) {
     + "<span class='pill'>\u2713 All gig platforms covered</span>"
     + "</div>"
     + "</div>"
+    + (MEMBERSHIP_PRICE_ID
+      ? "<div style='max-width:1080px;margin:28px auto 0;padding:0 20px'><a href='/store/membership' style='display:block;background:#0d1b2a;color:white;border-radius:12px;padding:16px 22px;text-decoration:none;font-size:15px'>"
+        + "<strong style='color:#00d4aa'>All-access</strong> \u2014 every guide here plus every new one, " + esc(MEMBERSHIP_LABEL) + " &rarr;</a></div>"
+      : "")
     + "<div class='grid'>" + cards + "</div>"
     + "<div class='trust'>"
     + "<div class='trust-item'><div class='trust-dot'></div>Instant PDF delivery to your email</div>"
@@ -297,45 +2851,743 @@ function pageStore(products) {
     + "<div class='trust-item'><div class='trust-dot'></div>Updated for 2025 tax year</div>"
     + "<div class='trust-item'><div class='trust-dot'></div>Questions? Reply to your receipt email</div>"
     + "</div>"
+    + cartScript()
+    + "</body></html>";
+}
+
+// Indexable detail page: full description, contents, price, Open Graph /
+// Twitter tags and Product JSON-LD. Buying still happens on /store/buy/:id.
+function pageProduct(product, cur) {
+  var free  = isFree(product);
+  var price = isPwyw(product) ? minPriceIn(product, cur) : priceIn(product, cur);
+  var url   = productUrl(product);
+  var desc  = String(product.description || product.tagline || "").replace(/\s+/g, " ").trim();
+  var toc   = product.type === "bundle" ? deliverables(product).map(function(m) { return m.name; }) : product.toc || [];
+  var reviews = approvedReviews(product.id);
+  var rating  = productRatings()[product.id];
+  var image   = coverUrl(product);
+  var ld    = {
+    "@context":  "https://schema.org",
+    "@type":     "Product",
+    name:        product.name,
+    description: desc,
+    sku:         product.id,
+    category:    product.niche || undefined,
+    brand:       { "@type":"Brand", name:STORE_NAME },
+    url:         url,
+    image:       image || undefined,
+    offers: {
+      "@type":       "Offer",
+      url:           url,
+      price:         String(price),
+      priceCurrency: cur.toUpperCase(),
+      availability:  "https://schema.org/InStock",
+    },
+  };
+  if (rating) {
+    ld.aggregateRating = { "@type":"AggregateRating", ratingValue:String(rating.average), reviewCount:rating.count, bestRating:"5", worstRating:"1" };
+    ld.review = reviews.slice(0, 5).map(function(r) {
+      return { "@type":"Review", author:{ "@type":"Person", name:r.name }, datePublished:String(r.submitted).slice(0, 10),
+        name:r.title || undefined, reviewBody:r.body || undefined, reviewRating:{ "@type":"Rating", ratingValue:String(r.rating), bestRating:"5" } };
+    });
+  }
+  var meta = function(attr, key, value) { return "<meta " + attr + "='" + key + "' content='" + esc(value) + "'>"; };
+
+  return "<!DOCTYPE html><html lang='en'><head><meta charset='UTF-8'><meta name='viewport' content='width=device-width,initial-scale=1'>"
+    + "<title>" + esc(product.name + " \u2014 " + STORE_NAME) + "</title>"
+    + meta("name", "description", desc.slice(0, 160))
+    + "<link rel='canonical' href='" + esc(url) + "'>"
+    + meta("property", "og:type", "product") + meta("property", "og:site_name", STORE_NAME)
+    + meta("property", "og:title", product.name) + meta("property", "og:description", desc.slice(0, 200)) + meta("property", "og:url", url)
+    + meta("property", "product:price:amount", price) + meta("property", "product:price:currency", cur.toUpperCase())
+    + (image ? meta("property", "og:image", image) + meta("property", "og:image:width", covers.W) + meta("property", "og:image:height", covers.H) + meta("property", "og:image:alt", product.name) : "")
+    + meta("name", "twitter:card", image ? "summary_large_image" : "summary") + meta("name", "twitter:title", product.name) + meta("name", "twitter:description", desc.slice(0, 200))
+    + (image ? meta("name", "twitter:image", image) : "")
+    + "<script type='application/ld+json'>" + JSON.stringify(ld).replace(/</g, "\\u003c") + "</script>"
+    + "<style>*{box-sizing:border-box;margin:0;padding:0}body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f9fafb;min-height:100vh;color:#0d1b2a}.container{max-width:760px;margin:0 auto;padding:40px 20px}.back{color:#6b7280;text-decoration:none;font-size:14px}.card{background:white;border-radius:16px;overflow:hidden;box-shadow:0 4px 24px rgba(0,0,0,.08)}.body{padding:36px 40px 40px}.price{font-size:30px;font-weight:800;margin:18px 0}h1{font-size:28px;line-height:1.3;margin-bottom:10px}h2{font-size:17px;margin:28px 0 10px}.tagline{color:#4b5563;font-size:17px;line-height:1.5}.desc p{color:#374151;line-height:1.75;margin-bottom:12px}ul,ol{color:#374151;line-height:1.9;margin-left:20px}.buy{display:inline-block;background:#00d4aa;color:#0d1b2a;padding:14px 30px;border-radius:8px;text-decoration:none;font-weight:700;font-size:16px}.muted{color:#9ca3af;font-size:13px}</style></head>"
+    + "<body><div class='container'><div style='display:flex;justify-content:space-between;align-items:center;margin-bottom:24px'><a href='/store' class='back'>&larr; All products</a>" + currencyPicker(cur) + "</div>"
+    + "<article class='card'><div style='background:#0d1b2a'>" + coverImage(product, false) + "</div><div class='body'>"
+    + "<h1>" + esc(product.name) + "</h1>"
+    + (product.tagline ? "<p class='tagline'>" + esc(product.tagline) + "</p>" : "")
+    + (rating ? "<p style='margin-top:10px;font-size:15px'>" + stars(rating.average) + " <a href='#reviews' style='color:#4b5563'>" + rating.average + " from " + rating.count + " review" + (rating.count === 1 ? "" : "s") + "</a></p>" : "")
+    + "<p class='price'>" + (free ? "Free" : isPwyw(product) ? "Pay what you want \u00b7 from " + formatMoney(price, cur) : formatMoney(price, cur)) + "</p>"
+    + (product.version > 1 ? "<p class='muted' style='margin:-8px 0 18px'>Version " + product.version + " \u00b7 updated " + esc(String(product.updated || "").slice(0, 10)) + " \u00b7 past buyers get new editions free</p>" : "")
+    + "<a class='buy' href='/store/buy/" + esc(product.id) + "'>" + (free ? "Get It Free" : "Buy Now") + " \u2192</a> "
+    + (free ? "" : addToCartButton(product, "background:white;color:#0d1b2a;border:1px solid #d1d5db;padding:13px 18px;border-radius:8px;font-weight:700;font-size:15px;cursor:pointer;margin-left:8px")
+      + " <a href='/store/cart' class='muted' style='margin-left:8px'>View cart (<span id='cart-count'>0</span>)</a>")
+    + "<h2>About this " + (product.type === "bundle" ? "bundle" : "guide") + "</h2><div class='desc'>"
+    + String(product.description || "").split(/\n\s*\n/).filter(Boolean).map(function(para) { return "<p>" + esc(para.trim()) + "</p>"; }).join("") + "</div>"
+    + ((product.bullets || []).length ? "<h2>What you'll get</h2><ul>" + product.bullets.map(function(b) { return "<li>" + esc(b) + "</li>"; }).join("") + "</ul>" : "")
+    + (toc.length ? "<h2>" + (product.type === "bundle" ? "Included guides" : "Table of contents") + "</h2><ol>" + toc.map(function(t) { return "<li>" + esc(t) + "</li>"; }).join("") + "</ol>" : "")
+    + (reviews.length ? "<h2 id='reviews'>Reviews</h2>" + reviews.slice(0, 10).map(function(r) {
+        return "<div style='border-top:1px solid #f0f0f0;padding:14px 0'>" + stars(r.rating) + (r.title ? " <strong>" + esc(r.title) + "</strong>" : "")
+          + (r.body ? "<p style='color:#374151;line-height:1.6;margin:6px 0;white-space:pre-line'>" + esc(r.body) + "</p>" : "")
+          + "<p class='muted'>" + esc(r.name) + " \u00b7 verified buyer \u00b7 " + esc(String(r.submitted).slice(0, 10)) + "</p></div>";
+      }).join("") : "")
+    + "<p class='muted' style='margin-top:28px'>Instant download \u00b7 delivered by email \u00b7 secure checkout by Stripe</p>"
+    + "</div></article></div>"
+    + cartScript()
     + "</body></html>";
 }
 
-function pageBuy(product, pubKey) {
+// ── SEO ──
+
+function sitemapXml() {
+  var base = getBaseUrl();
+  var urls = [{ loc:base + "/store", lastmod:null }].concat(getActiveProducts().map(function(p) {
+    return { loc:productUrl(p), lastmod:(p.updated || p.created || "").slice(0, 10) };
+  }));
+  if (MEMBERSHIP_PRICE_ID) urls.push({ loc:base + "/store/membership", lastmod:null });
+  return "<?xml version='1.0' encoding='UTF-8'?>\n<urlset xmlns='http://www.sitemaps.org/schemas/sitemap/0.9'>\n"
+    + urls.map(function(u) { return "  <url><loc>" + esc(u.loc) + "</loc>" + (u.lastmod ? "<lastmod>" + u.lastmod + "</lastmod>" : "") + "</url>"; }).join("\n")
+    + "\n</urlset>\n";
+}
+
+// Only the public storefront is crawlable; the dashboard and per-buyer pages are not
+function robotsTxt() {
+  return ["User-agent: *", "Allow: /store$", "Allow: /store/p/", "Allow: /store/cover/", "Allow: /store/feed.", "Allow: /store/membership", "Allow: /store/partners$",
+    "Disallow: /", "", "Sitemap: " + getBaseUrl() + "/sitemap.xml", ""].join("\n");
+}
+
+// ── Feeds ──
+
+var FEED_ENTRIES = 20; // newest products in the Atom feed
+
+// Newest change across the products — feeds stay byte-identical until one changes
+function lastUpdated(products) {
+  return products.reduce(function(max, p) { var d = p.updated || p.created || ""; return d > max ? d : max; }, "") || new Date(0).toISOString();
+}
+
+function feedDescription(p) {
+  return String(p.description || p.tagline || p.name).replace(/\s+/g, " ").trim().slice(0, 5000);
+}
+
+// Google Merchant-style catalog. Prices are in USD unless ?currency= asks
+// for another configured currency; pay-what-you-want lists its floor.
+function productFeedJson(cur) {
+  cur = normalizeCurrency(cur) || "usd";
+  var base  = getBaseUrl();
+  var items = getActiveProducts().map(function(p) {
+    var price = isPwyw(p) ? minPriceIn(p, cur) : priceIn(p, cur);
+    var item  = {
+      id:           p.id,
+      title:        p.name,
+      description:  feedDescription(p),
+      link:         productUrl(p),
+      image_link:   coverUrl(p) || undefined,
+      checkout_link: base + "/store/buy/" + p.id,
+      price:        price.toFixed(2) + " " + cur.toUpperCase(),
+      availability: "in_stock",
+      condition:    "new",
+      brand:        STORE_NAME,
+      product_type: p.type === "bundle" ? "Bundle" : (p.niche || "Digital guide"),
+      identifier_exists: "no",
+      custom_label_0: p.type || "pdf_guide",
+      created:      p.created,
+      updated:      p.updated || p.created,
+    };
+    // Bundles list what the parts would cost so the saving shows as a sale
+    if (p.type === "bundle" && p.full_price > p.price) {
+      item.price      = convertUp(p.full_price, cur).toFixed(2) + " " + cur.toUpperCase();
+      item.sale_price = price.toFixed(2) + " " + cur.toUpperCase();
+    }
+    return item;
+  });
+  return JSON.stringify({ title:STORE_NAME, link:base + "/store", currency:cur.toUpperCase(), updated:lastUpdated(getActiveProducts()), items:items }, null, 2);
+}
+
+// Atom feed of the newest products, for newsletter and social tooling
+function productFeedAtom() {
+  var base     = getBaseUrl();
+  var products = getActiveProducts().slice().sort(function(a, b) { return String(b.created).localeCompare(String(a.created)); }).slice(0, FEED_ENTRIES);
+  var updated  = lastUpdated(products);
+  return "<?xml version='1.0' encoding='UTF-8'?>\n<feed xmlns='http://www.w3.org/2005/Atom'>\n"
+    + "  <id>" + esc(base + "/store") + "</id>\n"
+    + "  <title>" + esc(STORE_NAME + " \u2014 New products") + "</title>\n"
+    + "  <updated>" + updated + "</updated>\n"
+    + "  <link rel='self' type='application/atom+xml' href='" + esc(base + "/store/feed.xml") + "'/>\n"
+    + "  <link rel='alternate' type='text/html' href='" + esc(base + "/store") + "'/>\n"
+    + "  <author><name>" + esc(SELLER.name) + "</name></author>\n"
+    + products.map(function(p) {
+        var price = isFree(p) ? "Free" : (isPwyw(p) ? "From " : "") + formatMoney(isPwyw(p) ? minPrice(p) : p.price, "usd");
+        return "  <entry>\n"
+          + "    <id>" + esc(base + "/store/buy/" + p.id) + "</id>\n"   // product IDs never change, slugs might
+          + "    <title>" + esc(p.name) + "</title>\n"
+          + "    <link rel='alternate' type='text/html' href='" + esc(productUrl(p)) + "'/>\n"
+          + (coverUrl(p) ? "    <link rel='enclosure' type='image/jpeg' href='" + esc(coverUrl(p)) + "'/>\n" : "")
+          + "    <published>" + (p.created || updated) + "</published>\n"
+          + "    <updated>" + (p.updated || p.created || updated) + "</updated>\n"
+          + (p.niche ? "    <category term='" + esc(p.niche) + "'/>\n" : "")
+          + "    <summary>" + esc(price + " \u2014 " + feedDescription(p).slice(0, 500)) + "</summary>\n"
+          + "  </entry>\n";
+      }).join("")
+    + "</feed>\n";
+}
+
+// Feed readers poll, so answer repeat requests with 304 when nothing changed
+function sendFeed(req, res, contentType, body) {
+  var etag = "\"" + crypto.createHash("sha1").update(body).digest("hex").slice(0, 20) + "\"";
+  var headers = { "Content-Type":contentType, "Cache-Control":"public, max-age=900", "ETag":etag, "Access-Control-Allow-Origin":"*" };
+  if (req.headers["if-none-match"] === etag) { res.writeHead(304, headers); return res.end(); }
+  res.writeHead(200, headers);
+  return res.end(body);
+}
+
+// offer: { token, data } for a signed upsell link from the delivery email
+function pageBuy(product, pubKey, couponCode, cur, offer) {
+  var pwyw  = isPwyw(product);
+  var price = priceIn(product, cur);
+  if (offer && pwyw) offer = null;
   return "<!DOCTYPE html><html><head><meta charset='UTF-8'><meta name='viewport' content='width=device-width,initial-scale=1'><title>" + esc(product.name) + "</title>"
+    + "<link rel='canonical' href='" + esc(productUrl(product)) + "'>"
     + "<script src='https://js.stripe.com/v3/'></script>"
     + "<style>*{box-sizing:border-box;margin:0;padding:0}body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f9fafb;min-height:100vh}.container{max-width:680px;margin:0 auto;padding:40px 20px}.back{color:#6b7280;text-decoration:none;font-size:14px;display:inline-block;margin-bottom:24px}.card{background:white;border-radius:16px;padding:40px;box-shadow:0 4px 24px rgba(0,0,0,.08)}.price-badge{background:#00d4aa;color:#0d1b2a;display:inline-block;padding:8px 20px;border-radius:20px;font-weight:700;font-size:20px;margin-bottom:20px}h1{font-size:24px;margin-bottom:12px;line-height:1.3}.desc{color:#374151;line-height:1.7;margin-bottom:28px}label{display:block;font-size:13px;font-weight:600;color:#374151;margin-bottom:6px}input{width:100%;padding:12px 16px;border:1px solid #e5e7eb;border-radius:8px;font-size:15px;margin-bottom:16px;outline:none}input:focus{border-color:#00d4aa}#card-element{padding:13px 16px;border:1px solid #e5e7eb;border-radius:8px;background:white;margin-bottom:16px}#pay-btn{width:100%;background:#00d4aa;color:#0d1b2a;border:none;padding:16px;border-radius:8px;font-size:17px;font-weight:700;cursor:pointer}#pay-btn:disabled{opacity:.6;cursor:not-allowed}#error-msg{color:#ef4444;font-size:13px;margin-top:8px;min-height:20px}.secure{text-align:center;color:#9ca3af;font-size:12px;margin-top:16px}</style></head>"
-    + "<body><div class='container'><a href='/store' class='back'>&larr; Back to store</a><div class='card'>"
-    + "<div class='price-badge'>$" + product.price + "</div>"
+    + "<body><div class='container'><div style='display:flex;justify-content:space-between;align-items:center;margin-bottom:24px'><a href='/store' class='back' style='margin:0'>&larr; Back to store</a>" + currencyPicker(cur) + "</div><div class='card'>"
+    + "<div class='price-badge'>" + (pwyw ? "Pay what you want \u00b7 from " + formatMoney(minPriceIn(product, cur), cur) : formatMoney(price, cur)) + "</div>"
+    + (offer ? "<p style='background:#ecfdf5;color:#065f46;padding:12px 16px;border-radius:8px;margin-bottom:16px;font-size:14px'><strong>Your exclusive offer:</strong> " + offer.data.d + "% off until "
+      + new Date(offer.data.x).toLocaleString("en-US", { month:"short", day:"numeric", hour:"numeric", minute:"2-digit" }) + ". Use the email it was sent to.</p>" : "")
     + "<h1>" + esc(product.name) + "</h1>"
     + "<p class='desc'>" + esc(product.description) + "</p>"
+    + (product.type === "bundle"
+      ? "<p style='font-weight:600;color:#374151;margin-bottom:8px'>Includes " + product.bundle_items.length + " guides (worth " + formatMoney(convertUp(product.full_price, cur), cur) + "):</p>"
+        + "<ul style='color:#374151;line-height:1.8;margin:0 0 24px 20px'>" + deliverables(product).map(function(m) { return "<li>" + esc(m.name) + "</li>"; }).join("") + "</ul>"
+      : "")
+    + addToCartButton(product, "background:white;color:#0d1b2a;border:1px solid #d1d5db;padding:10px 16px;border-radius:8px;font-weight:700;font-size:14px;cursor:pointer")
+    + " <a href='/store/cart' style='color:#6b7280;font-size:13px;margin-left:8px'>View cart (<span id='cart-count'>0</span>)</a>"
     + "<hr style='border:none;border-top:1px solid #f0f0f0;margin:28px 0'>"
-    + "<form id='pf'><label>Email address</label><input type='email' id='em' placeholder='you@example.com' required>"
-    + "<label>Card details</label><div id='card-element'></div><div id='error-msg'></div>"
-    + "<button type='submit' id='pay-btn'>Pay $" + product.price + " \u2014 Get Instant Access</button></form>"
+    + (pwyw
+      ? "<label>Your price (suggested " + formatMoney(price, cur) + ")</label><input type='number' id='amt' min='" + minPriceIn(product, cur) + "' step='0.01' value='" + price + "'>"
+        + "<div id='amt-msg' style='font-size:13px;color:#ef4444;margin:-8px 0 16px;min-height:18px'></div>"
+      : "")
+    + checkoutForm("Pay " + formatMoney(price, cur) + " \u2014 Get Instant Access")
     + "<p class='secure'>\uD83D\uDD12 Secured by Stripe &middot; File delivered instantly by email</p></div></div>"
-    + "<script>var stripe=Stripe('" + pubKey + "');var elements=stripe.elements();var card=elements.create('card',{style:{base:{fontSize:'16px',color:'#1a1a2e','::placeholder':{color:'#9ca3af'}}}});card.mount('#card-element');"
-    + "document.getElementById('pf').addEventListener('submit',async function(e){e.preventDefault();"
-    + "var btn=document.getElementById('pay-btn');var email=document.getElementById('em').value;var err=document.getElementById('error-msg');"
-    + "btn.disabled=true;btn.textContent='Processing...';err.textContent='';"
-    + "try{var r=await fetch('/store/checkout/" + product.id + "',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({email})});"
-    + "var d=await r.json();if(d.error){err.textContent=d.error;btn.disabled=false;btn.textContent='Pay $" + product.price + " \u2014 Get Instant Access';return;}"
-    + "var result=await stripe.confirmCardPayment(d.client_secret,{payment_method:{card:card,billing_details:{email}}});"
-    + "if(result.error){err.textContent=result.error.message;btn.disabled=false;btn.textContent='Pay $" + product.price + " \u2014 Get Instant Access';}}"
-    + "else{window.location.href='/store/success?email='+encodeURIComponent(email)+'&product=" + encodeURIComponent(product.name) + "&id=" + product.id + "&pi='+result.paymentIntent.id;}}"
-    + "catch(ex){err.textContent='Something went wrong. Please try again.';btn.disabled=false;btn.textContent='Pay $" + product.price + " \u2014 Get Instant Access';}});"
-    + "</script></body></html>";
+    + cartScript()
+    + "<script>function checkoutItems(){return ['" + esc(product.id) + "'];}function checkoutDone(){}"
+    + (offer ? "function checkoutOffer(){return " + JSON.stringify(offer.token) + ";}document.getElementById('em').value=" + JSON.stringify(offer.data.u).replace(/</g, "\\u003c") + ";" : "")
+    + "</script>"
+    + checkoutScript(pubKey, couponCode, cur)
+    + (offer ? "<script>refreshQuote();</script>" : "")
+    + (pwyw
+      ? "<script>function checkoutAmounts(){var a={};a['" + esc(product.id) + "']=document.getElementById('amt').value;return a;}"
+        + "document.getElementById('amt').addEventListener('input',async function(){var q=await quote();document.getElementById('amt-msg').textContent=q.error||'';showQuote(q);});</script>"
+      : "")
+    + "</body></html>";
+}
+
+function pageCart(products, pubKey, couponCode, cur) {
+  var catalog = {};
+  products.forEach(function(p) { if (!isFree(p)) catalog[p.id] = { name:p.name, price:formatMoney(priceIn(p, cur), cur) }; });
+  var catalogJSON = JSON.stringify(catalog).replace(/</g, "\\u003c");
+
+  return "<!DOCTYPE html><html><head><meta charset='UTF-8'><meta name='viewport' content='width=device-width,initial-scale=1'><title>Your Cart</title>"
+    + "<script src='https://js.stripe.com/v3/'></script>"
+    + "<style>*{box-sizing:border-box;margin:0;padding:0}body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f9fafb;min-height:100vh}.container{max-width:680px;margin:0 auto;padding:40px 20px}.back{color:#6b7280;text-decoration:none;font-size:14px;display:inline-block;margin-bottom:24px}.card{background:white;border-radius:16px;padding:40px;box-shadow:0 4px 24px rgba(0,0,0,.08)}h1{font-size:24px;margin-bottom:20px}.line{display:flex;justify-content:space-between;align-items:center;padding:12px 0;border-bottom:1px solid #f0f0f0;font-size:15px;color:#374151;gap:12px}.line button{background:none;border:none;color:#9ca3af;cursor:pointer;font-size:13px}.total{display:flex;justify-content:space-between;font-weight:800;font-size:20px;color:#0d1b2a;margin:20px 0 28px}label{display:block;font-size:13px;font-weight:600;color:#374151;margin-bottom:6px}input{width:100%;padding:12px 16px;border:1px solid #e5e7eb;border-radius:8px;font-size:15px;margin-bottom:16px;outline:none}input:focus{border-color:#00d4aa}#card-element{padding:13px 16px;border:1px solid #e5e7eb;border-radius:8px;background:white;margin-bottom:16px}#pay-btn{width:100%;background:#00d4aa;color:#0d1b2a;border:none;padding:16px;border-radius:8px;font-size:17px;font-weight:700;cursor:pointer}#pay-btn:disabled{opacity:.6;cursor:not-allowed}#error-msg{color:#ef4444;font-size:13px;margin-top:8px;min-height:20px}.secure{text-align:center;color:#9ca3af;font-size:12px;margin-top:16px}.empty{color:#6b7280;text-align:center;padding:30px 0}</style></head>"
+    + "<body><div class='container'><div style='display:flex;justify-content:space-between;align-items:center;margin-bottom:24px'><a href='/store' class='back' style='margin:0'>&larr; Keep shopping</a>" + currencyPicker(cur) + "</div><div class='card'>"
+    + "<h1>Your Cart</h1><div id='lines'></div>"
+    + "<div id='checkout'><div class='total'><span>Total</span><span id='total'>$0</span></div>"
+    + checkoutForm("Pay \u2014 Get Instant Access")
+    + "<p class='secure'>\uD83D\uDD12 Secured by Stripe &middot; Every file delivered instantly by email</p></div></div></div>"
+    + cartScript()
+    + "<script>var CATALOG=" + catalogJSON + ";"
+    + "function esc(s){return String(s).replace(/[&<>\"']/g,function(c){return '&#'+c.charCodeAt(0)+';';});}"
+    + "function checkoutItems(){return cartGet();}function checkoutDone(){cartSet([]);}"
+    + "function render(){var c=cartGet().filter(function(id){return CATALOG[id];});cartSet(c);"
+    + "document.getElementById('lines').innerHTML=c.length?c.map(function(id){return \"<div class='line'><span>\"+esc(CATALOG[id].name)+\"</span><span>\"+esc(CATALOG[id].price)+\" <button onclick=\\\"removeItem('\"+id+\"')\\\">Remove</button></span></div>\";}).join(''):\"<p class='empty'>Your cart is empty.</p>\";"
+    + "document.getElementById('checkout').style.display=c.length?'block':'none';refreshQuote();}"
+    + "function removeItem(id){cartSet(cartGet().filter(function(x){return x!==id;}));render();}"
+    + "</script>"
+    + checkoutScript(pubKey, couponCode, cur)
+    + "<script>(new URLSearchParams(location.search).get('items')||'').split(',').forEach(function(id){if(CATALOG[id])cartAdd(id);});render();</script>"
+    + "</body></html>";
+}
+
+function pageSimple(title, inner) {
+  return "<!DOCTYPE html><html><head><meta charset='UTF-8'><meta name='viewport' content='width=device-width,initial-scale=1'><title>" + esc(title) + "</title>"
+    + "<style>*{box-sizing:border-box}body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f9fafb;margin:0;padding:40px 20px}.card{background:white;border-radius:16px;padding:40px;max-width:560px;margin:0 auto;box-shadow:0 4px 24px rgba(0,0,0,.08)}h1{color:#0d1b2a;font-size:24px;margin:0 0 12px}p{color:#374151;line-height:1.6;margin:0 0 12px}label{display:block;font-size:13px;font-weight:600;color:#374151;margin-bottom:6px}input{width:100%;padding:12px 16px;border:1px solid #e5e7eb;border-radius:8px;font-size:15px;margin-bottom:16px;outline:none}input:focus{border-color:#00d4aa}button{width:100%;background:#00d4aa;color:#0d1b2a;border:none;padding:14px;border-radius:8px;font-size:16px;font-weight:700;cursor:pointer}.muted{color:#9ca3af;font-size:13px}.back{display:inline-block;margin-top:20px;color:#6b7280;text-decoration:none;font-size:14px}</style></head>"
+    + "<body><div class='card'>" + inner + "<a href='/store' class='back'>&larr; Back to store</a></div></body></html>";
+}
+
+function pageFree(product, message) {
+  return pageSimple(product.name, "<p style='display:inline-block;background:#00d4aa;color:#0d1b2a;padding:6px 16px;border-radius:20px;font-weight:700'>Free download</p>"
+    + "<h1>" + esc(product.name) + "</h1><p>" + esc(product.description) + "</p>"
+    + (message ? "<p style='background:#ecfdf5;color:#065f46;padding:12px 16px;border-radius:8px'>" + esc(message) + "</p>" : "")
+    + "<form method='POST' action='/store/free/" + esc(product.id) + "'><label>Email address</label><input type='email' name='email' placeholder='you@example.com' required>"
+    + "<label style='display:flex;gap:8px;align-items:flex-start;font-weight:400;line-height:1.5;margin-bottom:16px'><input type='checkbox' name='consent' value='yes' required style='width:auto;margin:4px 0 0'>"
+    + "Send me the download and occasional emails about new guides. Unsubscribe any time.</label>"
+    + "<button type='submit'>Send me the free download</button></form>");
+}
+
+function pageMembership(message) {
+  var count = getActiveProducts().filter(function(p) { return p.type !== "bundle"; }).length;
+  return pageSimple("All-access membership", "<p style='display:inline-block;background:#00d4aa;color:#0d1b2a;padding:6px 16px;border-radius:20px;font-weight:700'>" + esc(MEMBERSHIP_LABEL) + "</p>"
+    + "<h1>All-access membership</h1>"
+    + "<p>Every guide in the store \u2014 all " + count + " of them today, plus every new one as it's published. Cancel any time.</p>"
+    + (message ? "<p style='background:#ecfdf5;color:#065f46;padding:12px 16px;border-radius:8px'>" + esc(message) + "</p>" : "")
+    + "<form method='POST' action='/store/membership'><label>Email address</label><input type='email' name='email' placeholder='you@example.com' required><button type='submit'>Join \u2014 " + esc(MEMBERSHIP_LABEL) + "</button></form>"
+    + "<p class='muted' style='margin-top:12px'>Already a member? <a href='/store/library' style='color:#6b7280'>Open your library</a></p>");
+}
+
+function pageLibraryLookup(message) {
+  return pageSimple("Your library", "<h1>Your library</h1>"
+    + "<p>Enter the email on your membership and we'll send you a link to your library.</p>"
+    + (message ? "<p style='background:#ecfdf5;color:#065f46;padding:12px 16px;border-radius:8px'>" + esc(message) + "</p>" : "")
+    + "<form method='POST' action='/store/library'><label>Email address</label><input type='email' name='email' placeholder='you@example.com' required><button type='submit'>Email me my library link</button></form>");
+}
+
+function pageLibrary(email, products) {
+  var links = products.map(function(p) {
+    var left = Math.max(0, MAX_DOWNLOADS - downloadsUsed(getMember(email), p));
+    return "<li style='margin-bottom:8px'><a href='/store/download/" + makeMemberToken(email, p.id) + "' style='color:#0d1b2a;font-weight:600'>" + esc(p.name) + "</a> <span class='muted'>(" + left + " downloads left)</span></li>";
+  }).join("");
+  return pageSimple("Your library", "<h1>Your library</h1><p class='muted'>" + esc(email) + " &middot; links below are valid for 24 hours</p>"
+    + (links ? "<ul style='margin:0 0 0 18px;padding:0'>" + links + "</ul>" : "<p>No products yet \u2014 new guides drop daily.</p>"));
+}
+
+function pageOrderLookup(message) {
+  return pageSimple("Find your orders", "<h1>Find your orders</h1>"
+    + "<p>Enter the email you used at checkout and we'll send you a link to re-download everything you've bought.</p>"
+    + (message ? "<p style='background:#ecfdf5;color:#065f46;padding:12px 16px;border-radius:8px'>" + esc(message) + "</p>" : "")
+    + "<form method='POST' action='/store/orders'><label>Email address</label><input type='email' name='email' placeholder='you@example.com' required><button type='submit'>Email me my download links</button></form>");
+}
+
+function pageOrderList(email, orders) {
+  var rows = orders.slice().reverse().map(function(o) {
+    var items = orderItems(o);
+    var head  = "<p style='margin:0 0 6px'><strong>" + new Date(o.date).toLocaleDateString("en-US", { year:"numeric", month:"short", day:"numeric" }) + "</strong> <span class='muted'>&middot; " + formatMoney(o.amount || 0, o.currency) + "</span></p>";
+    if (o.status && o.status !== "paid") {
+      return "<div style='border-top:1px solid #f0f0f0;padding:16px 0'>" + head + "<p class='muted'>" + esc(items.map(function(i) { return i.name; }).join(", ")) + " \u2014 " + esc(o.status) + ", downloads disabled.</p></div>";
+    }
+    var links = [];
+    items.forEach(function(item) {
+      var files = deliverables(getProduct(item.product_id));
+      files.forEach(function(f) { links.push("<li style='margin-bottom:6px'><a href='/store/download/" + makeToken(o.id, f.id) + "' style='color:#0d1b2a;font-weight:600'>" + esc(f.name) + "</a>" + (f.version > 1 ? " <span class='muted'>v" + f.version + "</span>" : "") + " <span class='muted'>(" + Math.max(0, MAX_DOWNLOADS - downloadsUsed(o, f)) + " downloads left)</span>"
+        + (licenseFor(o, f.id) ? "<br><span class='muted'>License key: <code>" + esc(licenseFor(o, f.id).key) + "</code></span>" : "") + "</li>"); });
+    });
+    var invoice = o.invoice ? "<p style='margin:8px 0 0'><a href='/store/invoice/" + signLink({ i:o.id }, 86400000) + "' class='muted'>Download invoice " + esc(o.invoice) + "</a></p>" : "";
+    if (!o.free) invoice += "<p style='margin:4px 0 0'><a href='" + esc(reviewLink(o)) + "' class='muted'>Review " + (items.length === 1 ? "this product" : "these products") + "</a></p>";
+    return "<div style='border-top:1px solid #f0f0f0;padding:16px 0'>" + head + "<ul style='margin:0 0 0 18px;padding:0'>" + links.join("") + "</ul>" + invoice + "</div>";
+  }).join("");
+  return pageSimple("Your orders", "<h1>Your orders</h1><p class='muted'>" + esc(email) + " &middot; links below are valid for 24 hours</p>"
+    + (rows || "<p>No orders found for this email.</p>"));
+}
+
+// One form per product in the order; a product already reviewed shows its current status
+function pageReview(order, token, message, isError) {
+  var mine  = loadReviews().reviews.filter(function(r) { return r.order_id === order.id; });
+  var forms = orderItems(order).map(function(item) {
+    var prior = mine.find(function(r) { return r.product_id === item.product_id; }) || {};
+    return "<form method='POST' action='/store/review/" + esc(token) + "' style='border-top:1px solid #f0f0f0;padding-top:20px;margin-top:20px'>"
+      + "<input type='hidden' name='product_id' value='" + esc(item.product_id) + "'>"
+      + "<p><strong>" + esc(item.name) + "</strong>" + (prior.status ? " <span class='muted'>&middot; your review is " + esc(prior.status === "approved" ? "live" : prior.status === "pending" ? "awaiting approval" : "not published") + "</span>" : "") + "</p>"
+      + "<label>Rating</label><select name='rating' required style='width:100%;padding:12px 16px;border:1px solid #e5e7eb;border-radius:8px;font-size:15px;margin-bottom:16px'>"
+      + "<option value=''>Choose\u2026</option>" + [5,4,3,2,1].map(function(n) { return "<option value='" + n + "'" + (prior.rating === n ? " selected" : "") + ">" + "\u2605".repeat(n) + " (" + n + ")</option>"; }).join("") + "</select>"
+      + "<label>Headline <span class='muted'>(optional)</span></label><input type='text' name='title' maxlength='100' value='" + esc(prior.title || "") + "'>"
+      + "<label>Your review</label><textarea name='body' rows='5' maxlength='2000' style='width:100%;padding:12px 16px;border:1px solid #e5e7eb;border-radius:8px;font:inherit;font-size:15px;margin-bottom:16px;box-sizing:border-box'>" + esc(prior.body || "") + "</textarea>"
+      + "<label>Name to show <span class='muted'>(optional \u2014 first name is plenty)</span></label><input type='text' name='name' maxlength='60' value='" + esc(prior.name && prior.name !== "Verified buyer" ? prior.name : "") + "'>"
+      + "<button type='submit'>" + (prior.status ? "Update review" : "Submit review") + "</button></form>";
+  }).join("");
+  return pageSimple("Leave a review", "<h1>How was it?</h1>"
+    + "<p>Your review is marked as from a verified buyer. We read every one before it goes live.</p>"
+    + (message ? "<p style='background:" + (isError ? "#fef2f2;color:#991b1b" : "#ecfdf5;color:#065f46") + ";padding:12px 16px;border-radius:8px'>" + esc(message) + "</p>" : "")
+    + forms);
+}
+
+function pagePartners(message, isError) {
+  return pageSimple("Referral program", "<p style='display:inline-block;background:#00d4aa;color:#0d1b2a;padding:6px 16px;border-radius:20px;font-weight:700'>Earn " + REFERRAL_PERCENT + "%</p>"
+    + "<h1>Recommend our guides, earn " + REFERRAL_PERCENT + "%</h1>"
+    + "<p>Get a personal link. Whenever someone buys within " + REFERRAL_DAYS + " days of clicking it, you earn " + REFERRAL_PERCENT + "% of what they paid (before tax). Bought from us already? You can sign up too.</p>"
+    + (message ? "<p style='background:" + (isError ? "#fef2f2;color:#991b1b" : "#ecfdf5;color:#065f46") + ";padding:12px 16px;border-radius:8px'>" + esc(message) + "</p>" : "")
+    + "<form method='POST' action='/store/partners'>"
+    + "<label>Your name</label><input type='text' name='name' maxlength='80' required>"
+    + "<label>Email address</label><input type='email' name='email' placeholder='you@example.com' required>"
+    + "<label>Preferred code <span class='muted'>(optional \u2014 letters, numbers, dashes)</span></label><input type='text' name='code' maxlength='24' pattern='[A-Za-z0-9-]{3,24}'>"
+    + "<label>How should we pay you? <span class='muted'>(e.g. your PayPal email)</span></label><input type='text' name='payout' maxlength='200'>"
+    + "<label style='display:flex;gap:8px;align-items:flex-start;font-weight:400;line-height:1.5;margin-bottom:16px'><input type='checkbox' name='terms' value='yes' required style='width:auto;margin:4px 0 0'>"
+    + "I understand commissions are paid by hand once an order is " + REFERRAL_HOLD_DAYS + " days old, aren't paid on refunded orders or my own purchases, and that I won't use paid ads on the store's name.</label>"
+    + "<button type='submit'>Get my referral link</button></form>"
+    + "<p class='muted' style='margin-top:12px'>Already a partner? Enter the same email and we'll resend your link.</p>");
+}
+
+function pagePartnerStats(row) {
+  var money = function(n) { return "$" + (n || 0).toFixed(2); };
+  var cell  = function(label, value) { return "<div style='flex:1;min-width:110px;background:#f9fafb;border-radius:10px;padding:12px'><div class='muted'>" + label + "</div><div style='font-size:20px;font-weight:700;color:#0d1b2a'>" + value + "</div></div>"; };
+  var recent = row.recent.map(function(r) {
+    return "<li style='margin-bottom:6px'>" + esc(String(r.date).slice(0, 10)) + " \u2014 " + esc(r.products.join(", ")) + " <strong>" + money(r.commission) + "</strong> <span class='muted'>" + esc(r.state) + "</span></li>";
+  }).join("");
+  return pageSimple("Your referrals", "<h1>Your referrals</h1><p class='muted'>" + esc(row.name) + " &middot; code " + esc(row.code) + " &middot; " + row.rate + "% commission" + (row.status !== "active" ? " &middot; <strong>paused</strong>" : "") + "</p>"
+    + "<p>Your link: <code>" + esc(getBaseUrl() + "/store?ref=" + row.code) + "</code></p>"
+    + "<div style='display:flex;flex-wrap:wrap;gap:10px;margin:16px 0'>"
+    + cell("Visitors (" + FUNNEL_DAYS + "d)", row.visitors) + cell("Orders", row.orders) + cell("Earned", money(row.earned))
+    + cell("Pending", money(row.pending)) + cell("Paid to you", money(row.paid)) + cell("Due next payout", money(Math.max(0, row.payable)))
+    + "</div>"
+    + "<p class='muted'>Pending commission becomes due once the order is " + REFERRAL_HOLD_DAYS + " days old. Refunded orders don't earn commission." + (row.last_paid ? " Last payout: " + esc(row.last_paid.slice(0, 10)) + "." : "") + "</p>"
+    + (recent ? "<p style='margin-top:16px'><strong>Recent orders</strong></p><ul style='margin:0 0 0 18px;padding:0'>" + recent + "</ul>" : "<p>No orders yet \u2014 share your link to get started.</p>"));
+}
+
+// ── Admin pages ──
+
+function adminShell(title, inner) {
+  return "<!DOCTYPE html><html><head><meta charset='UTF-8'><title>" + esc(title) + "</title>"
+    + "<style>body{font-family:sans-serif;padding:40px;max-width:960px;margin:0 auto;color:#111827}a{color:#0d1b2a}table{width:100%;border-collapse:collapse}th{padding:10px;text-align:left;background:#f9fafb}td{padding:10px;border-bottom:1px solid #f0f0f0;vertical-align:top}"
+    + "label{display:block;font-size:13px;font-weight:600;margin:14px 0 6px}input[type=text],input[type=number],textarea{width:100%;padding:8px 10px;border:1px solid #d1d5db;border-radius:6px;font:inherit;box-sizing:border-box}"
+    + "button{background:#0d1b2a;color:white;border:none;padding:9px 18px;border-radius:6px;font-weight:600;cursor:pointer}.muted{color:#6b7280;font-size:13px}.msg{background:#ecfdf5;color:#065f46;padding:10px 14px;border-radius:6px}.err{background:#fef2f2;color:#991b1b;padding:10px 14px;border-radius:6px}"
+    + ".box{border:1px solid #e5e7eb;border-radius:8px;padding:20px;margin-bottom:20px}</style></head>"
+    + "<body><p class='muted'><a href='/store/admin'>Store admin</a> &middot; <a href='/'>Dashboard</a> &middot; <a href='/store'>Storefront</a></p>" + inner + "</body></html>";
+}
+
+function pageAdmin(showArchived) {
+  var stats = getStoreStats();
+  var list  = loadStore().products.filter(function(p) { return showArchived ? p.archived : !p.archived; });
+  var rows  = list.map(function(p) {
+    var paid   = stats.average_paid[p.id];
+    var status = p.archived ? "Archived" : p.active ? "Active" : "Hidden";
+    return "<tr><td>" + esc(p.name.slice(0,60)) + "<div class='muted'>" + esc(p.type || "") + (p.niche ? " &middot; " + esc(p.niche) : "") + "</div></td>"
+      + "<td>$" + p.price + "</td><td>" + (p.sales||0) + "</td><td>$" + (paid ? paid.revenue : 0).toFixed(2) + "</td><td>" + status + "</td>"
+      + "<td><a href='/store/admin/product/" + esc(p.id) + "'>Edit</a> &middot; <a href='/store/buy/" + esc(p.id) + "'>View</a></td></tr>";
+  }).join("");
+  return adminShell("Store Admin", "<h1>Store Admin</h1>"
+    + "<div style='background:#f0fdf4;border-radius:8px;padding:20px;margin-bottom:24px'><strong>Total Revenue: $" + stats.total_revenue.toFixed(2) + "</strong> | Products: " + stats.total_products + " | Orders: " + stats.total_orders + " | Subscribers: " + stats.subscribers + " | Members: " + stats.active_members
+    + (stats.experiments.running ? " | A/B tests running: " + stats.experiments.running : "")
+    + (stats.checkout_recovery.reminded ? " | Checkouts recovered: " + stats.checkout_recovery.recovered + "/" + stats.checkout_recovery.reminded + " (" + stats.checkout_recovery.rate + "%)" : "") + "</div>"
+    + "<p class='muted'>" + (showArchived ? "<a href='/store/admin'>&larr; Current products</a>" : "<a href='/store/admin?archived=1'>Archived products &rarr;</a>")
+    + " &middot; <a href='/store/admin/reviews'>Reviews" + (stats.reviews.pending ? " (" + stats.reviews.pending + " to moderate)" : "") + "</a>"
+    + " &middot; <a href='/store/admin/referrals'>Referrals" + (stats.referrals.payable > 0 ? " ($" + stats.referrals.payable.toFixed(2) + " payable)" : "") + "</a></p>"
+    + "<table><thead><tr><th>Product</th><th>Price</th><th>Sales</th><th>Revenue</th><th>Status</th><th></th></tr></thead><tbody>"
+    + (rows || "<tr><td colspan='6' class='muted'>No products.</td></tr>") + "</tbody></table>"
+    + adminFunnel(stats.funnel)
+    + "<h2 style='margin-top:36px'>Recent orders</h2>"
+    + "<table><thead><tr><th>Date</th><th>Email</th><th>Items</th><th>Amount</th><th>Status</th></tr></thead><tbody>"
+    + (loadOrders().slice(-25).reverse().map(function(o) {
+        return "<tr><td>" + esc(String(o.date).slice(0,16).replace("T"," ")) + "</td><td>" + esc(o.email) + "</td>"
+          + "<td>" + esc(orderItems(o).map(function(i) { return i.name; }).join(", ")) + "</td>"
+          + "<td>" + formatMoney(o.amount || 0, o.currency) + (o.coupon ? " <span class='muted'>" + esc(o.coupon.code) + "</span>" : "") + "</td><td>" + esc(o.free ? "free" : o.status || "paid") + "</td></tr>";
+      }).join("") || "<tr><td colspan='5' class='muted'>No orders yet.</td></tr>") + "</tbody></table>");
+}
+
+// Where each product loses people: seen → checkout → paid, plus where buyers came from
+function adminFunnel(funnel) {
+  var ids = Object.keys(funnel.products).sort(function(a, b) { return funnel.products[b].visitors - funnel.products[a].visitors; });
+  var rows = ids.map(function(id) {
+    var f = funnel.products[id];
+    return "<tr><td>" + esc(f.name.slice(0,60)) + "</td><td>" + f.visitors + " <span class='muted'>(" + f.views + " views)</span></td>"
+      + "<td>" + f.checkouts + " <span class='muted'>" + f.view_to_checkout + "%</span></td>"
+      + "<td>" + f.purchases + " <span class='muted'>" + f.checkout_to_purchase + "%</span></td>"
+      + "<td>" + f.downloads + "</td><td><strong>" + f.conversion + "%</strong></td></tr>";
+  }).join("");
+  var sources = Object.keys(funnel.sources).sort(function(a, b) { return funnel.sources[b].visitors - funnel.sources[a].visitors; }).slice(0, 10).map(function(s) {
+    var f = funnel.sources[s];
+    return esc(s) + " <span class='muted'>" + f.visitors + " visitors &middot; " + f.purchases + " sales &middot; " + f.conversion + "%</span>";
+  }).join("<br>");
+  return "<h2 style='margin-top:36px'>Funnel <span class='muted'>last " + funnel.days + " days &middot; " + funnel.store_visitors + " storefront visitors</span></h2>"
+    + "<table><thead><tr><th>Product</th><th>Visitors</th><th>Checkouts</th><th>Purchases</th><th>Downloads</th><th>Conversion</th></tr></thead><tbody>"
+    + (rows || "<tr><td colspan='6' class='muted'>No visits recorded yet.</td></tr>") + "</tbody></table>"
+    + (sources ? "<p style='margin-top:16px'><strong>Sources</strong><br>" + sources + "</p>" : "");
+}
+
+// Pending reviews first; moderated ones below so a mistake can be reversed
+function pageAdminReviews(csrf) {
+  var all = loadReviews().reviews.slice().sort(function(a, b) { return String(b.submitted).localeCompare(String(a.submitted)); });
+  var row = function(r) {
+    var p = getProduct(r.product_id);
+    var action = function(status, label, style) {
+      return "<form method='POST' action='/store/admin/reviews/" + esc(r.id) + "' style='display:inline'><input type='hidden' name='csrf' value='" + esc(csrf) + "'>"
+        + "<input type='hidden' name='status' value='" + status + "'><button type='submit'" + (style ? " style='" + style + "'" : "") + ">" + label + "</button></form>";
+    };
+    return "<tr><td>" + stars(r.rating) + "<div><strong>" + esc(r.title || "") + "</strong></div><div style='white-space:pre-line'>" + esc(r.body || "") + "</div>"
+      + "<div class='muted'>" + esc(r.name) + " &middot; " + esc(r.email) + " &middot; " + esc(String(r.submitted).slice(0, 10)) + "</div></td>"
+      + "<td>" + esc(p ? p.name.slice(0, 40) : r.product_id) + "</td><td>" + esc(r.status) + "</td>"
+      + "<td style='white-space:nowrap'>" + (r.status !== "approved" ? action("approved", "Approve") : "") + " " + (r.status !== "rejected" ? action("rejected", "Reject", "background:#991b1b") : "") + "</td></tr>";
+  };
+  var table = function(list, empty) {
+    return "<table><thead><tr><th>Review</th><th>Product</th><th>Status</th><th></th></tr></thead><tbody>"
+      + (list.map(row).join("") || "<tr><td colspan='4' class='muted'>" + empty + "</td></tr>") + "</tbody></table>";
+  };
+  return adminShell("Reviews", "<h1>Reviews</h1>"
+    + "<h2>Waiting for approval</h2>" + table(all.filter(function(r) { return r.status === "pending"; }), "Nothing to moderate.")
+    + "<h2 style='margin-top:36px'>Moderated</h2>" + table(all.filter(function(r) { return r.status !== "pending"; }).slice(0, 100), "No reviews yet."));
+}
+
+// Who is owed what. Payouts happen outside the store; recording one here only
+// moves the partner's balance.
+function pageAdminReferrals(csrf, message, isError) {
+  var report = referralReport();
+  var codes  = Object.keys(report).sort(function(a, b) { return report[b].payable - report[a].payable || report[b].earned - report[a].earned; });
+  var rows   = codes.map(function(code) {
+    var r = report[code];
+    var form = function(inner) {
+      return "<form method='POST' action='/store/admin/referrals/" + esc(code) + "' style='display:inline'><input type='hidden' name='csrf' value='" + esc(csrf) + "'>" + inner + "</form>";
+    };
+    return "<tr><td><strong>" + esc(code) + "</strong>" + (r.status !== "active" ? " <span class='muted'>(disabled)</span>" : "") + "<div class='muted'>" + esc(r.name) + " &middot; " + esc(r.email) + "</div>"
+      + (r.payout ? "<div class='muted'>Pay to: " + esc(r.payout) + "</div>" : "") + "</td>"
+      + "<td>" + r.visitors + "</td><td>" + r.orders + "</td><td>$" + r.earned.toFixed(2) + "<div class='muted'>$" + r.pending.toFixed(2) + " pending</div></td>"
+      + "<td>$" + r.paid.toFixed(2) + "</td><td><strong>$" + r.payable.toFixed(2) + "</strong></td>"
+      + "<td style='white-space:nowrap'>" + form("<input type='hidden' name='action' value='pay'><input type='number' name='amount' step='0.01' min='0.01' value='" + (r.payable > 0 ? r.payable.toFixed(2) : "") + "' style='width:90px'> <input type='text' name='note' placeholder='Reference' style='width:110px'> <button type='submit'>Record payout</button>")
+      + "<div style='margin-top:6px'>" + form("<input type='hidden' name='action' value='" + (r.status === "active" ? "disable" : "enable") + "'><button type='submit' style='background:" + (r.status === "active" ? "#991b1b" : "#065f46") + "'>" + (r.status === "active" ? "Disable" : "Enable") + "</button>") + "</div></td></tr>";
+  }).join("");
+  return adminShell("Referrals", "<h1>Referrals</h1>"
+    + "<p class='muted'>" + REFERRAL_PERCENT + "% commission &middot; " + REFERRAL_DAYS + "-day cookie &middot; payable after " + REFERRAL_HOLD_DAYS + " days &middot; <a href='/store/admin/referrals.csv'>Download payable report (CSV)</a></p>"
+    + (message ? "<p class='" + (isError ? "err" : "msg") + "'>" + esc(message) + "</p>" : "")
+    + "<table><thead><tr><th>Partner</th><th>Visitors</th><th>Orders</th><th>Earned</th><th>Paid</th><th>Payable</th><th></th></tr></thead><tbody>"
+    + (rows || "<tr><td colspan='7' class='muted'>No partners yet. Share <a href='/store/partners'>/store/partners</a>.</td></tr>") + "</tbody></table>");
+}
+
+function csvCell(value) {
+  var str = String(value === undefined || value === null ? "" : value);
+  return /[",\n]/.test(str) ? "\"" + str.replace(/"/g, "\"\"") + "\"" : str;
+}
+
+function referralsCsv() {
+  var report = referralReport();
+  var lines  = [["code", "name", "email", "pay_to", "rate", "orders", "earned_usd", "pending_usd", "paid_usd", "payable_usd", "last_paid"].join(",")];
+  Object.keys(report).forEach(function(code) {
+    var r = report[code];
+    lines.push([r.code, r.name, r.email, r.payout, r.rate, r.orders, r.earned.toFixed(2), r.pending.toFixed(2), r.paid.toFixed(2), r.payable.toFixed(2), r.last_paid || ""].map(csvCell).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+// A/B test box on the product edit page: live results, or a form to start one
+function adminExperiments(p, csrf) {
+  var all     = loadExperiments().experiments.filter(function(x) { return x.product_id === p.id; });
+  var running = all.find(function(x) { return x.status === "running"; });
+  var show    = function(x, v) { return x.field === "price" ? "$" + Number(v).toFixed(2) : esc(v); };
+  var form    = "<form method='POST' action='/store/admin/product/" + esc(p.id) + "/experiment'><input type='hidden' name='csrf' value='" + esc(csrf) + "'>";
+  var inner;
+  if (running) {
+    var results = experimentResults(running);
+    var lead    = decideExperiment(running, results);
+    inner = "<p class='muted'>Testing " + esc(running.field) + " since " + esc(running.created.slice(0, 10)) + ". "
+      + (lead && lead.winner ? "Variant " + esc(lead.winner.key.toUpperCase()) + " is ahead at 95% confidence and will be promoted on the next check."
+        : lead ? "No variant is ahead at 95% confidence; the test ends on the next check and the control stays."
+        : "Results are read once, when every variant has " + AB_MIN_VISITORS + " visitors: a variant ahead at 95% confidence is promoted, otherwise the control stays. So does a test without enough visitors after " + AB_MAX_DAYS + " days.") + "</p>"
+      + "<table><thead><tr><th>Variant</th><th>Visitors</th><th>Checkouts</th><th>Purchases</th><th>Conversion</th><th>Revenue / visitor</th></tr></thead><tbody>"
+      + results.map(function(r) {
+        return "<tr><td><strong>" + r.key.toUpperCase() + "</strong> " + show(running, r.value) + (r.control ? " <span class='muted'>control</span>" : "") + "</td>"
+          + "<td>" + r.visitors + "</td><td>" + r.checkouts + "</td><td>" + r.purchases + "</td><td>" + r.conversion + "%</td><td>$" + r.per_visitor.toFixed(2) + "</td></tr>";
+      }).join("") + "</tbody></table>"
+      + form + "<input type='hidden' name='action' value='stop'><p style='margin-top:12px'><button type='submit' style='background:#991b1b' onclick=\"return confirm('Stop the test and keep the current " + esc(running.field) + "?')\">Stop test</button></p></form>";
+  } else {
+    inner = form + "<input type='hidden' name='action' value='start'>"
+      + "<label>What to test</label><select name='field' style='padding:8px 10px;border:1px solid #d1d5db;border-radius:6px'>"
+      + AB_FIELDS.map(function(f) { return "<option value='" + f + "'>" + f.charAt(0).toUpperCase() + f.slice(1) + " (now: " + esc(f === "price" ? "$" + p.price : fieldValue(p, f)) + ")</option>"; }).join("") + "</select>"
+      + "<label>Variant B</label><input type='text' name='value_b' placeholder='e.g. 19, a new title, or light'>"
+      + "<label>Variant C <span class='muted'>(optional)</span></label><input type='text' name='value_c'>"
+      + "<p class='muted'>The current value is the control. Cover styles: " + COVER_STYLES.join(", ") + ". Visitors are split evenly and keep their variant.</p>"
+      + "<p><button type='submit'>Start test</button></p></form>";
+  }
+  var past = all.filter(function(x) { return x.status !== "running"; }).reverse().map(function(x) {
+    var winner = x.winner && x.variants.find(function(v) { return v.key === x.winner; });
+    return "<tr><td>" + esc(x.field) + "</td><td>" + x.variants.map(function(v) { return show(x, v.value); }).join(" vs ") + "</td>"
+      + "<td>" + esc(x.status) + (winner ? " \u2014 " + show(x, winner.value) : "") + "</td><td>" + esc(String(x.ended || "").slice(0, 10)) + "</td></tr>";
+  }).join("");
+  return "<div class='box'><strong>A/B test</strong>" + inner
+    + (past ? "<table style='margin-top:16px'><thead><tr><th>Tested</th><th>Variants</th><th>Result</th><th>Ended</th></tr></thead><tbody>" + past + "</tbody></table>" : "") + "</div>";
 }
 
-function pageSuccess(email, productName) {
+function pageAdminProduct(p, csrf, message, isError) {
+  var csrfField = "<input type='hidden' name='csrf' value='" + esc(csrf) + "'>";
+  return adminShell("Edit \u2014 " + p.name, "<h1>" + esc(p.name) + "</h1>"
+    + "<p class='muted'>" + esc(p.id) + " &middot; " + esc(p.type || "") + " &middot; " + (p.sales||0) + " sales" + (p.archived ? " &middot; <strong>archived</strong>" : "") + "</p>"
+    + (message ? "<p class='" + (isError ? "err" : "msg") + "'>" + esc(message) + "</p>" : "")
+    + "<form method='POST' action='/store/admin/product/" + esc(p.id) + "' class='box'>" + csrfField
+    + "<label>Name</label><input type='text' name='name' value='" + esc(p.name) + "'>"
+    + "<label>Description</label><textarea name='description' rows='5'>" + esc(p.description) + "</textarea>"
+    + "<label>Price (USD)</label><input type='number' name='price' min='0' step='0.01' value='" + esc(p.price) + "'>"
+    + "<label>Local price points <span class='muted'>(blank = converted from USD)</span></label><div style='display:flex;gap:8px'>"
+    + Object.keys(CURRENCIES).filter(function(c) { return c !== "usd"; }).map(function(c) {
+      return "<input type='number' name='price_" + c + "' min='0' step='0.01' placeholder='" + esc(CURRENCIES[c].label + " " + priceIn(p, c)) + "' value='" + esc((p.prices || {})[c] || "") + "'>";
+    }).join("") + "</div>"
+    + "<label>Niche</label><input type='text' name='niche' value='" + esc(p.niche) + "'>"
+    + "<label>Cover style</label><select name='cover_style' style='padding:8px 10px;border:1px solid #d1d5db;border-radius:6px'>"
+    + COVER_STYLES.map(function(c) { return "<option value='" + c + "'" + ((p.cover_style || "classic") === c ? " selected" : "") + ">" + c + "</option>"; }).join("") + "</select>"
+    + (coverUrl(p) ? "<p style='margin-top:10px'><img src='" + esc(coverUrl(p)) + "' alt='' style='width:320px;border-radius:6px;display:block'></p>" : "")
+    + "<label><input type='checkbox' name='active'" + (p.active ? " checked" : "") + (p.archived ? " disabled" : "") + "> Listed in the store</label>"
+    + "<input type='hidden' name='active_present' value='1'>"
+    + "<p style='margin-top:16px'><button type='submit'>Save changes</button></p></form>"
+    + (p.archived ? "" : adminExperiments(p, csrf))
+    + (p.type === "bundle" ? ""
+      : "<div class='box'><strong>Delivered file</strong> <span class='muted'>v" + (p.version || 1) + "</span><p class='muted'>" + esc(p.file_path || "none") + "</p>"
+        + "<input type='file' id='file' accept='.pdf,.html'>"
+        + "<label><input type='checkbox' id='release'> Release as a new version and email past buyers a fresh link</label>"
+        + "<textarea id='changelog' rows='3' placeholder='What changed in this version (shown in the email)'></textarea>"
+        + "<p style='margin-top:12px'><button type='button' onclick='upload()'>Upload file</button> <span id='up-msg' class='muted'></span></p>"
+        + "<p class='muted'>Without a new version the current file is replaced quietly \u2014 use that for typo fixes.</p></div>"
+        + "<script>async function upload(){var f=document.getElementById('file').files[0];var m=document.getElementById('up-msg');if(!f){m.textContent='Choose a file first.';return;}"
+        + "var rel=document.getElementById('release').checked;if(rel&&!confirm('Email every past buyer about the new version?'))return;"
+        + "m.textContent='Uploading...';var r=await fetch('/store/admin/product/" + esc(p.id) + "/file',{method:'POST',headers:{'Content-Type':'application/octet-stream','X-Filename':encodeURIComponent(f.name),'X-CSRF':" + JSON.stringify(csrf) + ",'X-Release':rel?'1':'','X-Changelog':encodeURIComponent(document.getElementById('changelog').value)},body:f});"
+        + "var d=await r.json();if(d.error){m.textContent=d.error;}else{location.reload();}}</script>"
+        + "<div class='box'><strong>Version history</strong><table style='margin-top:10px'><thead><tr><th>Version</th><th>Released</th><th>Changes</th><th>Buyers emailed</th></tr></thead><tbody>"
+        + versionHistory(p).slice().reverse().map(function(v) {
+          return "<tr><td>v" + v.version + (v.version === (p.version || 1) ? " <span class='muted'>current</span>" : "") + "</td><td>" + esc(String(v.date || "").slice(0, 10)) + "</td>"
+            + "<td style='white-space:pre-line'>" + esc(v.changelog) + "<div class='muted'>" + esc(path.basename(v.file_path || "")) + "</div></td><td>" + (v.notified === undefined ? "\u2014" : v.notified + (v.notify_failed ? " <span class='muted'>(" + v.notify_failed + " failed)</span>" : "")) + "</td></tr>";
+        }).join("") + "</tbody></table></div>")
+    + (p.archived ? ""
+      : "<form method='POST' action='/store/admin/product/" + esc(p.id) + "/archive' class='box' onsubmit=\"return confirm('Archive this product? It will be hidden from the store for good.')\">" + csrfField
+        + "<strong>Archive</strong><p class='muted'>Removes the product from the store. Past buyers keep their downloads.</p><button type='submit' style='background:#991b1b'>Archive product</button></form>"));
+}
+
+// recs: recommendFor() results, shown as plain links — the discounted offers go by email
+function pageSuccess(email, productName, recs, cur) {
   return "<!DOCTYPE html><html><head><meta charset='UTF-8'><title>Purchase Successful!</title>"
     + "<style>body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f9fafb;display:flex;align-items:center;justify-content:center;min-height:100vh;padding:20px}.card{background:white;border-radius:16px;padding:50px 40px;max-width:500px;width:100%;text-align:center;box-shadow:0 4px 24px rgba(0,0,0,.08)}.icon{font-size:64px;margin-bottom:20px}h1{color:#0d1b2a;margin-bottom:12px}p{color:#374151;line-height:1.6;margin-bottom:8px}.em{font-weight:700;color:#00d4aa}.back{display:inline-block;margin-top:24px;color:#6b7280;text-decoration:none;font-size:14px}</style></head>"
     + "<body><div class='card'><div class='icon'>\uD83C\uDF89</div><h1>You're all set!</h1>"
-    + "<p>Your purchase of <strong>" + esc(productName) + "</strong> is confirmed.</p>"
-    + "<p>Check <span class='em'>" + esc(email) + "</span> for your download link.</p>"
-    + "<p style='color:#9ca3af;font-size:13px;margin-top:16px'>Didn't get it? Check spam or reply to the confirmation email.</p>"
+    + "<p>Your payment for <strong>" + esc(productName) + "</strong> went through.</p>"
+    + "<p>Your download link is on its way to <span class='em'>" + esc(email) + "</span>.</p>"
+    + "<p style='color:#9ca3af;font-size:13px;margin-top:16px'>Didn't get it? Check spam, or <a href='/store/orders' style='color:#6b7280'>look up your orders</a>.</p>"
+    + (recs && recs.length
+      ? "<div style='border-top:1px solid #f0f0f0;margin-top:28px;padding-top:20px;text-align:left'><p style='font-weight:700;color:#0d1b2a'>You might also like</p>"
+        + recs.map(function(r) {
+          return "<a href='/store/buy/" + esc(r.product.id) + "' style='display:flex;justify-content:space-between;gap:12px;padding:12px 14px;border:1px solid #e5e7eb;border-radius:10px;margin-bottom:10px;text-decoration:none;color:#0d1b2a;font-size:14px'><span>" + esc(r.product.name) + "</span><strong>" + formatMoney(priceIn(r.product, cur), cur) + "</strong></a>";
+        }).join("")
+        + (UPSELL_PERCENT > 0 ? "<p style='color:#6b7280;font-size:13px'>Watch your inbox \u2014 your receipt has a " + UPSELL_PERCENT + "% discount on these.</p>" : "")
+        + "</div>"
+      : "")
     + "<a href='/store' class='back'>&larr; Browse more products</a></div></body></html>";
 }
 
+// ── ADMIN ─────────────────────────────────────────────────────────────────────
+// Uses the dashboard's login session (cookie "session"), so there is no second
+// password. Every change is written to the audit log.
+
+function adminCsrf(session) {
+  return crypto.createHmac("sha256", process.env.SESSION_SECRET || "secret").update("store-admin:" + session).digest("base64url");
+}
+
+function checkCsrf(session, token) {
+  var got  = Buffer.from(String(token || ""));
+  var want = Buffer.from(adminCsrf(session));
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+async function handleAdmin(req, res, pathname, query) {
+  if (!checkIP(req.socket.remoteAddress || "")) { res.writeHead(403); return res.end("Forbidden"); }
+  var session = getCookie(req, "session");
+  if (!validateSession(session)) { res.writeHead(302, { Location:"/login" }); return res.end(); }
+  var csrf = adminCsrf(session);
+
+  if (req.method === "GET" && pathname === "/store/admin") {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageAdmin(!!query.archived));
+  }
+
+  if (req.method === "GET" && pathname === "/store/admin/reviews") {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageAdminReviews(csrf));
+  }
+
+  var rm = pathname.match(/^\/store\/admin\/reviews\/([^/]+)$/);
+  if (req.method === "POST" && rm) {
+    var form = await parseBody(req);
+    if (!checkCsrf(session, form.csrf)) { res.writeHead(403, {"Content-Type":"text/html"}); return res.end(adminShell("Session expired", "<h1>Session expired</h1><p><a href='/store/admin/reviews'>Back to reviews</a></p>")); }
+    if (!moderateReview(rm[1], form.status)) { res.writeHead(404, {"Content-Type":"text/html"}); return res.end(adminShell("Not found", "<h1>Review not found</h1>")); }
+    res.writeHead(302, { Location:"/store/admin/reviews" });
+    return res.end();
+  }
+
+  if (req.method === "GET" && pathname === "/store/admin/referrals") {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageAdminReferrals(csrf, query.saved ? "Saved." : ""));
+  }
+
+  if (req.method === "GET" && pathname === "/store/admin/referrals.csv") {
+    res.writeHead(200, {"Content-Type":"text/csv; charset=utf-8","Content-Disposition":"attachment; filename=\"referral-payouts-" + new Date().toISOString().slice(0, 10) + ".csv\"","Cache-Control":"private, no-store"});
+    return res.end(referralsCsv());
+  }
+
+  var pm = pathname.match(/^\/store\/admin\/referrals\/([^/]+)$/);
+  if (req.method === "POST" && pm) {
+    var form = await parseBody(req);
+    if (!checkCsrf(session, form.csrf)) { res.writeHead(403, {"Content-Type":"text/html"}); return res.end(pageAdminReferrals(csrf, "Session expired \u2014 please try again.", true)); }
+    if (form.action === "pay") {
+      var payout = recordPartnerPayout(pm[1], form.amount, form.note);
+      if (payout.error) { res.writeHead(400, {"Content-Type":"text/html"}); return res.end(pageAdminReferrals(csrf, payout.error, true)); }
+    } else if (!setPartnerStatus(pm[1], form.action === "enable" ? "active" : form.action === "disable" ? "disabled" : "")) {
+      res.writeHead(404, {"Content-Type":"text/html"});
+      return res.end(pageAdminReferrals(csrf, "Partner not found.", true));
+    }
+    res.writeHead(302, { Location:"/store/admin/referrals?saved=1" });
+    return res.end();
+  }
+
+  var m = pathname.match(/^\/store\/admin\/product\/([^/]+)(?:\/(file|archive|experiment))?$/);
+  var product = m && getProduct(m[1]);
+  if (!product) { res.writeHead(404,{"Content-Type":"text/html"}); return res.end(adminShell("Not found", "<h1>Product not found</h1>")); }
+
+  if (req.method === "GET" && !m[2]) {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageAdminProduct(product, csrf, query.saved ? "Saved." : ""));
+  }
+  if (req.method !== "POST") { res.writeHead(405); return res.end(); }
+
+  // Replace the delivered file — raw body upload from the edit page
+  if (m[2] === "file") {
+    res.writeHead(200, {"Content-Type":"application/json"});
+    if (!checkCsrf(session, req.headers["x-csrf"])) return res.end(JSON.stringify({ error:"Session expired. Reload the page." }));
+    var rawName = String(req.headers["x-filename"] || "");
+    var ext = path.extname(decodeParam(rawName) || rawName).toLowerCase();
+    if (product.type === "bundle") return res.end(JSON.stringify({ error:"Bundles deliver their members' files." }));
+    if (ext !== ".pdf" && ext !== ".html") return res.end(JSON.stringify({ error:"Upload a .pdf or .html file." }));
+    var data = await readBuffer(req, MAX_UPLOAD_BYTES);
+    if (!data || data.length === 0) return res.end(JSON.stringify({ error:"The file is empty or larger than " + (MAX_UPLOAD_BYTES / 1048576) + "MB." }));
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    var dest = path.join(UPLOAD_DIR, product.id + "-" + Date.now() + ext);
+    fs.writeFileSync(dest, data);
+    if (req.headers["x-release"] === "1") {
+      var changelog = "";
+      try { changelog = decodeURIComponent(String(req.headers["x-changelog"] || "")); } catch(e) {}
+      var released = addVersion(product.id, { file_path:dest, changelog:changelog });
+      if (released.error) return res.end(JSON.stringify({ error:released.error }));
+      notifyPastBuyers(released.product, released.version).catch(function(e) { console.log("     \u2192 Store: version emails failed: " + e.message.slice(0,80)); });
+      return res.end(JSON.stringify({ ok:true, file_path:dest, version:released.version.version }));
+    }
+    updateProduct(product.id, { file_path:dest });
+    auditLog("STORE_PRODUCT_FILE_REPLACED", { product_id:product.id, from:product.file_path, to:dest, bytes:data.length });
+    return res.end(JSON.stringify({ ok:true, file_path:dest }));
+  }
+
+  var body = await parseBody(req);
+  if (!checkCsrf(session, body.csrf)) {
+    res.writeHead(403, {"Content-Type":"text/html"});
+    return res.end(pageAdminProduct(product, csrf, "Session expired \u2014 please try again.", true));
+  }
+
+  if (m[2] === "experiment") {
+    var running = runningExperiments()[product.id];
+    if (body.action === "stop") {
+      if (running) stopExperiment(running.id);
+      res.writeHead(302, { Location:"/store/admin/product/" + product.id + "?saved=1" });
+      return res.end();
+    }
+    var started = startExperiment(product.id, body.field, [body.value_b, body.value_c]);
+    if (started.error) {
+      res.writeHead(200, {"Content-Type":"text/html"});
+      return res.end(pageAdminProduct(product, csrf, started.error, true));
+    }
+    res.writeHead(302, { Location:"/store/admin/product/" + product.id + "?saved=1" });
+    return res.end();
+  }
+
+  if (m[2] === "archive") {
+    var archived = updateProduct(product.id, { archived:true, active:false });
+    auditLog("STORE_PRODUCT_ARCHIVED", { product_id:product.id, name:product.name, changes:archived.changes });
+    res.writeHead(302, { Location:"/store/admin" });
+    return res.end();
+  }
+
+  var fields = { name:body.name, description:body.description, price:body.price, niche:body.niche, prices:{} };
+  if (body.cover_style) fields.cover_style = body.cover_style;
+  Object.keys(CURRENCIES).forEach(function(c) { if (c !== "usd") fields.prices[c] = body["price_" + c]; });
+  if (body.active_present && !product.archived) fields.active = body.active === "on";
+  var result = updateProduct(product.id, fields);
+  if (result.error) {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageAdminProduct(product, csrf, result.error, true));
+  }
+  if (Object.keys(result.changes).length) auditLog("STORE_PRODUCT_UPDATED", { product_id:product.id, changes:result.changes });
+  res.writeHead(302, { Location:"/store/admin/product/" + product.id + "?saved=1" });
+  return res.end();
+}
+
 // ── REQUEST HANDLER ───────────────────────────────────────────────────────────
 
 async function handleRequest(req, res) {
@@ -346,8 +3598,52 @@ async function handleRequest(req, res) {
 
   // GET /store
   if (req.method === "GET" && pathname === "/store") {
-    res.writeHead(200, {"Content-Type":"text/html"});
-    return res.end(pageStore(getActiveProducts()));
+    var visit = visitFor(req, query);
+    var shown = applyExperiments(getActiveProducts(), visit);
+    recordEvent("store_view", visit);
+    res.writeHead(200, pageHeaders(query, visit));
+    return res.end(pageStore(shown, pickCurrency(req, query)));
+  }
+
+  // GET /store/p/:slug
+  var slugMatch = pathname.match(/^\/store\/p\/([^/]+)$/);
+  if (req.method === "GET" && slugMatch) {
+    var product = getProductBySlug(slugMatch[1]);
+    if (!product || !product.active) { res.writeHead(404); return res.end("Product not found"); }
+    var visit = visitFor(req, query);
+    product = applyExperiments([product], visit)[0];
+    recordEvent("product_view", visit, product.id);
+    res.writeHead(200, pageHeaders(query, visit));
+    return res.end(pageProduct(product, pickCurrency(req, query)));
+  }
+
+  // GET /sitemap.xml, /robots.txt
+  if (req.method === "GET" && (pathname === "/sitemap.xml" || pathname === "/robots.txt")) {
+    var xml = pathname === "/sitemap.xml";
+    res.writeHead(200, {"Content-Type":xml ? "application/xml" : "text/plain", "Cache-Control":"public, max-age=3600"});
+    return res.end(xml ? sitemapXml() : robotsTxt());
+  }
+
+  // GET /store/feed.json, /store/feed.xml
+  if (req.method === "GET" && pathname === "/store/feed.json") {
+    return sendFeed(req, res, "application/json; charset=utf-8", productFeedJson(query.currency));
+  }
+  if (req.method === "GET" && pathname === "/store/feed.xml") {
+    return sendFeed(req, res, "application/atom+xml; charset=utf-8", productFeedAtom());
+  }
+
+  // GET /store/cover/:id.jpg — ?v= is the cover key from coverUrl, so a matching
+  // request can be cached for good; anything else gets the current cover
+  var coverMatch = pathname.match(/^\/store\/cover\/([^/]+)\.jpg$/);
+  if (req.method === "GET" && coverMatch) {
+    var product = getProduct(coverMatch[1]);
+    var key     = String(query.v || "");
+    var file    = product && product.active && await productCover(product, key);
+    if (!file) { res.writeHead(404); return res.end("Cover not found"); }
+    var exact   = covers.coverKey(coverSubject(product, key)) === key;
+    var image   = fs.readFileSync(file);
+    res.writeHead(200, {"Content-Type":"image/jpeg", "Content-Length":image.length, "Cache-Control":exact ? "public, max-age=31536000, immutable" : "public, max-age=3600"});
+    return res.end(image);
   }
 
   // GET /store/buy/:id
@@ -355,60 +3651,285 @@ async function handleRequest(req, res) {
   if (req.method === "GET" && buyMatch) {
     var product = getProduct(buyMatch[1]);
     if (!product) { res.writeHead(404); return res.end("Product not found"); }
+    var offer = readOffer(query.offer);
+    var visit = visitFor(req, query);
+    product = applyExperiments([product], visit)[0];
+    recordEvent("product_view", visit, product.id);
+    res.writeHead(200, pageHeaders(query, visit));
+    return res.end(isFree(product) ? pageFree(product, "")
+      : pageBuy(product, pubKey, query.code, pickCurrency(req, query), offer && offer.p === product.id ? { token:query.offer, data:offer } : null));
+  }
+
+  // POST /store/free/:id — lead magnet: no payment, delivered by the same token + email path
+  var freeMatch = pathname.match(/^\/store\/free\/([^/]+)$/);
+  if (req.method === "POST" && freeMatch) {
+    var product = getProduct(freeMatch[1]);
+    if (!product || !product.active || !isFree(product)) { res.writeHead(404); return res.end("Product not found"); }
+    var body  = await parseBody(req);
+    var email = String(body.email || "").trim().toLowerCase();
     res.writeHead(200, {"Content-Type":"text/html"});
-    return res.end(pageBuy(product, pubKey));
+    if (!isEmail(email)) return res.end(pageFree(product, "Please enter a valid email address."));
+    if (body.consent !== "yes" && body.consent !== true) return res.end(pageFree(product, "Please tick the box so we can email you the download."));
+    if (!rateLimit("free-ip:" + clientIP(req), 10, 3600000) || !rateLimit("free-email:" + email, 3, 3600000)) {
+      return res.end(pageFree(product, "Too many requests. Please try again in an hour."));
+    }
+    addSubscriber(email, product);
+    var order = recordOrder([{ product_id:product.id, name:product.name, price:0 }], email, null, 0, { free:true });
+    var visit = visitFor(req, {});
+    recordEvent("checkout_started", visit, product.id);   // a claim is the lead magnet's checkout and sale
+    recordEvent("payment_succeeded", visit, product.id, 0);
+    var freeOffers = upsellOffers(order);
+    recordOffers(freeOffers, await sendDeliveryEmail(email, deliveryLinks(order), true, { offers:freeOffers }));
+    return res.end(pageSimple("Check your inbox", "<h1>Check your inbox</h1><p>Your copy of <strong>" + esc(product.name) + "</strong> is on its way to " + esc(email) + ".</p>"));
+  }
+
+  // GET /store/cart
+  if (req.method === "GET" && pathname === "/store/cart") {
+    var visit = visitFor(req, query);
+    var shown = applyExperiments(getActiveProducts(), visit);
+    res.writeHead(200, pageHeaders(query, visit));
+    return res.end(pageCart(shown, pubKey, query.code, pickCurrency(req, query)));
+  }
+
+  // POST /store/quote — server-side total for the checkout pages
+  if (req.method === "POST" && pathname === "/store/quote") {
+    var body  = await parseBody(req);
+    var items = applyExperiments(resolveItems(body.items), visitFor(req, {}));
+    res.writeHead(200,{"Content-Type":"application/json"});
+    if (items.length === 0) return res.end(JSON.stringify({error:"Your cart is empty."}));
+    return res.end(JSON.stringify(quoteOrder(items, body.coupon, body.amounts, { country:body.country, region:body.region, currency:body.currency, offer:body.offer })));
   }
 
-  // POST /store/checkout/:id
-  var checkoutMatch = pathname.match(/^\/store\/checkout\/([^/]+)$/);
+  // POST /store/checkout/:id — single product
+  // POST /store/checkout     — whole cart in one PaymentIntent
+  var checkoutMatch = pathname.match(/^\/store\/checkout(?:\/([^/]+))?$/);
   if (req.method === "POST" && checkoutMatch) {
-    var body    = await parseBody(req);
-    var product = getProduct(checkoutMatch[1]);
-    if (!product) { res.writeHead(200,{"Content-Type":"application/json"}); return res.end(JSON.stringify({error:"Product not found"})); }
-
-    var intent = await stripePost("/payment_intents", {
-      amount:   String(Math.round(product.price * 100)),
-      currency: "usd",
-      "metadata[product_id]":   product.id,
-      "metadata[product_name]": product.name,
-      description: product.name,
-    });
+    var body  = await parseBody(req);
+    var visit = visitFor(req, {});
+    var items = applyExperiments(resolveItems(checkoutMatch[1] ? [checkoutMatch[1]] : body.items), visit); // charge the price this visitor was shown
+    res.writeHead(200,{"Content-Type":"application/json"});
+    if (items.length === 0) return res.end(JSON.stringify({error:checkoutMatch[1] ? "Product not found" : "Your cart is empty."}));
+    if (!isEmail(body.email)) return res.end(JSON.stringify({error:"Please enter a valid email address."}));
+    if (!normalizeLocation(body.country, body.region)) return res.end(JSON.stringify({error:"Please choose your country."}));
+
+    var quote = quoteOrder(items, body.coupon, body.amounts, { country:body.country, region:body.region, currency:body.currency, offer:body.offer });
+    if (quote.error) return res.end(JSON.stringify({error:quote.error}));
+    if (quote.offer && readOffer(body.offer).u !== String(body.email).trim().toLowerCase()) {
+      return res.end(JSON.stringify({error:"This offer only works with the email address it was sent to."}));
+    }
+
+    var intent = await createPaymentIntent(items, body.email, quote, visit);
+    if (!intent || !intent.client_secret) return res.end(JSON.stringify({error:"Payment setup failed. Please try again."}));
+    recordCheckout(body.email, items, quote, intent.id);
+    items.forEach(function(p) { recordEvent("checkout_started", visit, p.id); });
+    return res.end(JSON.stringify({client_secret:intent.client_secret, product_name:checkoutName(items), product_ids:items.map(function(p) { return p.id; })}));
+  }
+
+  // POST /store/webhook/stripe
+  if (req.method === "POST" && pathname === "/store/webhook/stripe") {
+    var raw    = await readRawBody(req);
+    var secret = process.env.STRIPE_WEBHOOK_SECRET || "";
+    if (!verifyStripeSignature(raw, req.headers["stripe-signature"], secret)) {
+      auditLog("STRIPE_WEBHOOK_REJECTED", { reason: secret ? "bad_signature" : "no_webhook_secret" }, "alert");
+      res.writeHead(400,{"Content-Type":"application/json"});
+      return res.end(JSON.stringify({error:"Invalid signature"}));
+    }
+    var event;
+    try { event = JSON.parse(raw); } catch(e) { event = null; }
+    if (!event || !event.id) { res.writeHead(400,{"Content-Type":"application/json"}); return res.end(JSON.stringify({error:"Invalid payload"})); }
 
-    if (!intent || !intent.client_secret) {
+    if (!claimEvent(event.id)) {
       res.writeHead(200,{"Content-Type":"application/json"});
-      return res.end(JSON.stringify({error:"Payment setup failed. Please try again."}));
+      return res.end(JSON.stringify({received:true, duplicate:true}));
+    }
+    try {
+      await handleStripeEvent(event);
+    } catch(e) {
+      releaseEvent(event.id);
+      console.log("     \u2192 Stripe webhook error: " + e.message.slice(0,100));
+      res.writeHead(500,{"Content-Type":"application/json"});
+      return res.end(JSON.stringify({error:"Webhook handling failed"}));
     }
     res.writeHead(200,{"Content-Type":"application/json"});
-    return res.end(JSON.stringify({client_secret:intent.client_secret}));
+    return res.end(JSON.stringify({received:true}));
   }
 
-  // GET /store/success
+  // GET /store/success — cosmetic only; orders are recorded by the webhook
   if (req.method === "GET" && pathname === "/store/success") {
-    var email   = query.email || "";
-    var pName   = query.product || "Your product";
-    var pId     = query.id || "";
-    var pi      = query.pi || "";
+    var bought = String(query.items || "").split(",").filter(Boolean).slice(0, CART_MAX_ITEMS);
+    res.writeHead(200,{"Content-Type":"text/html"});
+    return res.end(pageSuccess(query.email || "", query.product || "Your product", recommendFor(bought), pickCurrency(req, query)));
+  }
 
-    if (pId && pi) recordOrder(pId, email, pi);
+  // GET /store/orders — lookup form
+  if (req.method === "GET" && pathname === "/store/orders") {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageOrderLookup(""));
+  }
 
-    if (pId && email) {
-      var token    = makeToken(pId);
-      var dlUrl    = getBaseUrl() + "/store/download/" + token;
-      await sendEmail(email, pName, dlUrl);
+  // POST /store/orders — email a magic link (same answer whether or not orders exist)
+  if (req.method === "POST" && pathname === "/store/orders") {
+    var body  = await parseBody(req);
+    var email = String(body.email || "").trim().toLowerCase();
+    res.writeHead(200, {"Content-Type":"text/html"});
+    if (!rateLimit("ip:" + clientIP(req), 10, 3600000) || !rateLimit("email:" + email, 3, 3600000)) {
+      return res.end(pageOrderLookup("Too many requests. Please try again in an hour."));
+    }
+    if (isEmail(email) && getOrdersByEmail(email).length > 0) {
+      var link = getBaseUrl() + "/store/orders/view/" + signLink({ e:email }, 3600000);
+      await sendEmail(email, "Your order history", emailShell("Your Orders", "Re-download anything you've bought",
+        "<p style='color:#374151;line-height:1.6'>Click below to see every order for this email with fresh download links.</p>"
+        + emailButton(link, "View My Orders")
+        + "<p style='color:#6b7280;font-size:13px'>This link expires in 1 hour. If you didn't ask for it, you can ignore this email.</p>"));
     }
+    return res.end(pageOrderLookup("If we have orders for that email, a link to them is on its way. It expires in 1 hour."));
+  }
+
+  // GET /store/orders/view/:token
+  var ordersMatch = pathname.match(/^\/store\/orders\/view\/([^/]+)$/);
+  if (req.method === "GET" && ordersMatch) {
+    var link = readLink(ordersMatch[1]);
+    if (!link || !link.e) { res.writeHead(410,{"Content-Type":"text/html"}); return res.end(pageOrderLookup("That link has expired. Enter your email to get a new one.")); }
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageOrderList(link.e, getOrdersByEmail(link.e)));
+  }
 
+  // GET /store/review/:token  — review form for a paid order
+  // POST /store/review/:token — one review per product per order
+  var reviewMatch = pathname.match(/^\/store\/review\/([^/]+)$/);
+  if (reviewMatch && (req.method === "GET" || req.method === "POST")) {
+    var order = reviewOrder(reviewMatch[1]);
+    if (!order) { res.writeHead(410,{"Content-Type":"text/html"}); return res.end(pageSimple("Link expired", "<h1>This review link has expired</h1><p>Find your orders to get a fresh one.</p><p><a href='/store/orders' style='color:#0d1b2a;font-weight:700'>Find my orders &rarr;</a></p>")); }
     res.writeHead(200,{"Content-Type":"text/html"});
-    return res.end(pageSuccess(email, pName));
+    if (req.method === "GET") return res.end(pageReview(order, reviewMatch[1], ""));
+    if (!rateLimit("review:" + clientIP(req), 20, 3600000)) return res.end(pageReview(order, reviewMatch[1], "Too many submissions. Please try again in an hour.", true));
+    var submitted = submitReview(order, await parseBody(req));
+    if (submitted.error) return res.end(pageReview(order, reviewMatch[1], submitted.error, true));
+    return res.end(pageReview(order, reviewMatch[1], "Thanks! Your review will appear once it's approved."));
+  }
+
+  // GET /store/recover/optout/:token  — confirm (mail scanners follow GET links)
+  // POST /store/recover/optout/:token — no more unfinished-checkout reminders
+  var optOutMatch = pathname.match(/^\/store\/recover\/optout\/([^/]+)$/);
+  if (optOutMatch && (req.method === "GET" || req.method === "POST")) {
+    var link = readLink(optOutMatch[1]);
+    res.writeHead(link && link.ro ? 200 : 410, {"Content-Type":"text/html"});
+    if (!link || !link.ro) return res.end(pageSimple("Link expired", "<h1>This link has expired</h1><p>You won't get more than one reminder per checkout either way.</p>"));
+    if (req.method === "POST") {
+      optOutCheckouts(link.ro);
+      return res.end(pageSimple("Unsubscribed", "<h1>Done</h1><p>We won't email " + esc(link.ro) + " about unfinished checkouts again.</p>"));
+    }
+    return res.end(pageSimple("Stop reminders", "<h1>Stop checkout reminders?</h1><p>We'll stop emailing " + esc(link.ro) + " about checkouts that weren't finished. Receipts and downloads are not affected.</p>"
+      + "<form method='POST' action='/store/recover/optout/" + esc(optOutMatch[1]) + "'><button type='submit'>Stop reminders</button></form>"));
+  }
+
+  // GET /store/partners  — referral program sign-up
+  // POST /store/partners — create a partner code, or resend the link for a known email
+  if (pathname === "/store/partners" && (req.method === "GET" || req.method === "POST")) {
+    if (!(REFERRAL_PERCENT > 0)) { res.writeHead(404); return res.end("The referral program is closed."); }
+    res.writeHead(200, {"Content-Type":"text/html"});
+    if (req.method === "GET") return res.end(pagePartners(""));
+    var body  = await parseBody(req);
+    var email = String(body.email || "").trim().toLowerCase();
+    if (!rateLimit("partner-ip:" + clientIP(req), 10, 3600000) || !rateLimit("partner-email:" + email, 3, 3600000)) {
+      return res.end(pagePartners("Too many requests. Please try again in an hour.", true));
+    }
+    if (body.terms !== "yes" && body.terms !== true) return res.end(pagePartners("Please accept the program terms.", true));
+    var joined = addPartner(body);
+    if (joined.error) return res.end(pagePartners(joined.error, true));
+    await sendPartnerEmail(joined.partner, !joined.existing);
+    // Same answer for a new or existing email, so the form can't be used to look up partners
+    return res.end(pageSimple("Check your inbox", "<h1>Check your inbox</h1><p>Your referral link and a link to your stats are on their way to " + esc(email) + ".</p>"));
+  }
+
+  // GET /store/partners/stats/:token
+  var partnerMatch = pathname.match(/^\/store\/partners\/stats\/([^/]+)$/);
+  if (req.method === "GET" && partnerMatch) {
+    var link = readLink(partnerMatch[1]);
+    var row  = link && link.a ? referralReport()[link.a] : null;
+    if (!row) { res.writeHead(410,{"Content-Type":"text/html"}); return res.end(pagePartners("That link has expired. Enter your email to get a new one.", true)); }
+    res.writeHead(200, {"Content-Type":"text/html","Cache-Control":"private, no-store"});
+    return res.end(pagePartnerStats(row));
+  }
+
+  // GET /store/invoice/:token — signed links come from the order history page
+  var invoiceMatch = pathname.match(/^\/store\/invoice\/([^/]+)$/);
+  if (req.method === "GET" && invoiceMatch) {
+    var link     = readLink(invoiceMatch[1]);
+    var invoiced = link && link.i ? getOrder(link.i) : null;
+    if (!invoiced || !invoiced.invoice) { res.writeHead(410,{"Content-Type":"text/html"}); return res.end(pageOrderLookup("That link has expired. Enter your email to get a new one.")); }
+    var pdf = generateInvoicePDF(invoiceFor(invoiced));
+    res.writeHead(200, {"Content-Type":"application/pdf","Content-Disposition":"attachment; filename=\"" + invoiced.invoice + ".pdf\"","Content-Length":pdf.length,"Cache-Control":"private, no-store"});
+    return res.end(pdf);
+  }
+
+  // GET /store/membership
+  if (req.method === "GET" && pathname === "/store/membership") {
+    if (!MEMBERSHIP_PRICE_ID) { res.writeHead(404); return res.end("Membership is not available."); }
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageMembership(query.welcome ? "Welcome aboard! Your library link is on its way to your inbox." : ""));
+  }
+
+  // POST /store/membership — hand off to Stripe Checkout
+  if (req.method === "POST" && pathname === "/store/membership") {
+    if (!MEMBERSHIP_PRICE_ID) { res.writeHead(404); return res.end("Membership is not available."); }
+    var body    = await parseBody(req);
+    var email   = String(body.email || "").trim().toLowerCase();
+    if (!isEmail(email)) { res.writeHead(200,{"Content-Type":"text/html"}); return res.end(pageMembership("Please enter a valid email address.")); }
+    if (isMember(email)) { res.writeHead(200,{"Content-Type":"text/html"}); return res.end(pageMembership("You're already a member \u2014 use the library link below.")); }
+    var session = await createMembershipCheckout(email);
+    if (!session || !session.url) { res.writeHead(200,{"Content-Type":"text/html"}); return res.end(pageMembership("Checkout setup failed. Please try again.")); }
+    res.writeHead(303, { Location:session.url });
+    return res.end();
+  }
+
+  // GET /store/library
+  if (req.method === "GET" && pathname === "/store/library") {
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageLibraryLookup(""));
+  }
+
+  // POST /store/library — email a library link (same answer whether or not they're a member)
+  if (req.method === "POST" && pathname === "/store/library") {
+    var body  = await parseBody(req);
+    var email = String(body.email || "").trim().toLowerCase();
+    res.writeHead(200, {"Content-Type":"text/html"});
+    if (!rateLimit("library-ip:" + clientIP(req), 10, 3600000) || !rateLimit("library-email:" + email, 3, 3600000)) {
+      return res.end(pageLibraryLookup("Too many requests. Please try again in an hour."));
+    }
+    if (isEmail(email) && isMember(email)) await sendLibraryEmail(email, false);
+    return res.end(pageLibraryLookup("If that email has an active membership, a library link is on its way."));
+  }
+
+  // GET /store/library/:token
+  var libMatch = pathname.match(/^\/store\/library\/([^/]+)$/);
+  if (req.method === "GET" && libMatch) {
+    var link = readLink(libMatch[1]);
+    if (!link || !link.l) { res.writeHead(410,{"Content-Type":"text/html"}); return res.end(pageLibraryLookup("That link has expired. Enter your email to get a new one.")); }
+    if (!isMember(link.l)) { res.writeHead(403,{"Content-Type":"text/html"}); return res.end(pageMembership("Your membership isn't active. Join again to unlock the library.")); }
+    res.writeHead(200, {"Content-Type":"text/html"});
+    return res.end(pageLibrary(link.l, getActiveProducts().filter(function(p) { return p.type !== "bundle" && p.file_path; })));
   }
 
   // GET /store/download/:token
   var dlMatch = pathname.match(/^\/store\/download\/([^/]+)$/);
   if (req.method === "GET" && dlMatch) {
-    var pId = checkToken(dlMatch[1]);
-    if (!pId) { res.writeHead(410); return res.end("Download link expired. Please contact support."); }
+    var tok = checkToken(dlMatch[1]);
+    if (!tok) { res.writeHead(410,{"Content-Type":"text/html"}); return res.end(pageSimple("Link expired", "<h1>This download link has expired</h1><p>Get fresh links for everything you've bought \u2014 no support ticket needed.</p><p><a href='/store/orders' style='color:#0d1b2a;font-weight:700'>Find my orders &rarr;</a></p>")); }
 
-    var product = getProduct(pId);
-    if (!product || !product.file_path) { res.writeHead(404); return res.end("File not found."); }
+    // Members download from the live catalog; everyone else through an order
+    var order  = tok.member ? null : getOrder(tok.order_id);
+    var member = tok.member ? getMember(tok.member) : null;
+    var owned  = tok.member ? !!member : order && orderItems(order).some(function(item) {
+      return deliverables(getProduct(item.product_id)).some(function(f) { return f.id === tok.product_id; });
+    });
+    if (!owned) { res.writeHead(404); return res.end("File not found."); }
+    if (order && order.revoked) { res.writeHead(403,{"Content-Type":"text/html"}); return res.end(pageSimple("Access revoked", "<h1>Download unavailable</h1><p>Access to this order has been revoked.</p>")); }
+    if (member && !isMember(member.email)) { res.writeHead(403,{"Content-Type":"text/html"}); return res.end(pageSimple("Membership inactive", "<h1>Your membership isn't active</h1><p>Renew to get access to the whole library again.</p><p><a href='/store/membership' style='color:#0d1b2a;font-weight:700'>See membership &rarr;</a></p>")); }
+    var product = getProduct(tok.product_id);
+    if (!product || !product.file_path || (member && !product.active)) { res.writeHead(404); return res.end("File not found."); }
+    var used = downloadsUsed(order || member, product);
+    if (used >= MAX_DOWNLOADS) { res.writeHead(429,{"Content-Type":"text/html"}); return res.end(pageSimple("Download limit reached", "<h1>Download limit reached</h1><p>This file has already been downloaded " + used + " times for this order.</p>")); }
 
     var filePath = product.file_path;
     if (!fs.existsSync(filePath)) {
@@ -417,26 +3938,54 @@ async function handleRequest(req, res) {
       else { res.writeHead(404); return res.end("File not found."); }
     }
 
-    var ext = path.extname(filePath).toLowerCase();
-    var ct  = ext === ".pdf" ? "application/pdf" : "text/html";
+    if (member) recordMemberDownload(member.email, product.id, clientIP(req), req.headers["user-agent"], product.version);
+    else recordDownload(order.id, product.id, clientIP(req), req.headers["user-agent"], product.version);
+    recordEvent("download", visitFor(req, {}), product.id);
+
+    var ext  = path.extname(filePath).toLowerCase();
+    var ct   = ext === ".pdf" ? "application/pdf" : "text/html";
+    var body = fs.readFileSync(filePath);
+    var lic  = order && licenseFor(order, product.id);
+    if (lic) {
+      var footer = "Licensed to " + order.email + " \u2014 License key " + lic.key + " \u2014 verify at " + getBaseUrl() + "/store/license/" + lic.key;
+      body = ext === ".pdf" ? stampFooter(body, footer)
+        : Buffer.from(body.toString("utf8").replace(/<\/body>/i, "<footer style='font-size:12px;color:#6b7280;text-align:center;padding:20px'>" + esc(footer) + "</footer></body>"));
+    }
     res.writeHead(200, {"Content-Type":ct,"Content-Disposition":"attachment; filename=\""+path.basename(filePath)+"\""});
-    return res.end(fs.readFileSync(filePath));
+    return res.end(body);
   }
 
-  // GET /store/admin
-  if (req.method === "GET" && pathname === "/store/admin") {
-    var pw = query.pw || "";
-    if (pw !== (process.env.DASHBOARD_PASSWORD||"")) {
-      res.writeHead(200,{"Content-Type":"text/html"});
-      return res.end("<form style='padding:40px;font-family:sans-serif'><h2>Store Admin</h2><input name='pw' type='password' placeholder='Password' style='padding:8px;margin:10px 0;display:block'><button>Login</button></form>");
-    }
-    var store    = loadStore();
-    var totalRev = store.products.reduce(function(s,p){ return s+(p.sales||0)*p.price; },0);
-    var rows     = store.products.map(function(p) {
-      return "<tr><td style='padding:10px;border-bottom:1px solid #f0f0f0'>"+esc(p.name.slice(0,50))+"</td><td style='padding:10px;border-bottom:1px solid #f0f0f0'>$"+p.price+"</td><td style='padding:10px;border-bottom:1px solid #f0f0f0'>"+(p.sales||0)+"</td><td style='padding:10px;border-bottom:1px solid #f0f0f0'>$"+((p.sales||0)*p.price).toFixed(2)+"</td><td style='padding:10px;border-bottom:1px solid #f0f0f0'><a href='/store/buy/"+p.id+"'>View</a></td></tr>";
-    }).join("");
-    res.writeHead(200,{"Content-Type":"text/html"});
-    return res.end("<!DOCTYPE html><html><head><meta charset='UTF-8'><title>Store Admin</title></head><body style='font-family:sans-serif;padding:40px;max-width:900px;margin:0 auto'><h1>Store Admin</h1><div style='background:#f0fdf4;border-radius:8px;padding:20px;margin-bottom:24px'><strong>Total Revenue: $"+totalRev.toFixed(2)+"</strong> | Products: "+store.products.length+" | Orders: "+store.orders.length+"</div><table style='width:100%;border-collapse:collapse'><thead><tr style='background:#f9fafb'><th style='padding:10px;text-align:left'>Product</th><th style='padding:10px;text-align:left'>Price</th><th style='padding:10px;text-align:left'>Sales</th><th style='padding:10px;text-align:left'>Revenue</th><th style='padding:10px;text-align:left'>Link</th></tr></thead><tbody>"+rows+"</tbody></table></body></html>");
+  // GET /store/license/:key — public, so it never reveals the buyer's email
+  var licMatch = pathname.match(/^\/store\/license\/([^/]+)$/);
+  if (req.method === "GET" && licMatch) {
+    if (!rateLimit("license:" + clientIP(req), 30, 3600000)) {
+      res.writeHead(429, {"Content-Type":"application/json"});
+      return res.end(JSON.stringify({ error:"Too many lookups. Try again later." }));
+    }
+    var licKey = decodeParam(licMatch[1]);
+    if (licKey === null) {
+      res.writeHead(400, {"Content-Type":"application/json"});
+      return res.end(JSON.stringify({ error:"Malformed license key." }));
+    }
+    var found = findLicense(licKey);
+    if (!found) {
+      res.writeHead(404, {"Content-Type":"application/json"});
+      return res.end(JSON.stringify({ key:licKey, valid:false, status:"unknown" }));
+    }
+    var licensed = getProduct(found.license.product_id);
+    res.writeHead(200, {"Content-Type":"application/json","Cache-Control":"no-store"});
+    return res.end(JSON.stringify({
+      key:     found.license.key,
+      valid:   !found.order.revoked,
+      status:  found.order.revoked ? "revoked" : "active",
+      product: licensed ? licensed.name : null,
+      issued:  found.license.issued,
+    }));
+  }
+
+  // /store/admin*
+  if (pathname === "/store/admin" || pathname.indexOf("/store/admin/") === 0) {
+    return handleAdmin(req, res, pathname, query);
   }
 
   return null;
@@ -446,19 +3995,74 @@ function startStore() {
   const base = process.env.RAILWAY_PUBLIC_DOMAIN
     ? "https://" + process.env.RAILWAY_PUBLIC_DOMAIN
     : "http://localhost:" + (process.env.PORT || 3000);
+  loadOrders(); // first start after upgrading moves old orders into the ledger
   console.log("  \u2713  Store available at " + base + "/store");
 }
 
 function getStoreStats() {
-  const data = loadStore();
+  const data   = loadStore();
+  const orders = loadOrders();
   const active = data.products.filter(function(p) { return p.active; });
+  const byCoupon = {};
+  orders.forEach(function(o) {
+    if (!o.coupon) return;
+    const c = byCoupon[o.coupon.code] || (byCoupon[o.coupon.code] = { orders:0, revenue:0, discount:0 });
+    c.orders++;
+    c.revenue  = round2(c.revenue + toUsd(o, o.amount || 0));
+    c.discount = round2(c.discount + toUsd(o, o.coupon.discount || 0));
+  });
+  const paid = {};
+  orders.forEach(function(o) {
+    if (o.free || (o.status && o.status !== "paid")) return;
+    orderItems(o).forEach(function(item) {
+      const a = paid[item.product_id] || (paid[item.product_id] = { name:item.name, orders:0, revenue:0, average:0 });
+      a.orders++;
+      a.revenue = round2(a.revenue + toUsd(o, item.price || 0));
+      a.average = round2(a.revenue / a.orders);
+    });
+  });
+  // In USD, net of refunds (partial refunds keep what wasn't returned) and of tax
+  const net = function(o) {
+    if (o.free) return 0;
+    if (o.reversed !== undefined) return revenueOf(o, round2((o.amount || 0) - o.reversed));
+    return !o.status || o.status === "paid" ? revenueOf(o, o.amount || 0) : 0;
+  };
+  const byCurrency = {};
+  orders.forEach(function(o) {
+    if (o.free) return;
+    const cur = o.currency || "usd";
+    const c = byCurrency[cur] || (byCurrency[cur] = { orders:0, amount:0, revenue_usd:0 });
+    c.orders++;
+    c.amount      = round2(c.amount + (o.amount || 0) - (o.reversed || 0));
+    c.revenue_usd = round2(c.revenue_usd + net(o));
+  });
+  const reversed = orders.filter(function(o) { return o.revoked || o.reversed > 0; });
+  const upsold   = orders.filter(function(o) { return o.upsell && !o.revoked; });
   return {
-    total_products:  data.products.length,
-    active_products: active.length,
-    total_orders:    data.orders.length,
-    total_revenue:   data.products.reduce(function(s,p){ return s+(p.sales||0)*p.price; }, 0),
-    recent_orders:   data.orders.slice(-5),
+    total_products:    data.products.length,
+    active_products:   active.length,
+    total_orders:      orders.filter(function(o) { return !o.free; }).length,
+    free_claims:       orders.filter(function(o) { return o.free; }).length,
+    subscribers:       loadSubscribers().subscribers.length,
+    active_members:    loadMembers().members.filter(function(m) { return isMember(m.email); }).length,
+    membership_revenue: round2(loadMembers().members.reduce(function(s, m) { return s + (m.paid_total || 0); }, 0)),
+    total_revenue:     round2(orders.reduce(function(s, o) { return s + net(o); }, 0)),
+    revenue_by_currency: byCurrency,
+    tax_collected:     round2(orders.reduce(function(s, o) { return s + (o.tax && !o.revoked ? toUsd(o, o.tax.amount || 0) : 0); }, 0)),
+    refunds:           { orders:reversed.length, amount:round2(reversed.reduce(function(s, o) { return s + toUsd(o, o.reversed || 0); }, 0)) },
+    revenue_by_coupon: byCoupon,
+    upsells:           { conversions:upsold.length, revenue:round2(upsold.reduce(function(s, o) {
+      const item = orderItems(o).find(function(i) { return i.product_id === o.upsell.product_id; });
+      return s + revenueOf(o, item ? item.price || 0 : 0);
+    }, 0)) },
+    average_paid:      paid,
+    reviews:           reviewStats(),
+    checkout_recovery: recoveryStats(),
+    referrals:         referralStats(),
+    experiments:       experimentStats(),
+    funnel:            getFunnel(),
+    recent_orders:     orders.slice(-5),
   };
 }
 
-module.exports = { handleRequest, addProduct, getActiveProducts, getProduct, recordOrder, loadStore, startStore, getStoreStats };
+module.exports = { handleRequest, addProduct, getActiveProducts, getProduct, productUrl, coverUrl, recordOrder, loadOrders, loadStore, startStore, getStoreStats, addCoupon, getCoupon, loadCoupons, proposeBundles, getSubscribers, getMember, isMember, updateProduct, addTaxRule, loadTaxRules, setExchangeRates, loadRates, getFunnel, sendRecoveryEmails, addPartner, getPartner, referralReport, startExperiment, evaluateExperiments };
@@ -21,6 +21,7 @@
 const fs   = require("fs");
 const path = require("path");
 const { auditLog } = require("../security/vault");
+const fileLock = require("./file-lock");
 
 const DATA_DIR      = path.join(process.cwd(), "data");
 const TREASURY_FILE = path.join(DATA_DIR, "treasury.json");
@@ -106,8 +107,7 @@ function loadTreasury() {
 }
 
 function saveTreasury(t) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(TREASURY_FILE, JSON.stringify({
+  fileLock.writeAtomic(TREASURY_FILE, JSON.stringify({
     ...t, last_updated: new Date().toISOString()
   }, null, 2));
 }
@@ -127,8 +127,16 @@ function loadUnlocks() {
 }
 
 function saveUnlocks(u) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(UNLOCK_FILE, JSON.stringify(u, null, 2));
+  fileLock.writeAtomic(UNLOCK_FILE, JSON.stringify(u, null, 2));
+}
+
+// The web server books store sales and refunds while the agent process books
+// its own revenue and pays costs, so every read-modify-write of these files
+// runs under their locks (see file-lock.js). Always treasury, then unlocks.
+function locked(fn) {
+  return fileLock.update(TREASURY_FILE, function() {
+    return fileLock.update(UNLOCK_FILE, fn);
+  });
 }
 
 function currentMonthKey() {
@@ -145,83 +153,143 @@ function getTier(monthly_revenue) {
 // ── PROCESS REVENUE ───────────────────────────────────────────────────────────
 // Called every time new sales come in. Splits correctly, logs everything.
 
-function processRevenue(new_amount) {
-  const treasury = loadTreasury();
-
-  // Reset monthly counter if new month
+function rollMonth(treasury) {
   if (treasury.month_key !== currentMonthKey()) {
     treasury.last_month_revenue = treasury.monthly_revenue;
     treasury.monthly_revenue    = 0;
     treasury.month_key          = currentMonthKey();
     auditLog("MONTHLY_RESET", { last_month: treasury.last_month_revenue }, "financial");
   }
+}
 
-  treasury.monthly_revenue += new_amount;
-  const tier = getTier(treasury.monthly_revenue);
-
-  const owner_cut = parseFloat((new_amount * (tier.owner / 100)).toFixed(2));
-  const agent_cut = parseFloat((new_amount * (tier.agent / 100)).toFixed(2));
-
-  treasury.lifetime_revenue    += new_amount;
-  treasury.lifetime_owner_paid += owner_cut;
-  treasury.agent_budget        += agent_cut;
-  treasury.owner_bank_estimate += owner_cut;
-  treasury.current_tier         = tier.label;
-
-  treasury.history.push({
-    date:      new Date().toISOString(),
-    amount:    new_amount,
-    owner_cut,
-    agent_cut,
-    tier:      tier.label,
-    owner_pct: tier.owner,
-    agent_pct: tier.agent,
+function processRevenue(new_amount) {
+  return locked(function() {
+    const treasury = loadTreasury();
+
+    // Reset monthly counter if new month
+    rollMonth(treasury);
+
+    treasury.monthly_revenue += new_amount;
+    const tier = getTier(treasury.monthly_revenue);
+
+    const owner_cut = parseFloat((new_amount * (tier.owner / 100)).toFixed(2));
+    const agent_cut = parseFloat((new_amount * (tier.agent / 100)).toFixed(2));
+
+    treasury.lifetime_revenue    += new_amount;
+    treasury.lifetime_owner_paid += owner_cut;
+    treasury.agent_budget        += agent_cut;
+    treasury.owner_bank_estimate += owner_cut;
+    treasury.current_tier         = tier.label;
+
+    treasury.history.push({
+      date:      new Date().toISOString(),
+      amount:    new_amount,
+      owner_cut,
+      agent_cut,
+      tier:      tier.label,
+      owner_pct: tier.owner,
+      agent_pct: tier.agent,
+    });
+    if (treasury.history.length > 365) treasury.history = treasury.history.slice(-365);
+
+    saveTreasury(treasury);
+
+    auditLog("REVENUE_SPLIT", {
+      amount: new_amount, owner_cut, agent_cut,
+      tier: tier.label, monthly_total: treasury.monthly_revenue,
+    }, "financial");
+
+    return { treasury, owner_cut, agent_cut, tier };
   });
-  if (treasury.history.length > 365) treasury.history = treasury.history.slice(-365);
+}
+
+// ── REVERSE REVENUE ───────────────────────────────────────────────────────────
+// Refunds and chargebacks. Posts a negative entry at the split the sale was
+// booked at ({ owner_pct, agent_pct, tier, month } from processRevenue), so
+// both cuts shrink by what they originally received. Falls back to the
+// current tier when the original split isn't known.
+
+function reverseRevenue(amount, split, reason) {
+  return locked(function() {
+    const treasury = loadTreasury();
+    rollMonth(treasury);
+
+    const current = getTier(treasury.monthly_revenue);
+    const tier = split && split.owner_pct !== undefined
+      ? { owner: split.owner_pct, agent: split.agent_pct, label: split.tier }
+      : current;
+
+    const owner_cut = parseFloat((amount * (tier.owner / 100)).toFixed(2));
+    const agent_cut = parseFloat((amount * (tier.agent / 100)).toFixed(2));
+
+    // Only this month's total moves if the sale was booked this month
+    if (!split || !split.month || split.month === treasury.month_key) {
+      treasury.monthly_revenue = Math.max(0, treasury.monthly_revenue - amount);
+    }
+    treasury.lifetime_revenue    -= amount;
+    treasury.lifetime_owner_paid -= owner_cut;
+    treasury.agent_budget        -= agent_cut;
+    treasury.owner_bank_estimate -= owner_cut;
+    treasury.current_tier         = getTier(treasury.monthly_revenue).label;
+
+    treasury.history.push({
+      date:      new Date().toISOString(),
+      amount:    -amount,
+      owner_cut: -owner_cut,
+      agent_cut: -agent_cut,
+      tier:      tier.label,
+      owner_pct: tier.owner,
+      agent_pct: tier.agent,
+      reason,
+    });
+    if (treasury.history.length > 365) treasury.history = treasury.history.slice(-365);
 
-  saveTreasury(treasury);
+    saveTreasury(treasury);
 
-  auditLog("REVENUE_SPLIT", {
-    amount: new_amount, owner_cut, agent_cut,
-    tier: tier.label, monthly_total: treasury.monthly_revenue,
-  }, "financial");
+    auditLog("REVENUE_REVERSED", {
+      amount, owner_cut, agent_cut, reason,
+      tier: tier.label, monthly_total: treasury.monthly_revenue,
+    }, "financial");
 
-  return { treasury, owner_cut, agent_cut, tier };
+    return { treasury, owner_cut, agent_cut, tier };
+  });
 }
 
 // ── PAY OPERATING COSTS ───────────────────────────────────────────────────────
 // Deducts module subscription costs from AGENT budget only
 
 function payOperatingCosts() {
-  const treasury = loadTreasury();
-  const unlocks  = loadUnlocks();
-
-  let total_cost = 0;
-  const payments = [];
-
-  for (const [id, unlock] of Object.entries(unlocks)) {
-    if (unlock.status === "active" && unlock.monthly_cost > 0) {
-      const mod = MODULES[id];
-      if (treasury.agent_budget >= unlock.monthly_cost) {
-        treasury.agent_budget        -= unlock.monthly_cost;
-        treasury.lifetime_agent_spent += unlock.monthly_cost;
-        total_cost += unlock.monthly_cost;
-        payments.push({ module: id, cost: unlock.monthly_cost });
-        auditLog("OPERATING_COST_PAID", { module: id, cost: unlock.monthly_cost, from: "agent_budget" }, "financial");
-      } else {
-        // Can't afford it — deactivate the module
-        unlocks[id].status = "suspended_insufficient_funds";
-        auditLog("MODULE_SUSPENDED", { module: id, reason: "insufficient agent budget" }, "financial");
+  return locked(function() {
+    const treasury = loadTreasury();
+    const unlocks  = loadUnlocks();
+
+    let total_cost = 0;
+    const payments = [];
+
+    for (const [id, unlock] of Object.entries(unlocks)) {
+      if (unlock.status === "active" && unlock.monthly_cost > 0) {
+        const mod = MODULES[id];
+        if (treasury.agent_budget >= unlock.monthly_cost) {
+          treasury.agent_budget        -= unlock.monthly_cost;
+          treasury.lifetime_agent_spent += unlock.monthly_cost;
+          total_cost += unlock.monthly_cost;
+          payments.push({ module: id, cost: unlock.monthly_cost });
+          auditLog("OPERATING_COST_PAID", { module: id, cost: unlock.monthly_cost, from: "agent_budget" }, "financial");
+        } else {
+          // Can't afford it — deactivate the module
+          unlocks[id].status = "suspended_insufficient_funds";
+          auditLog("MODULE_SUSPENDED", { module: id, reason: "insufficient agent budget" }, "financial");
+        }
       }
     }
-  }
 
-  if (total_cost > 0) {
-    saveTreasury(treasury);
-    saveUnlocks(unlocks);
-  }
+    if (total_cost > 0) {
+      saveTreasury(treasury);
+      saveUnlocks(unlocks);
+    }
 
-  return { total_cost, payments };
+    return { total_cost, payments };
+  });
 }
 
 // ── CHECK UNLOCK ELIGIBILITY ──────────────────────────────────────────────────
@@ -253,60 +321,68 @@ function checkUnlockEligibility() {
 // Check pending unlocks — auto-activate if 48hrs passed
 
 function processUnlockQueue() {
-  const unlocks   = loadUnlocks();
-  const activated = [];
-  const now       = new Date();
-
-  for (const [id, unlock] of Object.entries(unlocks)) {
-    if (unlock.status === "pending_approval" && unlock.auto_unlock_at) {
-      if (new Date(unlock.auto_unlock_at) <= now) {
-        unlocks[id].status       = "active";
-        unlocks[id].activated_at = now.toISOString();
-        activated.push(id);
-        auditLog("MODULE_AUTO_UNLOCKED", { module: id, reason: "48hr timeout" }, "financial");
+  return locked(function() {
+    const unlocks   = loadUnlocks();
+    const activated = [];
+    const now       = new Date();
+
+    for (const [id, unlock] of Object.entries(unlocks)) {
+      if (unlock.status === "pending_approval" && unlock.auto_unlock_at) {
+        if (new Date(unlock.auto_unlock_at) <= now) {
+          unlocks[id].status       = "active";
+          unlocks[id].activated_at = now.toISOString();
+          activated.push(id);
+          auditLog("MODULE_AUTO_UNLOCKED", { module: id, reason: "48hr timeout" }, "financial");
+        }
       }
     }
-  }
 
-  if (activated.length > 0) saveUnlocks(unlocks);
-  return activated;
+    if (activated.length > 0) saveUnlocks(unlocks);
+    return activated;
+  });
 }
 
 // ── INITIATE UNLOCK NOTIFICATION ─────────────────────────────────────────────
 // Marks module as pending, sets 48hr auto-unlock timer
 
 function initiateUnlock(module_id) {
-  const unlocks = loadUnlocks();
-  const now     = new Date();
-  const autoAt  = new Date(now.getTime() + 48 * 60 * 60 * 1000);
+  return locked(function() {
+    const unlocks = loadUnlocks();
+    const now     = new Date();
+    const autoAt  = new Date(now.getTime() + 48 * 60 * 60 * 1000);
 
-  unlocks[module_id].status         = "pending_approval";
-  unlocks[module_id].notified_at    = now.toISOString();
-  unlocks[module_id].auto_unlock_at = autoAt.toISOString();
+    unlocks[module_id].status         = "pending_approval";
+    unlocks[module_id].notified_at    = now.toISOString();
+    unlocks[module_id].auto_unlock_at = autoAt.toISOString();
 
-  saveUnlocks(unlocks);
-  auditLog("UNLOCK_INITIATED", { module: module_id, auto_unlock_at: autoAt.toISOString() }, "financial");
+    saveUnlocks(unlocks);
+    auditLog("UNLOCK_INITIATED", { module: module_id, auto_unlock_at: autoAt.toISOString() }, "financial");
 
-  return { module_id, auto_unlock_at: autoAt };
+    return { module_id, auto_unlock_at: autoAt };
+  });
 }
 
 // ── MANUAL APPROVE / REJECT ───────────────────────────────────────────────────
 
 function approveUnlock(module_id) {
-  const unlocks = loadUnlocks();
-  unlocks[module_id].status       = "active";
-  unlocks[module_id].activated_at = new Date().toISOString();
-  saveUnlocks(unlocks);
-  auditLog("UNLOCK_APPROVED", { module: module_id }, "financial");
+  return locked(function() {
+    const unlocks = loadUnlocks();
+    unlocks[module_id].status       = "active";
+    unlocks[module_id].activated_at = new Date().toISOString();
+    saveUnlocks(unlocks);
+    auditLog("UNLOCK_APPROVED", { module: module_id }, "financial");
+  });
 }
 
 function rejectUnlock(module_id) {
-  const unlocks = loadUnlocks();
-  unlocks[module_id].status = "locked";
-  unlocks[module_id].notified_at    = null;
-  unlocks[module_id].auto_unlock_at = null;
-  saveUnlocks(unlocks);
-  auditLog("UNLOCK_REJECTED", { module: module_id }, "financial");
+  return locked(function() {
+    const unlocks = loadUnlocks();
+    unlocks[module_id].status = "locked";
+    unlocks[module_id].notified_at    = null;
+    unlocks[module_id].auto_unlock_at = null;
+    saveUnlocks(unlocks);
+    auditLog("UNLOCK_REJECTED", { module: module_id }, "financial");
+  });
 }
 
 // ── GET FULL FINANCIAL STATUS ─────────────────────────────────────────────────
@@ -357,7 +433,7 @@ module.exports = {
   MODULES, TIERS,
   loadTreasury, saveTreasury,
   loadUnlocks,  saveUnlocks,
-  getTier, processRevenue, payOperatingCosts,
+  getTier, processRevenue, reverseRevenue, payOperatingCosts,
   checkUnlockEligibility, processUnlockQueue,
   initiateUnlock, approveUnlock, rejectUnlock,
   getStatus,
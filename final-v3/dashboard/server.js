@@ -188,6 +188,7 @@ function dashboardLayout(activeNav, content) {
     ["Activity Log", "/activity", "📋"],
     ["Security", "/security", "🔒"],
     ["Payouts", "/payouts", "🏦"],
+    ["Store", "/store/admin", "🛒"],
   ];
 
   return page("Agent HQ", `
@@ -568,8 +569,13 @@ function payoutsPage() {
 
 function handleRequest(req, res) {
   // ── STORE ROUTES (public — no auth required) ──
-  if ((req.url || "").startsWith("/store")) {
-    store.handleRequest(req, res);
+  const publicPath = (req.url || "").split("?")[0];
+  if (publicPath.startsWith("/store") || publicPath === "/sitemap.xml" || publicPath === "/robots.txt") {
+    store.handleRequest(req, res).catch((e) => {
+      console.log("     \u2192 Store: " + req.method + " " + publicPath + " failed: " + e.message.slice(0, 120));
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
     return;
   }
 
@@ -57,6 +57,16 @@ function notifySale(sale) {
   return sendTelegram(msg);
 }
 
+function notifyRefund(refund) {
+  var msg = (refund.kind === "disputed" ? "CHARGEBACK" : "REFUND") + "\n\n" +
+    "Product: " + (refund.product_name || "Digital Product") + "\n" +
+    "Amount: -$" + parseFloat(refund.amount || 0).toFixed(2) + "\n" +
+    "Buyer: " + (refund.email || "unknown") + "\n" +
+    "Your cut: -$" + parseFloat(refund.owner_cut || 0).toFixed(2) + "\n" +
+    (refund.revoked === false ? "Partial refund, access kept." : "Downloads revoked.");
+  return sendTelegram(msg);
+}
+
 function notifySecurityAlert(alert) {
   var msg = "SECURITY ALERT\n\n" +
     "Action: " + alert.action + "\n" +
@@ -100,6 +110,7 @@ function sendDailyReport(reportData) {
 module.exports = {
   sendTelegram:        sendTelegram,
   notifySale:          notifySale,
+  notifyRefund:        notifyRefund,
   notifySecurityAlert: notifySecurityAlert,
   sendDailyReport:     sendDailyReport,
   notifyAgentStarted:  notifyAgentStarted,
@@ -5,6 +5,7 @@ const path      = require("path");
 const Anthropic = require("@anthropic-ai/sdk");
 const config    = require("../config");
 const affiliate = require("../modules/affiliate/affiliate");
+const store     = require("../core/store");
 
 const client    = new Anthropic({ apiKey: config.anthropic.api_key });
 const BOT_TOKEN = config.telegram.bot_token;
@@ -138,6 +139,53 @@ function handleMessage(message) {
       "Day: " + ctx.day);
   }
 
+  // /coupon CODE 20% [days] [max uses]  — or a plain number for a fixed $ amount
+  if (lower.indexOf("/coupon") === 0) {
+    var parts  = text.split(/\s+/);
+    var amount = parts[2] || "";
+    var days   = parseInt(parts[3]) || 0;
+    var coupon = store.addCoupon({
+      code:     parts[1],
+      type:     amount.slice(-1) === "%" ? "percent" : "fixed",
+      amount:   parseFloat(amount),
+      expires:  days ? new Date(Date.now() + days * 86400000).toISOString() : null,
+      max_uses: parseInt(parts[4]) || null,
+    });
+    if (!coupon) return send("Usage: /coupon CODE 20% [days] [max uses]\nUse a plain number (e.g. 5) for $5 off.");
+    return send("<b>Coupon " + coupon.code + "</b>\n\n" +
+      (coupon.type === "percent" ? coupon.amount + "% off" : "$" + coupon.amount + " off") + "\n" +
+      "Expires: " + (coupon.expires ? new Date(coupon.expires).toLocaleDateString() : "never") + "\n" +
+      "Max uses: " + (coupon.max_uses || "unlimited") + "\n" +
+      "Used: " + (coupon.uses || 0));
+  }
+
+  // /tax GB 20 [label] or /tax US-CA 7.25 — rate 0 exempts; /tax alone lists the rules
+  if (lower.indexOf("/tax") === 0) {
+    var args = text.split(/\s+/).slice(1);
+    if (args.length === 0) {
+      var rules = store.loadTaxRules().rules;
+      return send("<b>Tax rules</b>\n\n" + (rules.length ? rules.map(function(r) {
+        return r.country + (r.region ? "-" + r.region : "") + ": " + r.label + " " + r.rate + "%";
+      }).join("\n") : "None \u2014 no tax is charged."));
+    }
+    var place = (args[0] || "").split("-");
+    var rule  = store.addTaxRule({ country:place[0], region:place[1], rate:args[1], label:args.slice(2).join(" ") || undefined });
+    if (!rule) return send("Usage: /tax GB 20 [label]\nUse US-CA or CA-ON for a state or province, and 0 to exempt a place.");
+    return send("<b>Tax " + rule.country + (rule.region ? "-" + rule.region : "") + "</b>\n\n" +
+      (rule.rate > 0 ? rule.label + " " + rule.rate + "% added at checkout" : "Exempt \u2014 no tax charged"));
+  }
+
+  // /rates GBP 0.79 EUR 0.92 — units per $1; /rates alone shows the current table
+  if (lower.indexOf("/rates") === 0) {
+    var pairs = text.split(/\s+/).slice(1), given = {};
+    for (var i = 0; i + 1 < pairs.length; i += 2) given[pairs[i]] = pairs[i + 1];
+    var rates = pairs.length ? store.setExchangeRates(given) : store.loadRates();
+    if (!rates) return send("Usage: /rates GBP 0.79 EUR 0.92 INR 83\nEach rate is units of that currency per $1.");
+    return send("<b>Exchange rates</b> (per $1)\n\n" + Object.keys(rates).filter(function(c) { return c !== "usd"; }).map(function(c) {
+      return c.toUpperCase() + ": " + rates[c];
+    }).join("\n"));
+  }
+
   if (lower.includes("how much") || lower.includes("money") || lower.includes("earned") || lower.includes("made")) {
     return send("<b>Your Money</b>\n\n" +
       "Total earned: <b>$" + ctx.owner_earned.toFixed(2) + "</b>\n" +
@@ -187,7 +235,7 @@ function handleMessage(message) {
   }
 
   if (lower === "/help" || lower === "help") {
-    return send("<b>What you can ask me:</b>\n\n\"how much have I made?\"\n\"what niche are we in?\"\n\"what's my product link?\"\n\"when does Etsy unlock?\"\n\"how's YouTube going?\"\n\"show affiliate programs\"\n\"pause the agent\"\n\"resume the agent\"\n\n/status — full snapshot\n/help — this menu");
+    return send("<b>What you can ask me:</b>\n\n\"how much have I made?\"\n\"what niche are we in?\"\n\"what's my product link?\"\n\"when does Etsy unlock?\"\n\"how's YouTube going?\"\n\"show affiliate programs\"\n\"pause the agent\"\n\"resume the agent\"\n\n/status — full snapshot\n/coupon CODE 20% [days] [max uses] — create a store discount code\n/tax GB 20 [label] — set a tax rate (/tax lists them)\n/rates GBP 0.79 — set exchange rates (/rates lists them)\n/help — this menu");
   }
 
   return aiReply(text, ctx).then(function(reply) {
@@ -31,6 +31,8 @@ function timeStr(date) {
 
 let lastAgentRun   = null;   // YYYY-MM-DD string
 let lastNicheCheck = null;   // YYYY-MM-DD string (weekly)
+let lastRecovery   = null;   // HH:MM of the last abandoned-checkout sweep
+let lastExperiment = null;   // YYYY-MM-DD HH of the last A/B test check
 let isRunning      = false;
 
 // ── VIDEO FREQUENCY CONFIG ────────────────────────────────────────────────────
@@ -105,6 +107,29 @@ async function tick() {
     await runAgent();
   }
 
+  // ── ABANDONED CHECKOUT REMINDERS (every 10 minutes) ───────────────────────
+  if (now.getMinutes() % 10 === 0 && lastRecovery !== time) {
+    lastRecovery = time;
+    try {
+      const sent = await require("./core/store").sendRecoveryEmails();
+      if (sent) console.log("  ✉  Sent " + sent + " checkout reminder" + (sent === 1 ? "" : "s"));
+    } catch (err) {
+      console.error("  ⚠ Checkout reminders failed:", err.message);
+    }
+  }
+
+  // ── STORE A/B TESTS (hourly) ──────────────────────────────────────────────
+  const hour = today + " " + time.slice(0, 2);
+  if (lastExperiment !== hour) {
+    lastExperiment = hour;
+    try {
+      const ended = require("./core/store").evaluateExperiments();
+      ended.forEach(x => console.log("  🧪 A/B test " + x.id + " (" + x.field + ") ended: " + x.status + (x.winner ? ", variant " + x.winner.toUpperCase() : "")));
+    } catch (err) {
+      console.error("  ⚠ A/B test check failed:", err.message);
+    }
+  }
+
   // ── WEEKLY NICHE CHECK (Sunday 9:00am) ───────────────────────────────────
   if (dayOfWeek === 0 && time === "09:00" && lastNicheCheck !== today) {
     lastNicheCheck = today;